@@ -12,10 +12,20 @@ HOOK_LOG_DIR="${HOME}/.claude/logs"
 HOOK_LOG_FILE="${HOOK_LOG_DIR}/styxy-hooks.log"
 INSTANCE_STATE_FILE="${HOME}/.claude/styxy-instance-state"
 STYXY_AUTH_TOKEN_FILE="${HOME}/.styxy/auth.token"
+STYXY_SOCKET="${STYXY_SOCKET:-${HOME}/.styxy/daemon.sock}"
 
 # Ensure log directory exists
 mkdir -p "${HOOK_LOG_DIR}"
 
+# Talk to the daemon over its Unix socket when present, TCP otherwise
+styxy_curl() {
+    if [[ -S "${STYXY_SOCKET}" ]]; then
+        curl --unix-socket "${STYXY_SOCKET}" "$@"
+    else
+        curl "$@"
+    fi
+}
+
 # Logging function
 log() {
     echo "[$(date '+%Y-%m-%d %H:%M:%S')] [SessionStart] $*" | tee -a "${HOOK_LOG_FILE}"
@@ -36,9 +46,9 @@ check_styxy_daemon() {
     fi
 
     if [[ -n "${auth_token}" ]]; then
-        response=$(curl -s --max-time 3 -H "Authorization: Bearer ${auth_token}" "${STYXY_URL}/status" 2>/dev/null)
+        response=$(styxy_curl -s --max-time 3 -H "Authorization: Bearer ${auth_token}" "${STYXY_URL}/status" 2>/dev/null)
     else
-        response=$(curl -s --max-time 3 "${STYXY_URL}/status" 2>/dev/null)
+        response=$(styxy_curl -s --max-time 3 "${STYXY_URL}/status" 2>/dev/null)
     fi
 
     if [[ $? -eq 0 ]] && echo "${response}" | grep -q '"status":"running"'; then
@@ -123,12 +133,12 @@ EOF
 
     log "Attempting instance registration..."
     if [[ -n "${auth_token}" ]]; then
-        response=$(curl -s --max-time 10 -X POST "${STYXY_URL}/instance/register" \
+        response=$(styxy_curl -s --max-time 10 -X POST "${STYXY_URL}/instance/register" \
                        -H "Content-Type: application/json" \
                        -H "Authorization: Bearer ${auth_token}" \
                        -d "${payload}" 2>&1)
     else
-        response=$(curl -s --max-time 10 -X POST "${STYXY_URL}/instance/register" \
+        response=$(styxy_curl -s --max-time 10 -X POST "${STYXY_URL}/instance/register" \
                        -H "Content-Type: application/json" \
                        -d "${payload}" 2>&1)
     fi
@@ -178,7 +188,11 @@ start_heartbeat() {
             if [[ -n '${auth_token}' ]]; then
                 auth_args='-H Authorization: Bearer ${auth_token}'
             fi
-            if ! curl -s --max-time 5 -X PUT '${STYXY_URL}/instance/${instance_id}/heartbeat' \
+            socket_args=''
+            if [[ -S '${STYXY_SOCKET}' ]]; then
+                socket_args='--unix-socket ${STYXY_SOCKET}'
+            fi
+            if ! curl \${socket_args} -s --max-time 5 -X PUT '${STYXY_URL}/instance/${instance_id}/heartbeat' \
                       -H 'Content-Type: application/json' \
                       \${auth_args} \
                       -d '{}' >/dev/null 2>&1; then
@@ -10,6 +10,7 @@ set -euo pipefail
 STYXY_URL="${STYXY_URL:-http://localhost:9876}"
 STYXY_CONFIG_DIR="${HOME}/.styxy"
 STYXY_TOKEN_FILE="${STYXY_CONFIG_DIR}/auth.token"
+STYXY_SOCKET="${STYXY_SOCKET:-${STYXY_CONFIG_DIR}/daemon.sock}"
 HOOK_LOG_DIR="${HOME}/.claude/logs"
 HOOK_LOG_FILE="${HOOK_LOG_DIR}/styxy-hooks.log"
 INSTANCE_STATE_FILE="${HOME}/.claude/styxy-instance-state"
@@ -21,6 +22,15 @@ TOOL_ARGS="${2:-}"
 # Ensure log directory exists
 mkdir -p "${HOOK_LOG_DIR}"
 
+# Talk to the daemon over its Unix socket when present, TCP otherwise
+styxy_curl() {
+    if [[ -S "${STYXY_SOCKET}" ]]; then
+        curl --unix-socket "${STYXY_SOCKET}" "$@"
+    else
+        curl "$@"
+    fi
+}
+
 # Logging function
 log() {
     echo "[$(date '+%Y-%m-%d %H:%M:%S')] [PreToolUse-Universal] $*" >> "${HOOK_LOG_FILE}"
@@ -563,7 +573,7 @@ EOF
         curl_headers+=("-H" "Authorization: Bearer ${auth_token}")
     fi
 
-    if response=$(curl -s --max-time 10 -X POST "${STYXY_URL}/allocate" \
+    if response=$(styxy_curl -s --max-time 10 -X POST "${STYXY_URL}/allocate" \
                        "${curl_headers[@]}" \
                        -d "${payload}" 2>/dev/null); then
 
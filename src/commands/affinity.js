@@ -0,0 +1,79 @@
+/**
+ * Port affinity command - show or clear the ports remembered per project service
+ */
+
+const path = require('path');
+const { daemonRequest } = require('../utils/daemon-client');
+
+async function affinity(options = {}) {
+  try {
+    const params = new URLSearchParams();
+    if (options.project) {
+      params.set('project_path', path.resolve(options.project));
+    }
+    if (options.service) {
+      params.set('service_type', options.service);
+    }
+    if (options.name) {
+      params.set('service_name', options.name);
+    }
+    const query = params.toString() ? `?${params}` : '';
+
+    if (options.clear) {
+      const response = await daemonRequest(`/affinity${query}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+
+      if (options.json) {
+        console.log(JSON.stringify(result));
+        if (!result.success) {
+          process.exit(1);
+        }
+        return;
+      }
+
+      if (result.success) {
+        console.log(`✅ ${result.message}`);
+      } else {
+        console.error(`❌ Clear failed: ${result.error}`);
+        process.exit(1);
+      }
+      return;
+    }
+
+    const response = await daemonRequest(`/affinity${query}`);
+    const result = await response.json();
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      return;
+    }
+
+    if (result.affinity.length === 0) {
+      console.log('No remembered ports');
+      return;
+    }
+
+    console.log('\nPort Affinity:');
+    console.log('='.repeat(50));
+
+    result.affinity.forEach(entry => {
+      console.log(`Port ${entry.port}: ${entry.service_type}/${entry.service_name}`);
+      console.log(`  Project: ${entry.project_path}`);
+      console.log(`  Last allocated: ${entry.last_allocated_at}`);
+      console.log('');
+    });
+
+    console.log(`Total: ${result.affinity.length} remembered ports`);
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = affinity;
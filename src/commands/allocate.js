@@ -2,12 +2,72 @@
  * Port allocation command
  */
 
-const { daemonRequest } = require('../utils/daemon-client');
+const path = require('path');
+const { DaemonClient, daemonRequest } = require('../utils/daemon-client');
 const { ErrorFactory } = require('../utils/enhanced-errors');
 
+/**
+ * Describe a single candidate verdict from an explain response
+ */
+function describeVerdict(candidate) {
+  switch (candidate.verdict) {
+    case 'available':
+      return 'available';
+    case 'allocated': {
+      const owner = candidate.allocated_to || {};
+      return `allocated to ${owner.service_type}/${owner.service_name || 'unnamed'} (lock ${owner.lock_id})`;
+    }
+    case 'in_progress':
+      return 'reserved by an allocation in progress';
+    case 'bound': {
+      const binder = candidate.bound_by;
+      if (binder && binder.pid) {
+        return `bound by PID ${binder.pid}${binder.name ? ` (${binder.name})` : ''}`;
+      }
+      return 'bound by another process';
+    }
+    case 'outside_range':
+      return 'outside the service type\'s port range';
+    default:
+      return candidate.verdict;
+  }
+}
+
+/**
+ * Print the per-port verdicts of an explain response
+ */
+function printExplanation(result) {
+  console.log(`🔍 ${result.message}`);
+
+  if (result.range) {
+    console.log(`   Range: ${result.range[0]}-${result.range[1]}`);
+  }
+
+  if (result.candidates && result.candidates.length > 0) {
+    console.log('\nCandidates:');
+    result.candidates.forEach(candidate => {
+      const marker = candidate.port === result.port ? '→' : ' ';
+      const note = candidate.in_range === false ? ', outside range' : '';
+      console.log(`  ${marker} ${candidate.port} [${candidate.source}${note}]: ${describeVerdict(candidate)}`);
+    });
+  }
+
+  if (result.not_evaluated > 0) {
+    console.log(`\n   ${result.not_evaluated} further candidates not checked`);
+  }
+}
+
 async function allocate(options) {
   try {
-    const response = await daemonRequest('/allocate', {
+    const waitTimeoutMs = options.wait !== undefined ? parseInt(options.wait) : undefined;
+
+    // A queued request stays open until a port frees up, so allow for the full wait
+    // and do not retry: a retried POST could allocate twice
+    const request = waitTimeoutMs
+      ? (endpoint, requestOptions) => new DaemonClient({ timeout: waitTimeoutMs + 5000, maxRetries: 1 }).makeRequest(endpoint, requestOptions)
+      : daemonRequest;
+
+    const response = await request(options.explain ? '/allocate?explain=true' : '/allocate', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -17,7 +77,18 @@ async function allocate(options) {
         service_name: options.name,
         preferred_port: options.port ? parseInt(options.port) : undefined,
         instance_id: process.env.CLAUDE_INSTANCE_ID || 'cli',
-        project_path: options.project || process.cwd()
+        project_path: options.project ? path.resolve(options.project) : process.cwd(),
+        // Opt-in: a bare --pid means the shell or script that ran this command
+        pid: options.pid === true ? process.ppid : options.pid ? parseInt(options.pid) : undefined,
+        parent_pid: options.parentPid ? parseInt(options.parentPid) : undefined,
+        ttl: options.ttl !== undefined ? parseInt(options.ttl) : undefined,
+        pinned: options.pinned ? true : undefined,
+        strict: options.strict ? true : undefined,
+        count: options.count !== undefined ? parseInt(options.count) : undefined,
+        protocol: options.protocol,
+        bind_address: options.bind,
+        group: options.group,
+        wait_timeout_ms: waitTimeoutMs
       })
     });
 
@@ -31,7 +102,9 @@ async function allocate(options) {
       return;
     }
 
-    if (result.success) {
+    if (result.success && result.explain) {
+      printExplanation(result);
+    } else if (result.success) {
       // Feature #2: Show auto-allocation event
       if (result.auto_allocated) {
         console.log(`🔧 Service type '${options.service}' was automatically allocated`);
@@ -51,11 +124,38 @@ async function allocate(options) {
         if (result.existingPid) {
           console.log(`   PID: ${result.existingPid}`);
         }
+        if (result.singleton_status === 'revalidated') {
+          console.log(`   Liveness: confirmed just now`);
+        }
+        if (result.lock_id) {
+          console.log(`Lock ID: ${result.lock_id} (shared by ${result.consumers} consumers; release with: styxy release ${result.lock_id})`);
+        }
         console.log(`\n💡 Only one instance of this service is allowed across all sessions`);
       } else {
         console.log(`✅ ${result.message}`);
+        if (result.singleton_status === 'replaced') {
+          console.log(`♻️  Replaced the single-instance service on port ${result.replaced_port}, which stopped responding`);
+        }
+        if (result.queued_ms !== undefined) {
+          console.log(`Waited ${result.queued_ms}ms in the allocation queue`);
+        }
         console.log(`Lock ID: ${result.lock_id}`);
-        console.log(`\nUse this port for your ${options.service} service: ${result.port}`);
+        if (result.protocol && result.protocol !== 'tcp') {
+          console.log(`Protocol: ${result.protocol}`);
+        }
+        if (result.bind_address) {
+          console.log(`Bind address: ${result.bind_address}`);
+        }
+        if (result.pinned) {
+          console.log(`📌 Pinned: kept until released or unpinned (styxy unpin ${result.lock_id})`);
+        } else if (result.expires_at) {
+          console.log(`Lease expires: ${result.expires_at} (renew with: styxy renew ${result.lock_id})`);
+        }
+        if (result.ports) {
+          console.log(`\nUse these ports for your ${options.service} service: ${result.ports.join(', ')}`);
+        } else {
+          console.log(`\nUse this port for your ${options.service} service: ${result.port}`);
+        }
       }
     } else {
       // Check if enhanced error format is available
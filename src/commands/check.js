@@ -6,7 +6,14 @@ const { daemonRequest } = require('../utils/daemon-client');
 
 async function check(port, options = {}) {
   try {
-    const response = await daemonRequest(`/check/${port}`);
+    const params = new URLSearchParams();
+    if (options.protocol && options.protocol !== 'tcp') {
+      params.set('protocol', options.protocol);
+    }
+    if (options.bind) {
+      params.set('bind_address', options.bind);
+    }
+    const response = await daemonRequest(`/check/${port}${params.toString() ? `?${params}` : ''}`);
     const result = await response.json();
 
     if (options.json) {
@@ -14,10 +21,11 @@ async function check(port, options = {}) {
       return;
     }
 
+    const label = result.protocol && result.protocol !== 'tcp' ? `${port}/${result.protocol}` : port;
     if (result.available) {
-      console.log(`✅ Port ${port} is available`);
+      console.log(`✅ Port ${label} is available`);
     } else {
-      console.log(`❌ Port ${port} is in use`);
+      console.log(`❌ Port ${label} is in use`);
 
       // Show Styxy allocation if exists
       if (result.allocated_to) {
@@ -46,6 +54,15 @@ async function check(port, options = {}) {
         }
       }
     }
+
+    // Per-address bind results; an address family the host lacks is shown but never blocks
+    if (result.addresses && result.addresses.some(entry => !entry.available)) {
+      console.log(`\n   🌐 Addresses:`);
+      result.addresses.forEach(entry => {
+        const mark = entry.status === 'free' ? '✅' : entry.available ? '➖' : '❌';
+        console.log(`      ${mark} ${entry.address} (${entry.family}/${entry.protocol}): ${entry.status.replace('_', ' ')}`);
+      });
+    }
   } catch (error) {
     if (options.json) {
       console.log(JSON.stringify({ success: false, error: error.message }));
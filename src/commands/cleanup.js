@@ -4,15 +4,70 @@
 
 const { daemonRequest } = require('../utils/daemon-client');
 
+const REASON_LABELS = {
+  lease_expired: 'lease expired',
+  owner_dead: 'owner process exited',
+  port_reused: 'port taken by another process',
+  port_unbound: 'port never bound',
+  forced: 'forced cleanup',
+  health_failures: 'failed health checks',
+  probe_failed: 'singleton failed liveness probe'
+};
+
+function formatPorts(entry) {
+  return entry.ports && entry.ports.length > 1
+    ? `Ports ${entry.ports[0]}-${entry.ports[entry.ports.length - 1]}`
+    : `Port ${entry.port}`;
+}
+
+async function showHistory(options) {
+  const params = new URLSearchParams();
+  if (options.limit) {
+    params.set('limit', options.limit);
+  }
+  if (options.reason) {
+    params.set('reason', options.reason);
+  }
+
+  const response = await daemonRequest(`/cleanup/history${params.toString() ? `?${params}` : ''}`);
+  const result = await response.json();
+
+  if (options.json) {
+    console.log(JSON.stringify(result));
+    return;
+  }
+
+  if (result.history.length === 0) {
+    console.log('No allocations have been reaped');
+    return;
+  }
+
+  console.log('\nRecently Reaped Allocations:');
+  console.log('='.repeat(50));
+  result.history.forEach(entry => {
+    console.log(`${formatPorts(entry)}: ${entry.service_type}${entry.service_name ? ` (${entry.service_name})` : ''}`);
+    console.log(`  Reason: ${REASON_LABELS[entry.reason] || entry.reason}`);
+    console.log(`  Reaped: ${entry.reaped_at}`);
+    console.log(`  Allocated: ${entry.allocated_at}`);
+    console.log('');
+  });
+}
+
 async function cleanup(options = {}) {
   try {
+    if (options.history) {
+      await showHistory(options);
+      return;
+    }
+
     const response = await daemonRequest('/cleanup', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        force: options.force || false
+        force: options.force || false,
+        include_pinned: options.includePinned || false
       })
     });
 
@@ -30,9 +85,15 @@ async function cleanup(options = {}) {
       console.log(`✅ ${result.message}`);
       if (result.cleaned > 0) {
         console.log(`Cleaned up ${result.cleaned} stale allocations`);
+        (result.reaped || []).forEach(entry => {
+          console.log(`  ${formatPorts(entry)} (${entry.service_type}): ${REASON_LABELS[entry.reason] || entry.reason}`);
+        });
       } else {
         console.log('No stale allocations found');
       }
+      if (result.skipped_pinned > 0) {
+        console.log(`Kept ${result.skipped_pinned} pinned allocations (use --include-pinned to release them)`);
+      }
     } else {
       console.error(`❌ Cleanup failed: ${result.error}`);
       process.exit(1);
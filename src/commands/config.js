@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { daemonRequest } = require('../utils/daemon-client');
 
 async function config(action, options) {
   switch (action) {
@@ -17,16 +18,18 @@ async function config(action, options) {
       return showInstanceTemplates(options);
     case 'auto-allocation':
       return manageAutoAllocation(options);
+    case 'reload':
+      return reloadConfig(options);
     default:
       console.error(`Unknown config action: ${action}`);
-      console.log('Available actions: show, validate, generate, instances, auto-allocation');
+      console.log('Available actions: show, validate, generate, instances, auto-allocation, reload');
       process.exit(1);
   }
 }
 
 async function showConfig(options) {
   try {
-    const response = await fetch('http://127.0.0.1:9876/config');
+    const response = await daemonRequest('/config');
     const result = await response.json();
 
     console.log('\n🔧 Current Styxy Configuration:');
@@ -36,7 +39,8 @@ async function showConfig(options) {
       console.log(`\n${serviceType.toUpperCase()}:`);
       console.log(`  Description: ${config.description || 'No description'}`);
       console.log(`  Preferred Ports: ${config.preferred_ports.join(', ')}`);
-      console.log(`  Range: ${config.range[0]}-${config.range[1]}`);
+      const range = config.port_range || config.range;
+      console.log(`  Range: ${range[0]}-${range[1]}`);
       if (config.examples) {
         console.log(`  Examples: ${config.examples.join(', ')}`);
       }
@@ -54,6 +58,64 @@ async function showConfig(options) {
   }
 }
 
+/**
+ * Ask the running daemon to re-read and apply its config files
+ */
+async function reloadConfig(options) {
+  try {
+    const response = await daemonRequest('/config/reload', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ force: options.force || false })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error(`❌ Reload failed: ${result.error}`);
+      const conflicts = result.context?.conflicts || [];
+      conflicts.forEach(conflict => {
+        const problem = conflict.reason === 'service_type_removed'
+          ? 'service type removed'
+          : `outside new range ${conflict.range.join('-')}`;
+        console.error(`   Port ${conflict.port} (${conflict.service_type}, ${conflict.lock_id}): ${problem}`);
+      });
+      if (conflicts.length > 0) {
+        console.log('\n💡 Release these allocations first, or apply anyway with: styxy config reload --force');
+      }
+      process.exit(1);
+    }
+
+    if (!result.changed) {
+      console.log('✅ Configuration reloaded, nothing changed');
+    } else {
+      console.log('✅ Configuration reloaded');
+      const { added, removed, changed } = result.service_types;
+      if (added.length > 0) {
+        console.log(`   Added service types: ${added.join(', ')}`);
+      }
+      if (removed.length > 0) {
+        console.log(`   Removed service types: ${removed.join(', ')}`);
+      }
+      if (changed.length > 0) {
+        console.log(`   Changed service types: ${changed.join(', ')}`);
+      }
+      if (result.sections.length > 0) {
+        console.log(`   Updated sections: ${result.sections.join(', ')}`);
+      }
+    }
+    result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED') {
+      console.error('❌ Styxy daemon is not running. Start it with: styxy daemon start');
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
 async function validateConfig(options) {
   console.log('🔍 Validating port configuration against CORE standards...');
 
@@ -126,6 +188,10 @@ async function generateUserConfig(options) {
       "listen_port": 9876,
       "log_level": "info",
       "cleanup_interval": 30
+    },
+    "transport": {
+      "tcp": true,
+      "unix_socket": true
     }
   };
 
@@ -5,6 +5,7 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { daemonRequest } = require('../utils/daemon-client');
 
 const configDir = path.join(process.env.HOME, '.styxy');
 const pidFile = path.join(configDir, 'daemon.pid');
@@ -91,11 +92,15 @@ function showStatus(options) {
     console.log(`Status: Running (PID: ${pid})`);
     
     // Try to get more info from daemon API
-    fetchDaemonStatus(options.port)
+    fetchDaemonStatus()
       .then(status => {
         console.log(`Uptime: ${Math.floor(status.uptime)}s`);
         console.log(`Allocations: ${status.allocations}`);
         console.log(`Instances: ${status.instances}`);
+        if (status.transports) {
+          const { tcp, unix_socket: socketPath } = status.transports;
+          console.log(`Listening: ${[tcp && `${tcp.host}:${tcp.port}`, socketPath].filter(Boolean).join(', ')}`);
+        }
       })
       .catch(() => {
         console.log('(Unable to fetch detailed status)');
@@ -148,8 +153,8 @@ function getDaemonPid() {
   return null;
 }
 
-async function fetchDaemonStatus(port = 9876) {
-  const response = await fetch(`http://127.0.0.1:${port}/status`);
+async function fetchDaemonStatus() {
+  const response = await daemonRequest('/status');
   if (!response.ok) {
     throw new Error(`HTTP ${response.status}`);
   }
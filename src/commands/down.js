@@ -0,0 +1,74 @@
+/**
+ * Project down command - release the services allocated by `styxy up`
+ */
+
+const { daemonRequest } = require('../utils/daemon-client');
+const ProjectManifest = require('../utils/project-manifest');
+const { findExistingAllocations } = require('./up');
+
+async function down(options = {}) {
+  try {
+    const manifest = ProjectManifest.find(options.project || process.cwd());
+    if (!manifest) {
+      throw new Error('No .styxy.json or "styxy" key in package.json found');
+    }
+
+    // Release exactly the lock IDs `up` holds; a shared singleton only loses this project's consumer
+    const existing = await findExistingAllocations(manifest);
+
+    const ports = [];
+    const errors = [];
+    let consumersReleased = 0;
+    for (const allocation of existing) {
+      const response = await daemonRequest(`/allocate/${allocation.lock_id}`, {
+        method: 'DELETE'
+      });
+      const released = await response.json();
+
+      if (!released.success) {
+        errors.push(released.error);
+      } else if (released.consumers_remaining > 0) {
+        consumersReleased++;
+      } else {
+        ports.push(...(released.ports || [released.port]));
+      }
+    }
+
+    const result = {
+      success: errors.length === 0,
+      released: ports.length,
+      ports,
+      consumers_released: consumersReleased,
+      message: existing.length > 0
+        ? `Released ${existing.length} services for ${manifest.root}`
+        : `No services are up for ${manifest.root}`
+    };
+    if (errors.length > 0) {
+      result.error = errors.join('; ');
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      if (!result.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+    } else {
+      console.error(`❌ Down failed: ${result.error}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = down;
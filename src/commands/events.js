@@ -0,0 +1,125 @@
+/**
+ * Stream daemon events command
+ */
+
+const { daemonRequest } = require('../utils/daemon-client');
+
+const RECONNECT_DELAY_MS = 1000;
+
+async function events(options = {}) {
+  const params = new URLSearchParams();
+  if (options.type) {
+    params.set('types', options.type);
+  }
+  if (!options.follow) {
+    params.set('follow', 'false');
+  }
+  const query = params.toString();
+
+  // Without --follow, show what the daemon has buffered; with it, only new events unless --since is given
+  let lastEventId = options.since !== undefined ? options.since : (options.follow ? null : '0');
+
+  try {
+    do {
+      const headers = lastEventId !== null ? { 'Last-Event-ID': String(lastEventId) } : {};
+      const response = await daemonRequest(`/events${query ? `?${query}` : ''}`, { headers });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      for await (const event of readEvents(response.body)) {
+        lastEventId = event.id;
+        printEvent(event, options);
+      }
+
+      // The daemon closed the stream (e.g. it restarted); resume after the last event seen
+      if (options.follow) {
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    } while (options.follow);
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse a Server-Sent Events body into the events carried in its data lines
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = message.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => line.slice(6))
+        .join('\n');
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+function printEvent(event, options) {
+  if (options.json) {
+    console.log(JSON.stringify(event));
+    return;
+  }
+
+  const time = new Date(event.timestamp).toLocaleTimeString();
+  console.log(`${time}  #${event.id}  ${event.type.padEnd(22)}  ${describe(event.data)}`);
+}
+
+function describe(data) {
+  const parts = [];
+
+  if (data.ports) {
+    parts.push(`ports ${data.ports[0]}-${data.ports[data.ports.length - 1]}`);
+  } else if (data.port) {
+    parts.push(`port ${data.port}`);
+  }
+  if (data.protocol && data.protocol !== 'tcp') {
+    parts.push(data.protocol);
+  }
+  if (data.service_type && data.service_type !== 'unknown') {
+    parts.push(data.service_type);
+  }
+  if (data.service_name && data.service_name !== 'unnamed-service') {
+    parts.push(`(${data.service_name})`);
+  }
+  if (data.process) {
+    parts.push(`${data.process} PID ${data.pid}`);
+  }
+  if (data.instance_id && data.instance_id !== 'unknown') {
+    parts.push(`instance ${data.instance_id}`);
+  }
+  if (data.reason) {
+    parts.push(`reason: ${data.reason}`);
+  }
+  if (data.remaining !== undefined) {
+    parts.push(`${data.remaining} consumers remain`);
+  }
+  if (data.state) {
+    parts.push(`${data.name}: ${data.previous_state} → ${data.state}`);
+  }
+
+  return parts.join('  ');
+}
+
+module.exports = events;
+module.exports.readEvents = readEvents;
@@ -14,22 +14,43 @@ async function list(options = {}) {
       return;
     }
 
+    const hasCooldowns = options.verbose && result.cooldowns && result.cooldowns.length > 0;
+
     if (result.allocations.length === 0) {
       console.log('No active port allocations');
-      return;
+      if (!hasCooldowns) {
+        return;
+      }
+      console.log('');
+    } else {
+      console.log('\nActive Port Allocations:');
+      console.log('=' .repeat(50));
     }
 
-    console.log('\nActive Port Allocations:');
-    console.log('=' .repeat(50));
-
     result.allocations.forEach(allocation => {
-      console.log(`Port ${allocation.port}: ${allocation.service_type}`);
+      const ports = allocation.ports && allocation.ports.length > 1
+        ? `Ports ${allocation.ports[0]}-${allocation.ports[allocation.ports.length - 1]}`
+        : `Port ${allocation.port}`;
+      const protocol = allocation.protocol && allocation.protocol !== 'tcp' ? `/${allocation.protocol}` : '';
+      console.log(`${ports}${protocol}: ${allocation.service_type}${allocation.pinned ? ' 📌 pinned' : ''}`);
 
       if (options.verbose) {
         console.log(`  Service Name: ${allocation.service_name || 'unnamed'}`);
         console.log(`  Lock ID: ${allocation.lock_id}`);
         console.log(`  Instance: ${allocation.instance_id || 'unknown'}`);
+        if (allocation.group_id) {
+          console.log(`  Group: ${allocation.group_id}`);
+        }
+        if (allocation.bind_address) {
+          console.log(`  Bind Address: ${allocation.bind_address}`);
+        }
+        if (allocation.process_id) {
+          console.log(`  Owner PID: ${allocation.process_id}${allocation.parent_process_id ? ` (session ${allocation.parent_process_id})` : ''}`);
+        }
         console.log(`  Allocated: ${allocation.allocated_at}`);
+        if (allocation.expires_at !== undefined) {
+          console.log(`  Lease expires: ${allocation.expires_at || 'never'}`);
+        }
         if (allocation.project_path) {
           console.log(`  Project: ${allocation.project_path}`);
         }
@@ -37,6 +58,17 @@ async function list(options = {}) {
       }
     });
 
+    if (hasCooldowns) {
+      console.log('Ports Cooling Down:');
+      console.log('='.repeat(50));
+      result.cooldowns.forEach(cooldown => {
+        console.log(`Port ${cooldown.port}: ${cooldown.service_type}`);
+        console.log(`  Released: ${cooldown.released_at}`);
+        console.log(`  Cooldown until: ${cooldown.cooldown_until}`);
+        console.log('');
+      });
+    }
+
     if (!options.verbose) {
       console.log(`\nTotal: ${result.allocations.length} allocations (use -v for details)`);
     }
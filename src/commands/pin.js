@@ -0,0 +1,50 @@
+/**
+ * Pin / unpin allocation commands
+ */
+
+const { daemonRequest } = require('../utils/daemon-client');
+
+async function setPinned(lockId, pinned, options = {}) {
+  const action = pinned ? 'pin' : 'unpin';
+
+  try {
+    const response = await daemonRequest(`/allocate/${lockId}/${action}`, {
+      method: 'PUT'
+    });
+
+    const result = await response.json();
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      if (!result.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+    } else {
+      console.error(`❌ ${pinned ? 'Pin' : 'Unpin'} failed: ${result.error}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+async function pin(lockId, options = {}) {
+  return setPinned(lockId, true, options);
+}
+
+async function unpin(lockId, options = {}) {
+  return setPinned(lockId, false, options);
+}
+
+module.exports = pin;
+module.exports.unpin = unpin;
@@ -2,11 +2,47 @@
  * Release port allocation command
  */
 
+const path = require('path');
 const { daemonRequest } = require('../utils/daemon-client');
 
+/**
+ * Build the bulk release query from filter options, or null if none were given
+ */
+function buildFilterQuery(options) {
+  const params = new URLSearchParams();
+  const filters = {
+    group: options.group,
+    instance_id: options.instance,
+    project_path: options.project ? path.resolve(options.project) : undefined,
+    service_type: options.service
+  };
+  for (const [field, value] of Object.entries(filters)) {
+    if (value) {
+      params.set(field, value);
+    }
+  }
+
+  if (params.toString() === '') {
+    return null;
+  }
+
+  if (options.includePinned) {
+    params.set('include_pinned', 'true');
+  }
+  return params;
+}
+
 async function release(lockId, options = {}) {
   try {
-    const response = await daemonRequest(`/allocate/${lockId}`, {
+    const filter = buildFilterQuery(options);
+    if (lockId && filter) {
+      throw new Error('Give either a lock ID or filter options, not both');
+    }
+    if (!lockId && !filter) {
+      throw new Error('Give a lock ID or at least one of --group, --instance, --project, --service');
+    }
+
+    const response = await daemonRequest(lockId ? `/allocate/${lockId}` : `/allocations?${filter}`, {
       method: 'DELETE'
     });
 
@@ -22,6 +58,15 @@ async function release(lockId, options = {}) {
 
     if (result.success) {
       console.log(`✅ ${result.message}`);
+      if (result.ports && result.ports.length > 0) {
+        console.log(`Ports: ${result.ports.join(', ')}`);
+      }
+      if (result.consumers_released > 0) {
+        console.log(`Left ${result.consumers_released} shared singleton consumers`);
+      }
+      if (result.skipped_pinned > 0) {
+        console.log(`📌 Kept ${result.skipped_pinned} pinned allocations (use --include-pinned to release them)`);
+      }
     } else {
       console.error(`❌ Release failed: ${result.error}`);
       process.exit(1);
@@ -36,4 +81,4 @@ async function release(lockId, options = {}) {
   }
 }
 
-module.exports = release;
\ No newline at end of file
+module.exports = release;
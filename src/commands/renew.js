@@ -0,0 +1,45 @@
+/**
+ * Renew allocation lease command
+ */
+
+const { daemonRequest } = require('../utils/daemon-client');
+
+async function renew(lockId, options = {}) {
+  try {
+    const response = await daemonRequest(`/allocate/${lockId}/renew`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ttl: options.ttl !== undefined ? parseInt(options.ttl) : undefined
+      })
+    });
+
+    const result = await response.json();
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      if (!result.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+    } else {
+      console.error(`❌ Renew failed: ${result.error}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = renew;
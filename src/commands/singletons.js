@@ -0,0 +1,48 @@
+/**
+ * List shared singleton services command
+ */
+
+const { daemonRequest } = require('../utils/daemon-client');
+
+async function singletons(options = {}) {
+  try {
+    const response = await daemonRequest('/singletons');
+    const result = await response.json();
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      return;
+    }
+
+    if (result.singletons.length === 0) {
+      console.log('No singleton services running');
+      return;
+    }
+
+    console.log('\nShared Singleton Services:');
+    console.log('='.repeat(50));
+
+    result.singletons.forEach(singleton => {
+      console.log(`Port ${singleton.port}: ${singleton.service_type}${singleton.pinned ? ' 📌 pinned' : ''}`);
+      console.log(`  Allocated: ${singleton.allocated_at}`);
+      console.log(`  Consumers (${singleton.consumers.length}):`);
+      singleton.consumers.forEach(consumer => {
+        const owner = consumer.pid ? `, PID ${consumer.pid}` : '';
+        const name = consumer.service_name && consumer.service_name !== 'unnamed-service' ? ` (${consumer.service_name})` : '';
+        console.log(`    ${consumer.lock_id}  ${consumer.instance_id}${owner}${name}`);
+      });
+      console.log('');
+    });
+
+    console.log(`Total: ${result.singletons.length} singleton services`);
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = singletons;
@@ -0,0 +1,54 @@
+/**
+ * Transfer allocation ownership command
+ */
+
+const path = require('path');
+const { daemonRequest } = require('../utils/daemon-client');
+
+async function transfer(lockId, options = {}) {
+  try {
+    const response = await daemonRequest(`/allocate/${lockId}/transfer`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        instance_id: options.to,
+        pid: options.pid ? parseInt(options.pid) : undefined,
+        parent_pid: options.parentPid ? parseInt(options.parentPid) : undefined,
+        project_path: options.project ? path.resolve(options.project) : undefined
+      })
+    });
+
+    const result = await response.json();
+
+    if (options.json) {
+      console.log(JSON.stringify(result));
+      if (!result.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+      if (result.pid) {
+        console.log(`Owner PID: ${result.pid}${result.parent_pid ? ` (session ${result.parent_pid})` : ''}`);
+      } else {
+        console.log('No owner process is watched; the allocation is kept until released or its lease expires');
+      }
+    } else {
+      console.error(`❌ Transfer failed: ${result.error}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = transfer;
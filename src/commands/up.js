@@ -0,0 +1,163 @@
+/**
+ * Project up command - allocate every service declared in the project manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { daemonRequest } = require('../utils/daemon-client');
+const { ErrorFactory } = require('../utils/enhanced-errors');
+const ProjectManifest = require('../utils/project-manifest');
+
+/**
+ * Find the lock IDs a previous `styxy up` holds for this manifest. Shared
+ * singletons are held through a consumer lock ID, so they are looked up in
+ * /singletons rather than by their allocation, which may belong to someone else.
+ * @returns {Promise<Array>} - [{ service_type, service_name, port, lock_id, group_id }]
+ */
+async function findExistingAllocations(manifest) {
+  const [allocationsResponse, singletonsResponse] = await Promise.all([
+    daemonRequest('/allocations'),
+    daemonRequest('/singletons')
+  ]);
+  const { allocations = [] } = await allocationsResponse.json();
+  const { singletons = [] } = await singletonsResponse.json();
+
+  const names = new Set(manifest.services.map(service => service.service_name));
+  const ours = record => record.group_id && record.project_path === manifest.root && names.has(record.service_name);
+  const singletonLocks = new Set(singletons.map(singleton => singleton.lock_id));
+
+  return [
+    ...allocations
+      .filter(allocation => ours(allocation) && !singletonLocks.has(allocation.lockId))
+      .map(allocation => ({
+        service_type: allocation.service_type,
+        service_name: allocation.service_name,
+        port: allocation.port,
+        lock_id: allocation.lockId,
+        group_id: allocation.group_id
+      })),
+    ...singletons.flatMap(singleton => singleton.consumers
+      .filter(ours)
+      .map(consumer => ({
+        service_type: singleton.service_type,
+        service_name: consumer.service_name,
+        port: singleton.port,
+        lock_id: consumer.lock_id,
+        group_id: consumer.group_id
+      })))
+  ];
+}
+
+async function up(options = {}) {
+  try {
+    const manifest = ProjectManifest.find(options.project || process.cwd());
+    if (!manifest) {
+      throw new Error('No .styxy.json or "styxy" key in package.json found');
+    }
+
+    // Keep services that survived from an earlier `up` and only allocate the ones that are gone
+    const existing = await findExistingAllocations(manifest);
+    const survivors = new Map();
+    for (const allocation of existing) {
+      if (!survivors.has(allocation.service_name)) {
+        survivors.set(allocation.service_name, allocation);
+      }
+    }
+    const missing = manifest.services.filter(service => !survivors.has(service.service_name));
+
+    let result;
+    if (missing.length === 0) {
+      result = {
+        success: true,
+        existing: true,
+        allocations: [...survivors.values()],
+        message: `Services for ${manifest.root} are already up`
+      };
+    } else {
+      const response = await daemonRequest('/allocate/batch', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          services: missing.map(({ service_type, service_name, preferred_port }) => ({
+            service_type,
+            service_name,
+            preferred_port
+          })),
+          instance_id: process.env.CLAUDE_INSTANCE_ID || 'cli',
+          project_path: manifest.root,
+          // Opt-in: a bare --pid means the shell or script that ran this command
+          pid: options.pid === true ? process.ppid : options.pid ? parseInt(options.pid) : undefined,
+          ttl: options.ttl !== undefined ? parseInt(options.ttl) : undefined
+        })
+      });
+
+      result = await response.json();
+      if (result.success && survivors.size > 0) {
+        result.allocations = [
+          ...survivors.values(),
+          ...result.allocations.map(allocation => ({ ...allocation, group_id: result.group_id }))
+        ];
+        result.message = `Allocated ${missing.length} missing of ${manifest.services.length} services for ${manifest.root}`;
+      }
+    }
+
+    if (result.success) {
+      // `down` releases every group, so a partial re-up can span more than one
+      result.group_ids = [...new Set([
+        ...[...survivors.values()].map(allocation => allocation.group_id),
+        ...(result.group_id ? [result.group_id] : [])
+      ])];
+      result.group_id = result.group_id || result.group_ids[0];
+    }
+
+    const ports = {};
+    for (const allocation of result.allocations || []) {
+      ports[allocation.service_name] = allocation.port;
+    }
+
+    if (result.success && options.output) {
+      fs.writeFileSync(path.resolve(manifest.root, options.output), manifest.toEnv(ports));
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...result, manifest: manifest.source }));
+      if (!result.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (result.success) {
+      console.log(`✅ ${result.message}`);
+      console.log(`Manifest: ${manifest.source}`);
+      console.log(`Group ID${result.group_ids.length > 1 ? 's' : ''}: ${result.group_ids.join(', ')}\n`);
+      process.stdout.write(manifest.toEnv(ports));
+      if (options.output) {
+        console.log(`\nPorts written to ${path.resolve(manifest.root, options.output)}`);
+      }
+    } else {
+      console.error(`❌ Up failed: ${result.error}`);
+      if (result.context && result.context.suggestions) {
+        result.context.suggestions.forEach(suggestion => {
+          console.error(`   • ${suggestion}`);
+        });
+      }
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }));
+    } else if (error.code === 'ECONNREFUSED' || error.message.includes('ECONNREFUSED')) {
+      console.error(ErrorFactory.daemonUnavailable().toCLIMessage());
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+up.findExistingAllocations = findExistingAllocations;
+
+module.exports = up;
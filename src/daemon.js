@@ -6,8 +6,11 @@
  * persistence for recovery.
  */
 
+const EventEmitter = require('events');
 const express = require('express');
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const lockfile = require('proper-lockfile');
@@ -16,6 +19,9 @@ const PortObserver = require('./utils/port-observer');
 const Validator = require('./utils/validator');
 const AuthMiddleware = require('./middleware/auth');
 const RateLimiter = require('./middleware/rate-limiter');
+const IdempotencyMiddleware = require('./middleware/idempotency');
+const EventBuffer = require('./utils/event-buffer');
+const HookRunner = require('./utils/hook-runner');
 const Logger = require('./utils/logger');
 const StateManager = require('./utils/state-manager');
 const CircuitBreaker = require('./utils/circuit-breaker');
@@ -26,13 +32,41 @@ const ConfigWriter = require('./utils/config-writer');
 const AuditLogger = require('./utils/audit-logger');
 const HealthMonitor = require('./utils/health-monitor');
 const SystemRecovery = require('./utils/system-recovery');
-
-class StyxyDaemon {
+const ProcessTracker = require('./utils/process-tracker');
+const PortAffinity = require('./utils/port-affinity');
+const AllocationQueue = require('./utils/allocation-queue');
+const Reaper = require('./utils/reaper');
+const PortProbe = require('./utils/port-probe');
+const { getStrategy } = require('./utils/allocation-strategies');
+
+// Lease length used when neither the request nor the service type specifies one
+const DEFAULT_LEASE_TTL_SECONDS = 30 * 60;
+
+// How a singleton is checked for liveness before it is handed to another client
+const DEFAULT_SINGLETON_PROBE = {
+  type: 'bind', // 'bind' = something holds the port; 'tcp' = accepts connections; 'http' = answers GET below 500
+  timeout_ms: 1000,
+  startup_grace_seconds: 30 // A new singleton is trusted while its service starts up
+};
+
+// Upper bound on the number of services in one batch allocation
+const MAX_BATCH_SIZE = 20;
+
+// Addresses test-bound when an allocation does not say where its service will bind.
+// Dev servers differ: some bind 127.0.0.1, some 0.0.0.0, and Vite/Next often try IPv6 first.
+const BIND_CHECK_ADDRESSES = ['127.0.0.1', '0.0.0.0', '::1', '::'];
+
+class StyxyDaemon extends EventEmitter {
   constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One 'event' listener per open /events stream
+
     this.port = options.port || 9876;
     this.configDir = options.configDir || path.join(process.env.HOME, '.styxy');
     this.stateFile = path.join(this.configDir, 'daemon.state');
     this.pidFile = path.join(this.configDir, 'daemon.pid');
+    this.socketPath = path.join(this.configDir, 'daemon.sock');
+    this.discoveryFile = path.join(this.configDir, 'daemon.json');
 
     // Enhanced components
     this.logger = new Logger({ component: 'daemon', logDir: path.join(this.configDir, 'logs') });
@@ -42,23 +76,40 @@ class StyxyDaemon {
     });
     this.metrics = new Metrics();
 
+    // Recent events for GET /events, and the responses streaming them
+    this.eventBuffer = new EventBuffer();
+    this.eventStreams = new Set();
+
     // Circuit breakers for external operations
     this.portScannerBreaker = new CircuitBreaker({
       name: 'port-scanner',
       failureThreshold: 3,
-      recoveryTimeout: 15000
+      recoveryTimeout: 15000,
+      onStateChange: (state, previousState) => this.publishEvent('circuit_breaker:state', {
+        name: 'port-scanner',
+        state,
+        previous_state: previousState
+      })
     });
 
     // In-memory state
     this.allocations = new Map();
+    this.blockPorts = new Map(); // Non-base port of a block allocation -> base port
     this.instances = new Map();
     this.singletonServices = new Map(); // Track single-instance services (Feature #1)
+    this.singletonProbes = new Map(); // Singleton lock ID -> in-flight liveness probe
     this.serviceTypes = this.loadServiceTypes();
     this.autoAllocationConfig = this.loadAutoAllocationConfig(); // Feature #2
     this.autoAllocationRules = this.loadAutoAllocationRules(); // Feature #2
     this.recoveryConfig = this.loadRecoveryConfig(); // Feature #3
+    this.transportConfig = this.loadTransportConfig();
     this.portScanner = new PortScanner();
 
+    // CONFIG RELOAD: Watch the config files once started
+    this.configWatchers = [];
+    this.configReloadTimer = null;
+    this.configReloadDelay = options.configReloadDelay || 500; // Debounce for file change events
+
     // CONCURRENT ALLOCATION SAFETY
     // Track ports being allocated (prevents race conditions)
     this.allocationInProgress = new Set();
@@ -67,9 +118,26 @@ class StyxyDaemon {
     // FEATURE #2: AUTO-ALLOCATION UTILITIES
     // Track service types being auto-allocated (prevents concurrent auto-allocation of same type)
     this.autoAllocationInProgress = new Set();
+    this.pendingServiceTypes = new Map(); // Planned by a batch, registered once it commits: service type -> config
     this.configWriter = new ConfigWriter(this.configDir);
     this.auditLogger = new AuditLogger(this.configDir);
 
+    // HOOKS: Webhooks and commands run on daemon events
+    this.hooksConfig = this.loadHooksConfig();
+    this.hookRunner = new HookRunner({
+      auditLogger: this.auditLogger,
+      cwd: this.configDir,
+      hooks: this.hooksConfig
+    });
+    this.on('event', event => {
+      this.hookRunner.dispatch(event).catch(error => {
+        this.logger.error('Hook dispatch failed', { error: error.message });
+      });
+    });
+
+    // REAPER: The one path every cleanup mechanism releases allocations through
+    this.reaper = new Reaper(this);
+
     // FEATURE #3: HEALTH MONITORING
     // Initialize health monitor (will start if enabled in config)
     this.healthMonitor = new HealthMonitor(this);
@@ -78,11 +146,31 @@ class StyxyDaemon {
     // Initialize system recovery (will run on startup if enabled)
     this.systemRecovery = new SystemRecovery(this);
 
+    // OWNER TRACKING: Release allocations when the requesting process exits
+    this.processTracker = new ProcessTracker({
+      checkInterval: options.processCheckInterval || 2000,
+      onExit: (lockId, pid) => this.handleOwnerExit(lockId, pid)
+    });
+
+    // PORT AFFINITY: Hand services the same port they had last time
+    this.portAffinity = new PortAffinity();
+
+    // WAIT QUEUE: Requests that wait for a port when their range is exhausted
+    this.allocationQueue = new AllocationQueue({ metrics: this.metrics });
+
+    // When each port was last released (used by the lru allocation strategy)
+    this.portReleaseTimes = new Map();
+
+    // Released ports that are only reused once nothing else is free: port -> { service_type, released_at, cooldown_until }
+    this.portCooldowns = new Map();
+
     // OBSERVATION MODE: Passive port monitoring
     // Track ports bound by ANY process, not just Styxy-allocated ones
     this.portObserver = new PortObserver({
       logger: this.logger,
-      scanInterval: options.observationInterval || 10000 // 10 seconds
+      scanInterval: options.observationInterval || 10000, // 10 seconds
+      onBind: (port, observation) => this.publishEvent('observer:bind', { port, ...observation }),
+      onUnbind: (port, observation) => this.publishEvent('observer:unbind', { port, ...observation })
     });
 
     // Express app setup
@@ -100,19 +188,28 @@ class StyxyDaemon {
     this.app.use(this.rateLimiter.limit());
     this.app.use(this.auth.authenticate());
 
+    // Retried mutations carrying the same Idempotency-Key replay the first response
+    this.idempotency = new IdempotencyMiddleware({
+      onRecord: () => this.saveState().catch(error => {
+        this.logger.error('Background state save failed', { error: error.message });
+      })
+    });
+
     this.setupRoutes();
 
     // Process monitoring and shutdown handling
     this.cleanupInterval = null;
     this.isShuttingDown = false;
-    this.server = null;
+    this.server = null; // TCP listener
+    this.socketServer = null; // Unix socket listener
     this.setupGracefulShutdown();
   }
   
   /**
    * Load service type configurations
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
    */
-  loadServiceTypes() {
+  loadServiceTypes({ strict = false } = {}) {
     // Try to load CORE port configuration first
     const coreConfigFile = path.join(__dirname, '../config/core-ports.json');
     const userConfigFile = path.join(this.configDir, 'config.json');
@@ -122,15 +219,24 @@ class StyxyDaemon {
       let config = {};
       if (fs.existsSync(coreConfigFile)) {
         const coreConfig = JSON.parse(fs.readFileSync(coreConfigFile, 'utf8'));
-        config = this.transformCoreConfig(coreConfig.service_types);
+        config = this.transformCoreConfig(coreConfig.service_types, { strict });
         this.logger.info('Loaded CORE port configuration from ~/docs/CORE/PORT_REFERENCE_GUIDE.md');
       }
 
       // Override with user configuration if exists
       if (fs.existsSync(userConfigFile)) {
         const userConfig = JSON.parse(fs.readFileSync(userConfigFile, 'utf8'));
+        if (strict) {
+          for (const [serviceType, serviceConfig] of Object.entries(userConfig.service_types || {})) {
+            try {
+              Validator.validateServiceTypeConfig({ ...serviceConfig });
+            } catch (error) {
+              throw new Error(`Service type '${serviceType}': ${error.message}`);
+            }
+          }
+        }
         // Transform user config to daemon format (same as CORE config)
-        const transformedUserConfig = this.transformCoreConfig(userConfig.service_types || {});
+        const transformedUserConfig = this.transformCoreConfig(userConfig.service_types || {}, { strict });
         config = { ...config, ...transformedUserConfig };
         this.logger.info('Applied user configuration overrides');
       }
@@ -138,7 +244,13 @@ class StyxyDaemon {
       if (Object.keys(config).length > 0) {
         return config;
       }
+      if (strict) {
+        throw new Error('No service types configured');
+      }
     } catch (error) {
+      if (strict) {
+        throw error;
+      }
       this.logger.warn('Failed to load configuration', { error: error.message });
     }
 
@@ -151,27 +263,53 @@ class StyxyDaemon {
 
   /**
    * Transform CORE config format to daemon format
+   * @param {object} options - { strict: throw on an invalid service type instead of skipping it }
    */
-  transformCoreConfig(coreServiceTypes) {
+  transformCoreConfig(coreServiceTypes, { strict = false } = {}) {
     const transformed = {};
 
     for (const [serviceType, config] of Object.entries(coreServiceTypes)) {
-      transformed[serviceType] = {
-        preferred_ports: config.preferred_ports,
-        range: config.port_range,
-        description: config.description,
-        examples: config.examples,
-        instance_behavior: Validator.validateInstanceBehavior(config.instance_behavior) // Feature #1: defaults to 'multi'
-      };
+      try {
+        transformed[serviceType] = this.transformServiceType(config);
+      } catch (error) {
+        if (strict) {
+          throw new Error(`Service type '${serviceType}': ${error.message}`);
+        }
+        this.logger.warn('Skipping invalid service type', { service_type: serviceType, error: error.message });
+      }
     }
 
     return transformed;
   }
 
+  /**
+   * Transform and validate a single service type config
+   */
+  transformServiceType(config) {
+    return {
+      preferred_ports: config.preferred_ports,
+      range: config.port_range,
+      description: config.description,
+      examples: config.examples,
+      instance_behavior: Validator.validateInstanceBehavior(config.instance_behavior), // Feature #1: defaults to 'multi'
+      multi_instance_pattern: Validator.validateMultiInstancePattern(config.multi_instance_pattern), // defaults to 'sequential'
+      cooldown_seconds: Validator.validateCooldown(config.cooldown_seconds || 0), // 0 = released ports are reusable at once
+      protocol: Validator.validateProtocol(config.protocol), // defaults to 'tcp'
+      bind_address: config.bind_address ? Validator.validateBindAddress(config.bind_address) : null, // null = unknown, check every address
+      reap_policy: Validator.validateReapPolicy(config.reap_policy), // overrides Reaper defaults
+      singleton_probe: Validator.validateSingletonProbe(config.singleton_probe), // overrides DEFAULT_SINGLETON_PROBE
+      default_ttl: config.default_ttl !== undefined // 0 = never expires; the fallback never exceeds max_ttl
+        ? config.default_ttl
+        : Math.min(DEFAULT_LEASE_TTL_SECONDS, config.max_ttl || DEFAULT_LEASE_TTL_SECONDS),
+      max_ttl: config.max_ttl || 0 // 0 = unlimited
+    };
+  }
+
   /**
    * Load auto-allocation configuration (Feature #2)
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
    */
-  loadAutoAllocationConfig() {
+  loadAutoAllocationConfig({ strict = false } = {}) {
     const coreConfigFile = path.join(__dirname, '../config/core-ports.json');
     const userConfigFile = path.join(this.configDir, 'config.json');
 
@@ -214,6 +352,10 @@ class StyxyDaemon {
 
       return config;
     } catch (error) {
+      if (strict) {
+        throw error;
+      }
+
       this.logger.warn('Failed to load auto-allocation config, using defaults', {
         error: error.message
       });
@@ -232,8 +374,9 @@ class StyxyDaemon {
 
   /**
    * Load auto-allocation rules (Feature #2)
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
    */
-  loadAutoAllocationRules() {
+  loadAutoAllocationRules({ strict = false } = {}) {
     const coreConfigFile = path.join(__dirname, '../config/core-ports.json');
     const userConfigFile = path.join(this.configDir, 'config.json');
 
@@ -267,6 +410,10 @@ class StyxyDaemon {
 
       return rules;
     } catch (error) {
+      if (strict) {
+        throw error;
+      }
+
       this.logger.warn('Failed to load auto-allocation rules, using empty rules', {
         error: error.message
       });
@@ -275,10 +422,85 @@ class StyxyDaemon {
     }
   }
 
+  /**
+   * Load which transports the API listens on: TCP on 127.0.0.1 and/or a
+   * Unix socket in the config directory that only this user can open
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
+   */
+  loadTransportConfig({ strict = false } = {}) {
+    const coreConfigFile = path.join(__dirname, '../config/core-ports.json');
+    const userConfigFile = path.join(this.configDir, 'config.json');
+    const defaults = { tcp: true, unix_socket: true };
+
+    try {
+      let config = { ...defaults };
+
+      if (fs.existsSync(coreConfigFile)) {
+        const coreConfig = JSON.parse(fs.readFileSync(coreConfigFile, 'utf8'));
+        if (coreConfig.transport) {
+          config = { ...config, ...coreConfig.transport };
+        }
+      }
+
+      if (fs.existsSync(userConfigFile)) {
+        const userConfig = JSON.parse(fs.readFileSync(userConfigFile, 'utf8'));
+        if (userConfig.transport) {
+          config = { ...config, ...userConfig.transport };
+        }
+      }
+
+      Validator.validateTransportConfig(config);
+
+      this.logger.info('Loaded transport configuration', config);
+
+      return config;
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+
+      this.logger.warn('Failed to load transport config, using defaults', {
+        error: error.message
+      });
+
+      return defaults;
+    }
+  }
+
+  /**
+   * Load the hooks section of the user config
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
+   */
+  loadHooksConfig({ strict = false } = {}) {
+    const userConfigFile = path.join(this.configDir, 'config.json');
+
+    try {
+      if (fs.existsSync(userConfigFile)) {
+        const userConfig = JSON.parse(fs.readFileSync(userConfigFile, 'utf8'));
+        if (userConfig.hooks) {
+          const hooks = Validator.validateHooksConfig(userConfig.hooks);
+          this.logger.info('Loaded hooks configuration', { events: Object.keys(hooks) });
+          return hooks;
+        }
+      }
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+
+      this.logger.warn('Failed to load hooks config, no hooks will run', {
+        error: error.message
+      });
+    }
+
+    return {};
+  }
+
   /**
    * Load recovery configuration (Feature #3)
+   * @param {object} options - { strict: throw on invalid config instead of falling back }
    */
-  loadRecoveryConfig() {
+  loadRecoveryConfig({ strict = false } = {}) {
     const coreConfigFile = path.join(__dirname, '../config/core-ports.json');
     const userConfigFile = path.join(this.configDir, 'config.json');
 
@@ -322,6 +544,8 @@ class StyxyDaemon {
         }
       }
 
+      Validator.validateHealthMonitoringConfig(config.health_monitoring);
+
       this.logger.info('Loaded recovery configuration', {
         port_conflict_enabled: config.port_conflict.enabled,
         health_monitoring_enabled: config.health_monitoring.enabled,
@@ -330,6 +554,10 @@ class StyxyDaemon {
 
       return config;
     } catch (error) {
+      if (strict) {
+        throw error;
+      }
+
       this.logger.warn('Failed to load recovery config, using defaults', {
         error: error.message
       });
@@ -358,12 +586,200 @@ class StyxyDaemon {
     }
   }
 
+  /**
+   * Re-read config.json and core-ports.json and apply them without a restart.
+   * The new config is fully loaded and validated before anything is swapped,
+   * and a reload that would leave a live allocation outside its service
+   * type's range (or without a service type) is refused unless forced.
+   * @param {object} options - { force: apply despite conflicts, source: 'api' | 'file_change' }
+   * @returns {Promise<object>} - { success, changed, service_types: { added, removed, changed }, sections, conflicts, warnings }
+   */
+  async reloadConfig({ force = false, source = 'api' } = {}) {
+    let next;
+    try {
+      next = {
+        serviceTypes: this.loadServiceTypes({ strict: true }),
+        autoAllocationConfig: this.loadAutoAllocationConfig({ strict: true }),
+        autoAllocationRules: this.loadAutoAllocationRules({ strict: true }),
+        recoveryConfig: this.loadRecoveryConfig({ strict: true }),
+        transportConfig: this.loadTransportConfig({ strict: true }),
+        hooksConfig: this.loadHooksConfig({ strict: true })
+      };
+    } catch (error) {
+      this.logger.warn('Configuration reload rejected', { source, error: error.message });
+      this.auditLogger.log('CONFIG_RELOAD_FAILED', { source, error: error.message });
+      this.metrics.incrementCounter('config_reload_errors_total', 1, { source });
+      throw new Error(`Invalid configuration: ${error.message}`);
+    }
+
+    const conflicts = this.findReloadConflicts(next.serviceTypes);
+    if (conflicts.length > 0 && !force) {
+      this.logger.warn('Configuration reload refused, live allocations would be orphaned', { source, conflicts });
+      this.auditLogger.log('CONFIG_RELOAD_FAILED', { source, error: 'orphaned allocations', conflicts });
+      this.metrics.incrementCounter('config_reload_errors_total', 1, { source });
+      throw ErrorFactory.configReloadConflict(conflicts);
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const serviceTypes = {
+      added: Object.keys(next.serviceTypes).filter(type => !this.serviceTypes[type]),
+      removed: Object.keys(this.serviceTypes).filter(type => !next.serviceTypes[type]),
+      changed: Object.keys(next.serviceTypes).filter(type =>
+        this.serviceTypes[type] && !same(this.serviceTypes[type], next.serviceTypes[type]))
+    };
+    const sections = [
+      ['auto_allocation', 'autoAllocationConfig'],
+      ['auto_allocation_rules', 'autoAllocationRules'],
+      ['recovery', 'recoveryConfig'],
+      ['hooks', 'hooksConfig']
+    ].filter(([, field]) => !same(this[field], next[field])).map(([section]) => section);
+
+    const warnings = conflicts.map(conflict => conflict.reason === 'service_type_removed'
+      ? `Port ${conflict.port} (${conflict.lock_id}) belongs to removed service type '${conflict.service_type}'`
+      : `Port ${conflict.port} (${conflict.lock_id}) is outside the new ${conflict.service_type} range ${conflict.range.join('-')}`);
+    if (!same(this.transportConfig, next.transportConfig)) {
+      warnings.push('Transport changes take effect after the daemon restarts');
+    }
+
+    const changed = serviceTypes.added.length + serviceTypes.removed.length +
+      serviceTypes.changed.length + sections.length > 0;
+
+    // Swap everything in one synchronous step so no request sees a half-applied config
+    const previousHealthMonitoring = this.recoveryConfig.health_monitoring;
+    this.serviceTypes = next.serviceTypes;
+    this.autoAllocationConfig = next.autoAllocationConfig;
+    this.autoAllocationRules = next.autoAllocationRules;
+    this.recoveryConfig = next.recoveryConfig;
+    if (sections.includes('hooks')) {
+      this.hooksConfig = next.hooksConfig;
+      this.hookRunner.setHooks(next.hooksConfig);
+    }
+    this.systemRecovery.config = next.recoveryConfig.system_recovery;
+
+    if (!same(previousHealthMonitoring, next.recoveryConfig.health_monitoring)) {
+      await this.healthMonitor.updateConfig(next.recoveryConfig.health_monitoring, {
+        start: Boolean(this.server || this.socketServer)
+      });
+    }
+
+    const result = {
+      success: true,
+      changed,
+      service_types: serviceTypes,
+      sections,
+      conflicts,
+      warnings
+    };
+
+    if (changed) {
+      this.logger.info('Configuration reloaded', { source, ...serviceTypes, sections, forced: conflicts.length > 0 });
+      this.auditLogger.log('CONFIG_RELOADED', {
+        source,
+        ...serviceTypes,
+        sections,
+        forced: conflicts.length > 0,
+        conflicts
+      });
+      this.metrics.incrementCounter('config_reloads_total', 1, { source });
+      this.publishEvent('config:reloaded', { reason: source, ...serviceTypes, sections, warnings });
+    }
+
+    return result;
+  }
+
+  /**
+   * Find live allocations a reloaded set of service types would orphan:
+   * their service type is gone, or a port now falls outside its range
+   */
+  findReloadConflicts(serviceTypes) {
+    const conflicts = [];
+
+    for (const [port, allocation] of this.allocations) {
+      const serviceType = allocation.serviceType || allocation.service_type;
+      const current = this.serviceTypes[serviceType];
+      if (!current) {
+        continue; // Not governed by the config today, so a reload can't orphan it
+      }
+
+      const ports = this.getAllocationPorts(port, allocation);
+      const outside = range => Boolean(range) && ports.some(p => p < range[0] || p > range[1]);
+      const next = serviceTypes[serviceType];
+      const describe = { port, lock_id: allocation.lockId || allocation.lock_id || null, service_type: serviceType };
+
+      if (!next) {
+        conflicts.push({ ...describe, reason: 'service_type_removed' });
+      } else if (outside(next.range) && !outside(current.range)) {
+        conflicts.push({ ...describe, ...(allocation.ports ? { ports } : {}), reason: 'outside_range', range: next.range });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Reload configuration when config.json or core-ports.json changes.
+   * Directories are watched rather than the files, so edits saved by
+   * replacing the file are still seen.
+   */
+  watchConfig() {
+    const targets = [
+      [this.configDir, 'config.json'],
+      [path.join(__dirname, '../config'), 'core-ports.json']
+    ];
+
+    for (const [dir, file] of targets) {
+      try {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          if (!filename || filename === file) {
+            this.scheduleConfigReload();
+          }
+        });
+        watcher.on('error', error => {
+          this.logger.warn('Config watcher failed', { dir, error: error.message });
+        });
+        watcher.unref();
+        this.configWatchers.push(watcher);
+      } catch (error) {
+        this.logger.warn('Unable to watch config directory, use "styxy config reload" after edits', {
+          dir,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Debounce reloads, since one save can fire several change events
+   */
+  scheduleConfigReload() {
+    clearTimeout(this.configReloadTimer);
+    this.configReloadTimer = setTimeout(() => {
+      this.configReloadTimer = null;
+      this.reloadConfig({ source: 'file_change' }).catch(() => {
+        // Already logged and audited; the running config stays in place
+      });
+    }, this.configReloadDelay);
+    this.configReloadTimer.unref();
+  }
+
+  /**
+   * Stop watching the config files
+   */
+  stopConfigWatcher() {
+    clearTimeout(this.configReloadTimer);
+    this.configReloadTimer = null;
+    for (const watcher of this.configWatchers) {
+      watcher.close();
+    }
+    this.configWatchers = [];
+  }
+
   /**
    * Setup Express routes for HTTP API
    */
   setupRoutes() {
     // Port allocation endpoint
-    this.app.post('/allocate', async (req, res) => {
+    this.app.post('/allocate', this.idempotency.guard(), async (req, res) => {
       const endTimer = this.metrics.startTimer('allocation_request_duration');
 
       try {
@@ -377,16 +793,18 @@ class StyxyDaemon {
           remoteIP: req.ip || req.connection?.remoteAddress
         };
 
-        const result = await this.allocatePort({ ...req.body, ...requestContext });
+        const result = req.query.explain === 'true'
+          ? await this.explainAllocation(req.body)
+          : await this.allocatePort({ ...req.body, ...requestContext });
         endTimer();
         res.json(result);
       } catch (error) {
         endTimer();
         this.metrics.incrementCounter('allocation_errors_total');
 
-        // Enhanced error response
+        // Enhanced error response; strict-mode port conflicts are 409
         if (error.toJSON) {
-          res.status(400).json(error.toJSON());
+          res.status(error.category === 'CONFLICT' ? 409 : 400).json(error.toJSON());
         } else {
           res.status(400).json({
             success: false,
@@ -396,8 +814,52 @@ class StyxyDaemon {
       }
     });
     
+    // Atomic batch allocation endpoint
+    this.app.post('/allocate/batch', this.idempotency.guard(), async (req, res) => {
+      const endTimer = this.metrics.startTimer('batch_allocation_request_duration');
+
+      try {
+        Validator.validateJsonSize(JSON.stringify(req.body));
+
+        const requestContext = {
+          userAgent: req.get('User-Agent'),
+          remoteIP: req.ip || req.connection?.remoteAddress
+        };
+
+        const result = await this.allocateBatch({ ...req.body, ...requestContext });
+        endTimer();
+        res.json(result);
+      } catch (error) {
+        endTimer();
+
+        if (error.toJSON) {
+          res.status(400).json(error.toJSON());
+        } else {
+          res.status(400).json({
+            success: false,
+            error: Validator.sanitizeForLogging(error.message)
+          });
+        }
+      }
+    });
+
+    // Batch group release endpoint
+    this.app.delete('/allocate/batch/:groupId', this.idempotency.guard(), async (req, res) => {
+      try {
+        const groupId = Validator.validateGroupId(req.params.groupId);
+        const result = await this.releaseGroup(groupId);
+        res.json(result);
+      } catch (error) {
+        const status = error.message.includes('not found') ? 404 : 400;
+        res.status(status).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
     // Port release endpoint
-    this.app.delete('/allocate/:lockId', async (req, res) => {
+    this.app.delete('/allocate/:lockId', this.idempotency.guard(), async (req, res) => {
       try {
         const lockId = Validator.validateLockId(req.params.lockId);
         const result = await this.releasePort(lockId);
@@ -410,21 +872,74 @@ class StyxyDaemon {
       }
     });
     
+    // Lease renewal endpoint
+    this.app.put('/allocate/:lockId/renew', async (req, res) => {
+      try {
+        const lockId = Validator.validateLockId(req.params.lockId);
+        const result = await this.renewLease(lockId, req.body && req.body.ttl);
+        res.json(result);
+      } catch (error) {
+        const status = error.message.includes('not found') ? 404 : 400;
+        res.status(status).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
+    // Pin / unpin endpoints
+    for (const [action, pinned] of [['pin', true], ['unpin', false]]) {
+      this.app.put(`/allocate/:lockId/${action}`, async (req, res) => {
+        try {
+          const lockId = Validator.validateLockId(req.params.lockId);
+          const result = await this.setPinned(lockId, pinned);
+          res.json(result);
+        } catch (error) {
+          const status = error.message.includes('not found') ? 404 : 400;
+          res.status(status).json({
+            success: false,
+            error: Validator.sanitizeForLogging(error.message)
+          });
+        }
+      });
+    }
+
+    // Ownership transfer endpoint
+    this.app.post('/allocate/:lockId/transfer', async (req, res) => {
+      try {
+        const lockId = Validator.validateLockId(req.params.lockId);
+        const result = await this.transferAllocation(lockId, req.body || {});
+        res.json(result);
+      } catch (error) {
+        const status = error.message.includes('not found') ? 404 : 400;
+        res.status(status).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
     // Port availability check
     this.app.get('/check/:port', async (req, res) => {
       try {
         const port = Validator.validatePort(req.params.port);
-        const available = await this.isPortAvailable(port);
-        const portInfo = await this.portScanner.getPortInfo(port);
+        const protocol = Validator.validateProtocol(req.query.protocol);
+        const bindAddress = req.query.bind_address ? Validator.validateBindAddress(req.query.bind_address) : null;
+        const available = await this.isPortAvailable(port, protocol, bindAddress);
+        const portInfo = await this.portScanner.getPortInfo(port, protocol);
+        const addresses = await this.checkPortAddresses(port, protocol, bindAddress);
 
-        const allocation = this.allocations.get(port);
-        const isActuallyAvailable = available && !allocation;
+        const allocation = this.getAllocationAt(port);
+        const systemFree = available && addresses.every(result => result.available);
+        const isActuallyAvailable = systemFree && !allocation;
 
         res.json({
           port,
+          protocol,
           available: isActuallyAvailable,
+          addresses,
           allocated_to: allocation || null,
-          system_usage: available ? null : portInfo
+          system_usage: systemFree ? null : portInfo
         });
       } catch (error) {
         res.status(500).json({
@@ -441,7 +956,8 @@ class StyxyDaemon {
         uptime: process.uptime(),
         allocations: this.allocations.size,
         instances: this.instances.size,
-        memory: process.memoryUsage()
+        memory: process.memoryUsage(),
+        transports: this.getTransports()
       });
     });
     
@@ -449,9 +965,86 @@ class StyxyDaemon {
     this.app.get('/allocations', (req, res) => {
       const allocations = Array.from(this.allocations.entries()).map(([port, data]) => ({
         port,
-        ...data
+        ...data,
+        ports: this.getAllocationPorts(port, data),
+        pinned: data.pinned === true
       }));
-      res.json({ allocations });
+      res.json({ allocations, cooldowns: this.getActiveCooldowns() });
+    });
+
+    // Bulk release by group, instance, project or service type
+    this.app.delete('/allocations', this.idempotency.guard(), async (req, res) => {
+      try {
+        const { include_pinned, ...filter } = req.query;
+        const result = await this.releaseAllocations(filter, { includePinned: include_pinned === 'true' });
+        res.json(result);
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
+    // Shared singleton services and their consumers
+    this.app.get('/singletons', (req, res) => {
+      const singletons = Array.from(this.singletonServices.values()).map(singleton => {
+        const allocation = this.allocations.get(singleton.port);
+        return {
+          service_type: singleton.serviceType,
+          port: singleton.port,
+          lock_id: singleton.lockId,
+          instance_id: singleton.instanceId,
+          allocated_at: allocation ? allocation.allocated_at : new Date(singleton.allocatedAt).toISOString(),
+          pinned: allocation ? allocation.pinned === true : false,
+          consumers: singleton.consumers || []
+        };
+      });
+      res.json({ singletons });
+    });
+
+    // Port affinity endpoints
+    this.app.get('/affinity', (req, res) => {
+      try {
+        const filter = {
+          project_path: req.query.project_path ? Validator.validateWorkingDirectory(req.query.project_path) : undefined,
+          service_type: req.query.service_type,
+          service_name: req.query.service_name ? Validator.validateServiceName(req.query.service_name) : undefined
+        };
+
+        res.json({ affinity: this.portAffinity.list(filter) });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
+    this.app.delete('/affinity', async (req, res) => {
+      try {
+        const filter = {
+          project_path: req.query.project_path ? Validator.validateWorkingDirectory(req.query.project_path) : undefined,
+          service_type: req.query.service_type,
+          service_name: req.query.service_name ? Validator.validateServiceName(req.query.service_name) : undefined
+        };
+
+        const cleared = this.portAffinity.clear(filter);
+        if (cleared > 0) {
+          await this.saveState();
+        }
+
+        res.json({
+          success: true,
+          cleared,
+          message: `Cleared ${cleared} affinity entries`
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
     });
 
     // Configuration endpoint
@@ -465,9 +1058,26 @@ class StyxyDaemon {
       });
     });
 
-    // Instance management endpoints
-    this.app.get('/instance/list', (req, res) => {
-      const instances = Array.from(this.instances.entries()).map(([id, data]) => ({
+    // Re-read the config files and apply them without a restart
+    this.app.post('/config/reload', async (req, res) => {
+      try {
+        const result = await this.reloadConfig({ force: req.body.force === true, source: 'api' });
+        res.json(result);
+      } catch (error) {
+        if (error.toJSON) {
+          res.status(error.category === 'CONFLICT' ? 409 : 400).json(error.toJSON());
+        } else {
+          res.status(400).json({
+            success: false,
+            error: Validator.sanitizeForLogging(error.message)
+          });
+        }
+      }
+    });
+
+    // Instance management endpoints
+    this.app.get('/instance/list', (req, res) => {
+      const instances = Array.from(this.instances.entries()).map(([id, data]) => ({
         instance_id: id,
         ...data
       }));
@@ -521,13 +1131,25 @@ class StyxyDaemon {
     // Cleanup endpoint
     this.app.post('/cleanup', async (req, res) => {
       try {
-        const result = await this.performCleanup(req.body.force || false);
+        const result = await this.performCleanup(req.body.force || false, req.body.include_pinned || false);
         res.json(result);
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    // Recent reaps with their release reasons
+    this.app.get('/cleanup/history', (req, res) => {
+      const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200) : 50;
+      res.json({
+        history: this.reaper.getHistory({
+          limit,
+          reason: req.query.reason,
+          service_type: req.query.service_type
+        })
+      });
+    });
+
     // System port scan endpoint
     this.app.get('/scan', async (req, res) => {
       try {
@@ -539,7 +1161,7 @@ class StyxyDaemon {
         for (let port = startPort; port < startPort + maxPorts; port++) {
           const available = await this.isPortAvailable(port);
           if (!available) {
-            const allocation = this.allocations.get(port);
+            const allocation = this.getAllocationAt(port);
             const systemUsage = allocation ? null : await this.portScanner.getPortInfo(port);
 
             results.push({
@@ -737,6 +1359,7 @@ class StyxyDaemon {
             pid: observation.pid,
             process: observation.process,
             command: observation.command,
+            protocol: observation.protocol,
             service_type: observation.service_type,
             instance_id: observation.instance_id,
             timestamp: observation.timestamp,
@@ -771,6 +1394,27 @@ class StyxyDaemon {
       }
     });
 
+    /**
+     * GET /events - Stream daemon events as Server-Sent Events
+     * ?types= filters by type or prefix; Last-Event-ID replays missed events
+     */
+    this.app.get('/events', (req, res) => {
+      try {
+        const types = Validator.validateEventTypes(req.query.types);
+        const lastEventIdValue = req.get('Last-Event-ID') ?? req.query.last_event_id;
+        const lastEventId = lastEventIdValue === undefined
+          ? this.eventBuffer.lastId
+          : Validator.validateLastEventId(lastEventIdValue);
+
+        this.streamEvents(req, res, { types, lastEventId, follow: req.query.follow !== 'false' });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: Validator.sanitizeForLogging(error.message)
+        });
+      }
+    });
+
     /**
      * GET /suggest/:serviceType - Suggest available ports for a service type
      * Returns list of free ports that would work for this service
@@ -878,138 +1522,199 @@ class StyxyDaemon {
   /**
    * Allocate a port for a service (CONCURRENT-SAFE VERSION)
    */
-  async allocatePort({ service_type, service_name, preferred_port, instance_id, project_path, userAgent, remoteIP, dry_run }) {
+  async allocatePort({ service_type, service_name, preferred_port, instance_id, project_path, pid, parent_pid, ttl, pinned, strict, count, protocol, bind_address, group, session_id, wait_timeout_ms, userAgent, remoteIP, dry_run }) {
     // Validate basic inputs (but allow unknown service types for auto-allocation)
     const validServiceName = service_name ? Validator.validateServiceName(service_name) : 'unnamed-service';
     const validInstanceId = instance_id ? Validator.validateInstanceId(instance_id) : 'default';
     const validProjectPath = project_path ? Validator.validateWorkingDirectory(project_path) : process.cwd();
+    const validPid = pid !== undefined && pid !== null ? Validator.validatePid(pid) : null;
+    const validParentPid = parent_pid !== undefined && parent_pid !== null ? Validator.validatePid(parent_pid) : null;
+    const validWaitTimeout = wait_timeout_ms !== undefined && wait_timeout_ms !== null ? Validator.validateWaitTimeout(wait_timeout_ms) : 0;
+    const validGroupId = this.resolveRequestedGroup(group, session_id);
+    const validCount = count !== undefined && count !== null ? Validator.validatePortCount(count) : 1;
+    const requestedProtocol = protocol !== undefined && protocol !== null ? Validator.validateProtocol(protocol) : null;
+    const requestedBindAddress = bind_address !== undefined && bind_address !== null ? Validator.validateBindAddress(bind_address) : null;
+
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      throw new Error('pinned must be a boolean');
+    }
+
+    if (strict !== undefined && typeof strict !== 'boolean') {
+      throw new Error('strict must be a boolean');
+    }
 
     let validPreferredPort;
     if (preferred_port !== undefined) {
       validPreferredPort = Validator.validatePort(preferred_port);
     }
 
-    const requestContext = { userAgent, remoteIP };
-
-    // FEATURE #2: Check if service type exists, if not, attempt auto-allocation
-    let validServiceType = service_type;
-    let autoAllocationInfo = null; // Track if auto-allocation occurred
-    if (!this.serviceTypes[service_type]) {
-      // Unknown service type - try auto-allocation
-      this.logger.info('Unknown service type detected, attempting auto-allocation', {
-        serviceType: service_type,
-        autoAllocationEnabled: this.autoAllocationConfig.enabled
-      });
-
-      try {
-        const allocatedConfig = await this.handleAutoAllocation(service_type, requestContext);
-        validServiceType = service_type; // Now it exists after auto-allocation
-
-        // Store auto-allocation info for response
-        autoAllocationInfo = {
-          auto_allocated: true,
-          allocated_range: allocatedConfig.range,
-          chunk_size: allocatedConfig.range[1] - allocatedConfig.range[0] + 1,
-          placement: this.autoAllocationConfig.placement
-        };
-      } catch (error) {
-        // Auto-allocation failed or disabled - fall back to validation error
-        throw new Error(`Unknown service type '${service_type}': ${error.message}`);
-      }
+    // Strict mode allocates exactly preferred_port or fails with a conflict error
+    if (strict && validPreferredPort === undefined) {
+      throw new Error('strict requires preferred_port');
+    }
+    if (strict && validWaitTimeout > 0) {
+      throw new Error('strict cannot be combined with wait_timeout_ms');
     }
 
-    // Validate service type exists (after potential auto-allocation)
-    validServiceType = Validator.validateServiceType(validServiceType, this.serviceTypes);
+    const requestContext = { userAgent, remoteIP };
+
+    const { serviceType: validServiceType, autoAllocationInfo } = await this.resolveServiceType(service_type, requestContext);
 
     const serviceConfig = this.serviceTypes[validServiceType];
+    const validTtl = ttl !== undefined && ttl !== null
+      ? Validator.validateTtl(ttl, serviceConfig.max_ttl)
+      : this.getDefaultTtl(validServiceType);
+    const validProtocol = requestedProtocol || serviceConfig.protocol || 'tcp';
+    const validBindAddress = requestedBindAddress || serviceConfig.bind_address || null;
 
     // Feature #1: Check for singleton service behavior
+    let replacedSingletonPort = null;
     if (serviceConfig.instance_behavior === 'single') {
-      const existingSingleton = this.getSingleton(validServiceType);
-      if (existingSingleton) {
-        // Singleton already exists, return existing allocation
-        this.logger.info('Singleton service reused', {
-          serviceType: validServiceType,
-          existingPort: existingSingleton.port,
-          existingInstanceId: existingSingleton.instanceId,
-          requestedInstanceId: validInstanceId
-        });
+      let existingSingleton = this.getSingleton(validServiceType);
+      while (existingSingleton) {
+        const singletonStatus = await this.verifySingleton(validServiceType, existingSingleton);
+        if (singletonStatus && strict && existingSingleton.port !== validPreferredPort) {
+          throw this.singletonPortConflict(validPreferredPort, validServiceType, existingSingleton);
+        }
+        if (singletonStatus) {
+          return this.reuseSingleton(validServiceType, existingSingleton, {
+            instance_id: validInstanceId,
+            service_name: validServiceName,
+            project_path: validProjectPath,
+            pid: validPid,
+            parent_pid: validParentPid,
+            group_id: validGroupId
+          }, singletonStatus);
+        }
 
-        return {
-          port: existingSingleton.port,
-          lockId: existingSingleton.lockId,
-          message: `Service '${validServiceType}' only allows single instance`,
-          existing: true,
-          existingInstanceId: existingSingleton.instanceId,
-          existingPid: existingSingleton.pid,
-          allocatedAt: existingSingleton.allocatedAt
-        };
+        // The dead singleton was released; another request may already have replaced it
+        replacedSingletonPort = existingSingleton.port;
+        const current = this.getSingleton(validServiceType);
+        existingSingleton = current !== existingSingleton ? current : undefined;
       }
       // If no singleton exists, proceed with normal allocation and register as singleton
     }
 
-    // Build candidate ports list (preferred + service preferred + range)
-    const candidatePorts = [];
-
-    // Add preferred port first
-    if (validPreferredPort) {
-      candidatePorts.push(validPreferredPort);
-    }
-
-    // Add service preferred ports
-    for (const port of serviceConfig.preferred_ports) {
-      if (!candidatePorts.includes(port)) {
-        candidatePorts.push(port);
-      }
-    }
-
-    // Add service range ports
+    // Without a project path there is no project to stick a port to
+    const affinityPort = project_path ? this.portAffinity.get(validProjectPath, validServiceType, validServiceName) : null;
     const [start, end] = serviceConfig.range;
-    for (let port = start; port <= end; port++) {
-      if (!candidatePorts.includes(port)) {
-        candidatePorts.push(port);
+    const candidatePorts = (strict
+      ? [validPreferredPort]
+      : this.buildCandidatePorts(serviceConfig, {
+        preferredPort: validPreferredPort,
+        affinityPort,
+        serviceName: validServiceName,
+        projectPath: validProjectPath
+      }))
+      // A block starts at each candidate and must fit in the range (unless explicitly requested)
+      .filter(port => validCount === 1 || port === validPreferredPort || (port >= start && port + validCount - 1 <= end));
+
+    // DRY RUN MODE: Run the candidate checks without allocating
+    if (dry_run) {
+      const { selected, verdicts } = await this.evaluateCandidates(candidatePorts, validCount, validProtocol, validBindAddress);
+      if (selected !== null) {
+        return {
+          success: true,
+          port: selected,
+          ...(validCount > 1 ? { count: validCount, ports: this.blockRange(selected, validCount) } : {}),
+          protocol: validProtocol,
+          bind_address: validBindAddress,
+          dry_run: true,
+          message: `Port ${selected} would be allocated (dry run mode)`,
+          service_type: validServiceType,
+          service_name: validServiceName
+        };
       }
-    }
 
-    // DRY RUN MODE: Just return first available port without allocating
-    if (dry_run) {
-      for (const port of candidatePorts) {
-        if (!this.allocations.has(port) && !this.allocationInProgress.has(port)) {
-          return {
-            success: true,
-            port,
-            dry_run: true,
-            message: `Port ${port} would be allocated (dry run mode)`,
-            service_type: validServiceType,
-            service_name: validServiceName
-          };
-        }
+      if (strict) {
+        throw await this.preferredPortConflict(verdicts[0].blocked_port || validPreferredPort, validServiceType, validProtocol);
       }
 
       // No ports available even in dry run
-      throw ErrorFactory.portRangeExhausted(validServiceType, start, end, candidatePorts.filter(p => this.allocations.has(p)));
+      throw ErrorFactory.portRangeExhausted(validServiceType, start, end,
+        verdicts.filter(v => v.verdict === 'allocated').map(v => v.port));
     }
 
-    // Try to allocate from candidate ports using atomic reservation
-    const allocatedPorts = [];
-    for (const port of candidatePorts) {
-      const result = await this.tryAtomicAllocation(port, {
-        service_type: validServiceType,
-        service_name: validServiceName,
-        instance_id: validInstanceId,
-        project_path: validProjectPath
-      }, requestContext);
+    const metadata = {
+      service_type: validServiceType,
+      service_name: validServiceName,
+      instance_id: validInstanceId,
+      project_path: validProjectPath,
+      affinity: Boolean(project_path),
+      pid: validPid,
+      parent_pid: validParentPid,
+      ttl: validTtl,
+      pinned: pinned === true,
+      group_id: validGroupId,
+      protocol: validProtocol,
+      bind_address: validBindAddress,
+      ...(validCount > 1 ? { count: validCount } : {})
+    };
+
+    const deadline = Date.now() + validWaitTimeout;
+    let allocatedPorts = [];
+    let conflictPort = validPreferredPort;
+    let waitedMs = 0;
+    let servedFromQueue = false;
+    let handoffPending = false;
 
-      if (result.success) {
-        // Add auto-allocation info if present
-        if (autoAllocationInfo) {
-          return { ...result, ...autoAllocationInfo };
+    try {
+      while (true) {
+        // Requests already waiting for this service type get freed ports first; a strict
+        // request only wants its own port, so it does not compete with them
+        if (handoffPending || strict || !this.allocationQueue.isContended(validServiceType)) {
+          // Try to allocate from candidate ports using atomic reservation
+          allocatedPorts = [];
+          for (const port of candidatePorts) {
+            const result = await this.tryAtomicAllocation(port, metadata, requestContext);
+
+            if (result.success) {
+              // Add auto-allocation and queue info if present
+              return {
+                ...result,
+                ...(autoAllocationInfo || {}),
+                ...(servedFromQueue ? { queued_ms: waitedMs } : {}),
+                ...(replacedSingletonPort !== null ? { singleton_status: 'replaced', replaced_port: replacedSingletonPort } : {})
+              };
+            } else if (result.reason === 'allocated') {
+              allocatedPorts.push(port);
+            }
+            conflictPort = result.port || port;
+            // If reason === 'in_progress', continue to next port immediately
+          }
+        }
+
+        if (handoffPending) {
+          this.allocationQueue.completeHandoff(validServiceType);
+          handoffPending = false;
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          break;
+        }
+
+        try {
+          // A waiter that lost its freed port rejoins at the head of the queue
+          waitedMs += await this.allocationQueue.wait(validServiceType, remaining, { front: servedFromQueue });
+          servedFromQueue = true;
+          handoffPending = true;
+        } catch (error) {
+          if (error.code !== 'WAIT_TIMEOUT') {
+            throw error;
+          }
+          this.metrics.incrementCounter('allocation_queue_timeouts_total', 1, { service_type: validServiceType });
+          break;
         }
-        return result;
-      } else if (result.reason === 'allocated') {
-        allocatedPorts.push(port);
       }
-      // If reason === 'in_progress', continue to next port immediately
+    } finally {
+      if (handoffPending) {
+        this.allocationQueue.completeHandoff(validServiceType);
+      }
+    }
+
+    if (strict) {
+      throw await this.preferredPortConflict(conflictPort, validServiceType, validProtocol);
     }
 
     // Use enhanced error with actionable suggestions
@@ -1017,223 +1722,1231 @@ class StyxyDaemon {
   }
 
   /**
-   * Handle auto-allocation of unknown service type (Feature #2)
-   * Returns the newly created service type configuration
+   * Build the conflict error for a strict request, naming whoever holds the port
    */
-  async handleAutoAllocation(serviceType, requestContext = {}) {
-    // Check if auto-allocation is enabled
-    if (!this.autoAllocationConfig.enabled) {
-      throw new Error(`Unknown service type '${serviceType}' and auto-allocation is disabled`);
+  async preferredPortConflict(port, serviceType, protocol = 'tcp') {
+    const allocation = this.getAllocationAt(port);
+    if (allocation) {
+      return ErrorFactory.preferredPortConflict(port, serviceType, this.describeHolder(allocation),
+        Math.floor((Date.now() - new Date(allocation.allocated_at).getTime()) / 1000));
     }
 
-    // Check if already being auto-allocated (prevent duplicate concurrent auto-allocations)
-    if (this.autoAllocationInProgress.has(serviceType)) {
-      // Wait for the concurrent auto-allocation to complete
-      let retries = 0;
-      while (this.autoAllocationInProgress.has(serviceType) && retries < 30) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        retries++;
-      }
-
-      // After waiting, reload service types and check if it exists now
-      this.serviceTypes = this.loadServiceTypes();
-      if (this.serviceTypes[serviceType]) {
-        return this.serviceTypes[serviceType];
-      }
-
-      throw new Error(`Auto-allocation of '${serviceType}' timed out`);
+    if (this.allocationInProgress.has(port)) {
+      return ErrorFactory.preferredPortConflict(port, serviceType, { type: 'reserving' });
     }
 
-    // Mark as in progress
-    this.autoAllocationInProgress.add(serviceType);
-
-    try {
-      this.logger.info('Starting auto-allocation', {
-        serviceType,
-        autoAllocationConfig: this.autoAllocationConfig
-      });
-
-      // Apply auto-allocation rules to determine chunk size
-      const chunkSize = this.getChunkSizeForServiceType(serviceType);
+    const portInfo = await this.portScanner.getPortInfo(port, protocol);
+    const owner = portInfo && portInfo.process;
+    if (owner && owner.pid) {
+      return ErrorFactory.preferredPortConflict(port, serviceType, {
+        type: 'process',
+        pid: owner.pid,
+        name: owner.name || null
+      }, ProcessTracker.getElapsedSeconds(owner.pid));
+    }
 
-      // Use RangeAnalyzer to find available range
-      const [startPort, endPort] = RangeAnalyzer.findNextAvailableRange(
-        chunkSize,
-        this.autoAllocationConfig.placement,
-        this.autoAllocationConfig,
-        this.serviceTypes,
-        serviceType
-      );
+    return ErrorFactory.preferredPortConflict(port, serviceType, { type: 'unknown' });
+  }
 
-      this.logger.info('Found available range for auto-allocation', {
-        serviceType,
-        range: [startPort, endPort],
-        placement: this.autoAllocationConfig.placement
-      });
+  /**
+   * Build the conflict error for a strict request on a single-instance type already running on another port
+   */
+  singletonPortConflict(port, serviceType, singleton) {
+    const allocation = this.allocations.get(singleton.port) || {
+      service_type: serviceType,
+      lockId: singleton.lockId,
+      instance_id: singleton.instanceId,
+      allocated_at: new Date(singleton.allocatedAt).toISOString()
+    };
 
-      // Use ConfigWriter to atomically add service type
-      const metadata = {
-        description: `Auto-allocated service type for ${serviceType}`,
-        instance_behavior: 'multi',
-        examples: [`${serviceType} service instance`]
-      };
+    return ErrorFactory.preferredPortConflict(port, serviceType, {
+      ...this.describeHolder(allocation),
+      type: 'singleton',
+      port: singleton.port,
+      consumers: singleton.consumers.length
+    }, Math.floor((Date.now() - new Date(allocation.allocated_at).getTime()) / 1000));
+  }
 
-      await this.configWriter.addServiceType(serviceType, [startPort, endPort], metadata);
+  /**
+   * Describe the Styxy allocation holding a port, for conflict errors
+   */
+  describeHolder(allocation) {
+    return {
+      type: 'styxy',
+      service_type: allocation.service_type,
+      service_name: allocation.service_name,
+      lock_id: allocation.lockId,
+      instance_id: allocation.instance_id,
+      project_path: allocation.project_path,
+      process_id: allocation.process_id || null,
+      pinned: allocation.pinned === true,
+      allocated_at: allocation.allocated_at
+    };
+  }
 
-      this.logger.info('Service type added to configuration', {
-        serviceType,
-        range: [startPort, endPort]
-      });
+  /**
+   * Explain how an allocation request would be served, without committing anything
+   */
+  async explainAllocation({ service_type, service_name, preferred_port, project_path, protocol, bind_address }) {
+    const validServiceName = service_name ? Validator.validateServiceName(service_name) : 'unnamed-service';
+    const requestedProtocol = protocol !== undefined && protocol !== null ? Validator.validateProtocol(protocol) : null;
+    const requestedBindAddress = bind_address !== undefined && bind_address !== null ? Validator.validateBindAddress(bind_address) : null;
+    const validProjectPath = project_path ? Validator.validateWorkingDirectory(project_path) : process.cwd();
+    const validPreferredPort = preferred_port !== undefined ? Validator.validatePort(preferred_port) : undefined;
 
-      // Use AuditLogger to log the auto-allocation event
-      this.auditLogger.log('AUTO_ALLOCATION', {
-        serviceType,
-        range: [startPort, endPort],
-        chunkSize,
-        placement: this.autoAllocationConfig.placement,
-        userAgent: requestContext.userAgent || 'unknown',
-        remoteIP: requestContext.remoteIP || 'unknown'
-      });
+    const explanation = {
+      success: true,
+      explain: true,
+      service_type,
+      service_name: validServiceName,
+      port: null,
+      candidates: []
+    };
 
-      // Reload service types to include the new one
-      this.serviceTypes = this.loadServiceTypes();
+    // Unknown types would trigger auto-allocation, which changes config; only report it
+    if (!this.serviceTypes[service_type]) {
+      Validator.validateServiceType(service_type);
+      explanation.auto_allocation = this.autoAllocationConfig.enabled;
+      explanation.message = this.autoAllocationConfig.enabled
+        ? `Service type '${service_type}' is unknown; a new port range would be auto-allocated`
+        : `Service type '${service_type}' is unknown and auto-allocation is disabled`;
+      return explanation;
+    }
 
-      this.logger.info('Service types reloaded after auto-allocation', {
-        serviceType,
-        totalServiceTypes: Object.keys(this.serviceTypes).length
-      });
+    const serviceConfig = this.serviceTypes[service_type];
+    const [start, end] = serviceConfig.range;
+    explanation.range = serviceConfig.range;
+    explanation.strategy = getStrategy(serviceConfig.multi_instance_pattern).name;
 
-      // Update metrics
-      this.metrics.incrementCounter('auto_allocations_total', 1, {
-        service_type: serviceType
-      });
+    if (serviceConfig.instance_behavior === 'single') {
+      const existingSingleton = this.getSingleton(service_type);
+      if (existingSingleton) {
+        explanation.port = existingSingleton.port;
+        explanation.singleton = {
+          port: existingSingleton.port,
+          lock_id: existingSingleton.lockId,
+          instance_id: existingSingleton.instanceId,
+          consumers: (existingSingleton.consumers || []).length
+        };
+        explanation.message = `Service type '${service_type}' is single-instance; the existing allocation on port ${existingSingleton.port} would be reused`;
+        return explanation;
+      }
+    }
 
-      return this.serviceTypes[serviceType];
+    const affinityPort = project_path ? this.portAffinity.get(validProjectPath, service_type, validServiceName) : null;
+    const candidatePorts = this.buildCandidatePorts(serviceConfig, {
+      preferredPort: validPreferredPort,
+      affinityPort,
+      serviceName: validServiceName,
+      projectPath: validProjectPath
+    });
 
-    } catch (error) {
-      this.logger.error('Auto-allocation failed', {
-        serviceType,
-        error: error.message
-      });
+    // The remembered port is dropped from the candidates when it left the range
+    if (affinityPort && !candidatePorts.includes(affinityPort)) {
+      explanation.candidates.push({ port: affinityPort, source: 'affinity', verdict: 'outside_range' });
+    }
 
-      this.metrics.incrementCounter('auto_allocation_errors_total', 1, {
-        service_type: serviceType
+    explanation.protocol = requestedProtocol || serviceConfig.protocol || 'tcp';
+    explanation.bind_address = requestedBindAddress || serviceConfig.bind_address || null;
+    const { selected, verdicts } = await this.evaluateCandidates(candidatePorts, 1, explanation.protocol, explanation.bind_address);
+    for (const verdict of verdicts) {
+      const port = verdict.port;
+      explanation.candidates.push({
+        ...verdict,
+        source: port === validPreferredPort ? 'requested'
+          : port === affinityPort ? 'affinity'
+            : serviceConfig.preferred_ports.includes(port) ? 'service_preferred' : 'range',
+        in_range: port >= start && port <= end,
+        ...(this.isCoolingDown(port) ? { cooldown_until: this.portCooldowns.get(port).cooldown_until } : {})
       });
+    }
+    explanation.not_evaluated = candidatePorts.length - verdicts.length;
 
-      throw new Error(`Auto-allocation failed for '${serviceType}': ${error.message}`);
+    const queueDepth = this.allocationQueue.depth(service_type);
+    if (queueDepth > 0) {
+      explanation.queue_depth = queueDepth;
+    }
 
-    } finally {
-      // Always release the in-progress marker
-      this.autoAllocationInProgress.delete(serviceType);
+    if (selected !== null && queueDepth === 0) {
+      explanation.port = selected;
+      explanation.message = `Port ${selected} would be allocated`;
+    } else if (selected !== null) {
+      explanation.message = `${queueDepth} requests are already waiting for a ${service_type} port and would be served first`;
+    } else {
+      explanation.message = `No ${service_type} port is available in ${start}-${end}`;
     }
+
+    return explanation;
   }
 
   /**
-   * Get chunk size for a service type based on auto-allocation rules
+   * Run the reservation checks against candidate ports without claiming any,
+   * stopping at the first port that would be allocated
    */
-  getChunkSizeForServiceType(serviceType) {
-    // Check auto-allocation rules for pattern match
-    for (const [pattern, rule] of Object.entries(this.autoAllocationRules)) {
-      if (this.matchesPattern(serviceType, pattern)) {
-        return rule.chunk_size || this.autoAllocationConfig.default_chunk_size;
+  async evaluateCandidates(candidatePorts, count = 1, protocol = 'tcp', bindAddress = null) {
+    const verdicts = [];
+
+    for (const port of candidatePorts) {
+      // A block is judged by its first port that could not be reserved
+      let verdict;
+      for (const blockPort of this.blockRange(port, count)) {
+        verdict = await this.explainCandidate(blockPort, protocol, bindAddress);
+        if (verdict.verdict !== 'available') {
+          verdict = blockPort === port ? verdict : { ...verdict, blocked_port: blockPort };
+          break;
+        }
       }
-    }
+      verdicts.push({ port, ...verdict });
 
-    // Return default chunk size
-    return this.autoAllocationConfig.default_chunk_size;
-  }
+      if (verdict.verdict === 'available') {
+        return { selected: port, verdicts };
+      }
+    }
 
-  /**
-   * Check if service type matches a pattern (supports wildcards)
-   */
-  matchesPattern(serviceType, pattern) {
-    // Convert pattern to regex (support * wildcard)
-    const regexPattern = pattern.replace(/\*/g, '.*');
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(serviceType);
+    return { selected: null, verdicts };
   }
 
   /**
-   * Atomically try to allocate a specific port (prevents race conditions)
+   * Explain whether a single port could be reserved (mirrors reservePort)
    */
-  async tryAtomicAllocation(port, metadata, requestContext) {
-    // Quick check: already allocated
-    if (this.allocations.has(port)) {
-      return { success: false, reason: 'allocated' };
+  async explainCandidate(port, protocol = 'tcp', bindAddress = null) {
+    const allocation = this.getAllocationAt(port);
+    if (allocation) {
+      return {
+        verdict: 'allocated',
+        allocated_to: {
+          service_type: allocation.service_type,
+          service_name: allocation.service_name,
+          lock_id: allocation.lockId,
+          instance_id: allocation.instance_id,
+          project_path: allocation.project_path,
+          process_id: allocation.process_id || null
+        }
+      };
     }
 
-    // Quick check: allocation in progress
     if (this.allocationInProgress.has(port)) {
-      return { success: false, reason: 'in_progress' };
+      return { verdict: 'in_progress' };
     }
 
-    // Atomic reservation: try to claim the port
-    if (!this.allocationInProgress.has(port)) {
-      this.allocationInProgress.add(port);
-
-      try {
-        // Double-check after claiming (another request might have allocated between checks)
-        if (this.allocations.has(port)) {
-          return { success: false, reason: 'allocated' };
-        }
+    let bound = !(await this.isPortAvailable(port, protocol, bindAddress));
+    if (!bound &&
+        this.recoveryConfig.port_conflict.enabled &&
+        this.recoveryConfig.port_conflict.check_availability) {
+      bound = !(await this.checkPortActuallyAvailable(port, protocol, bindAddress));
+    }
 
-        // Check port availability (fast for managed ranges)
-        const available = await this.isPortAvailable(port);
-        if (!available) {
-          return { success: false, reason: 'unavailable' };
-        }
+    if (bound) {
+      const portInfo = await this.portScanner.getPortInfo(port, protocol);
+      return {
+        verdict: 'bound',
+        bound_by: portInfo && portInfo.process ? portInfo.process : null
+      };
+    }
 
-        // FEATURE #3: Port Conflict Recovery - Check actual OS-level availability
-        if (this.recoveryConfig.port_conflict.enabled &&
-            this.recoveryConfig.port_conflict.check_availability) {
-          const actuallyAvailable = await this.checkPortActuallyAvailable(port);
-          if (!actuallyAvailable) {
-            this.logger.warn('Port conflict detected - port appears available in state but OS check failed', {
-              port,
-              serviceType: metadata.service_type,
-              serviceName: metadata.service_name
-            });
-            this.metrics.incrementCounter('port_conflicts_detected_total', 1, {
-              service_type: metadata.service_type
-            });
-            return { success: false, reason: 'conflict' };
-          }
-        }
+    return { verdict: 'available' };
+  }
 
-        // SUCCESS: Create the allocation
-        const result = await this.createAllocation(port, metadata, requestContext);
-        return { success: true, ...result };
+  /**
+   * Record a freed port and wake the next request waiting for its service type
+   */
+  onPortFreed(port, allocation) {
+    const now = Date.now();
+    this.portReleaseTimes.set(port, now);
+
+    const serviceType = allocation.serviceType || allocation.service_type;
+    const serviceConfig = this.serviceTypes[serviceType];
+    if (serviceConfig && serviceConfig.cooldown_seconds > 0) {
+      this.portCooldowns.set(port, {
+        service_type: serviceType,
+        released_at: new Date(now).toISOString(),
+        cooldown_until: new Date(now + serviceConfig.cooldown_seconds * 1000).toISOString()
+      });
+    }
 
-      } finally {
-        // Always release the reservation
-        this.allocationInProgress.delete(port);
-      }
-    } else {
-      // Port reservation failed (another request got it)
-      return { success: false, reason: 'in_progress' };
+    if (serviceType) {
+      this.allocationQueue.notify(serviceType);
     }
   }
-  
+
   /**
-   * Create a port allocation
+   * Check whether a released port is still cooling down
+   */
+  isCoolingDown(port, now = Date.now()) {
+    const cooldown = this.portCooldowns.get(port);
+    if (!cooldown) {
+      return false;
+    }
+
+    if (new Date(cooldown.cooldown_until).getTime() <= now) {
+      this.portCooldowns.delete(port);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * List ports that are still cooling down
+   */
+  getActiveCooldowns() {
+    const now = Date.now();
+    return Array.from(this.portCooldowns.keys())
+      .filter(port => this.isCoolingDown(port, now))
+      .map(port => ({ port, ...this.portCooldowns.get(port) }));
+  }
+
+  /**
+   * Allocate ports for several services atomically: either every service gets a port or none do
+   */
+  async allocateBatch({ services, instance_id, project_path, pid, parent_pid, ttl, group, session_id, userAgent, remoteIP }) {
+    if (!Array.isArray(services) || services.length === 0) {
+      throw new Error('services must be a non-empty array');
+    }
+
+    if (services.length > MAX_BATCH_SIZE) {
+      throw new Error(`services must contain at most ${MAX_BATCH_SIZE} entries`);
+    }
+
+    const validInstanceId = instance_id ? Validator.validateInstanceId(instance_id) : 'default';
+    const validProjectPath = project_path ? Validator.validateWorkingDirectory(project_path) : process.cwd();
+    const validPid = pid !== undefined && pid !== null ? Validator.validatePid(pid) : null;
+    const validParentPid = parent_pid !== undefined && parent_pid !== null ? Validator.validatePid(parent_pid) : null;
+    const requestContext = { userAgent, remoteIP };
+    const groupId = this.resolveRequestedGroup(group, session_id) || uuidv4();
+
+    // Unknown service types get a planned range now, but are only registered if the batch commits
+    const pending = new Map();
+
+    // Validate every entry before reserving anything
+    const requests = [];
+    try {
+      for (const service of services) {
+        if (!service || typeof service !== 'object') {
+          throw new Error('Each service entry must be an object');
+        }
+
+        const { serviceType, serviceConfig } = await this.resolveBatchServiceType(service.service_type, pending, requestContext);
+        const entryTtl = service.ttl !== undefined ? service.ttl : ttl;
+
+        requests.push({
+          serviceType,
+          serviceConfig,
+          serviceName: service.service_name ? Validator.validateServiceName(service.service_name) : 'unnamed-service',
+          preferredPort: service.preferred_port !== undefined ? Validator.validatePort(service.preferred_port) : undefined,
+          ttl: entryTtl !== undefined && entryTtl !== null
+            ? Validator.validateTtl(entryTtl, serviceConfig.max_ttl)
+            : serviceConfig.default_ttl
+        });
+      }
+    } catch (error) {
+      this.releasePendingServiceTypes(pending);
+      throw error;
+    }
+
+    // Phase 1: reserve a port for every entry, holding all reservations until the end
+    const reserved = [];
+    try {
+      for (const request of requests) {
+        const metadata = {
+          service_type: request.serviceType,
+          service_name: request.serviceName,
+          instance_id: validInstanceId,
+          project_path: validProjectPath,
+          affinity: Boolean(project_path),
+          pid: validPid,
+          parent_pid: validParentPid,
+          ttl: request.ttl,
+          group_id: groupId
+        };
+
+        if (request.serviceConfig.instance_behavior === 'single') {
+          const alreadyReserved = reserved.some(r => r.metadata.service_type === request.serviceType);
+          let existingSingleton = alreadyReserved ? undefined : this.getSingleton(request.serviceType);
+          let singletonStatus = 'reused';
+          if (existingSingleton) {
+            singletonStatus = await this.verifySingleton(request.serviceType, existingSingleton);
+            if (!singletonStatus) {
+              existingSingleton = undefined;
+            }
+          }
+          if (existingSingleton || alreadyReserved) {
+            reserved.push({ metadata, singleton: existingSingleton || null, singletonStatus });
+            continue;
+          }
+        }
+
+        const allocatedPorts = [];
+        let port = null;
+        const affinityPort = project_path ? this.portAffinity.get(validProjectPath, request.serviceType, request.serviceName) : null;
+        const candidatePorts = this.buildCandidatePorts(request.serviceConfig, {
+          preferredPort: request.preferredPort,
+          affinityPort,
+          serviceName: request.serviceName,
+          projectPath: validProjectPath
+        });
+        for (const candidate of candidatePorts) {
+          const reservation = await this.reservePort(candidate, metadata);
+          if (reservation.success) {
+            port = candidate;
+            break;
+          } else if (reservation.reason === 'allocated') {
+            allocatedPorts.push(candidate);
+          }
+        }
+
+        if (port === null) {
+          const [start, end] = request.serviceConfig.range;
+          throw ErrorFactory.portRangeExhausted(request.serviceType, start, end, allocatedPorts);
+        }
+
+        reserved.push({ metadata, port });
+      }
+
+      // Phase 2: every entry has a port, commit them all, then register new service types.
+      // If anything fails part-way, undo what was committed so the batch stays all-or-none
+      const allocations = [];
+      const registered = [];
+      try {
+        for (const entry of reserved) {
+          const singleton = entry.singleton !== undefined
+            ? (entry.singleton || this.getSingleton(entry.metadata.service_type))
+            : null;
+
+          if (singleton) {
+            allocations.push({
+              service_type: entry.metadata.service_type,
+              service_name: entry.metadata.service_name,
+              ...this.reuseSingleton(entry.metadata.service_type, singleton, entry.metadata, entry.singletonStatus)
+            });
+            continue;
+          }
+
+          const result = await this.createAllocation(entry.port, entry.metadata, requestContext);
+          allocations.push({
+            service_type: entry.metadata.service_type,
+            service_name: entry.metadata.service_name,
+            ...result
+          });
+        }
+
+        for (const plan of pending.values()) {
+          await this.registerAutoAllocation(plan, requestContext);
+          registered.push(plan.serviceType);
+        }
+      } catch (error) {
+        await this.rollbackBatch(allocations, registered);
+        throw error;
+      }
+
+      this.logger.audit('BATCH_ALLOCATED', {
+        groupId,
+        instanceId: validInstanceId,
+        projectPath: validProjectPath,
+        ports: allocations.filter(a => !a.existing).map(a => a.port)
+      });
+
+      this.metrics.incrementCounter('batch_allocations_total');
+
+      return {
+        success: true,
+        group_id: groupId,
+        allocations,
+        message: `Allocated ${allocations.length} services in group ${groupId}`
+      };
+    } catch (error) {
+      this.metrics.incrementCounter('batch_allocation_errors_total');
+      this.logger.warn('Batch allocation rolled back', {
+        groupId,
+        error: error.message,
+        reservedPorts: reserved.filter(r => r.port).map(r => r.port)
+      });
+      throw error;
+    } finally {
+      // Release every reservation (committed ports are now tracked in this.allocations)
+      for (const entry of reserved) {
+        if (entry.port) {
+          this.allocationInProgress.delete(entry.port);
+        }
+      }
+      this.releasePendingServiceTypes(pending);
+    }
+  }
+
+  /**
+   * Resolve a batch entry's service type. An unknown type gets a planned
+   * range that is registered only once the whole batch commits.
+   * @param {Map} pending - Service type -> auto-allocation plan, shared by the batch's entries
+   * @returns {Promise<object>} - { serviceType, serviceConfig }
+   */
+  async resolveBatchServiceType(serviceType, pending, requestContext) {
+    if (pending.has(serviceType)) {
+      return { serviceType, serviceConfig: pending.get(serviceType).config };
+    }
+
+    // Known types, disabled auto-allocation and types another request is creating take the usual path
+    if (this.serviceTypes[serviceType] || !this.autoAllocationConfig.enabled ||
+        this.autoAllocationInProgress.has(serviceType)) {
+      const resolved = await this.resolveServiceType(serviceType, requestContext);
+      return { serviceType: resolved.serviceType, serviceConfig: this.serviceTypes[resolved.serviceType] };
+    }
+
+    Validator.validateServiceType(serviceType);
+    const plan = this.planAutoAllocation(serviceType);
+    this.autoAllocationInProgress.add(serviceType);
+    this.pendingServiceTypes.set(serviceType, plan.config);
+    pending.set(serviceType, plan);
+
+    return { serviceType, serviceConfig: plan.config };
+  }
+
+  /**
+   * Drop the in-progress markers of a batch's planned service types
+   */
+  releasePendingServiceTypes(pending) {
+    for (const serviceType of pending.keys()) {
+      this.autoAllocationInProgress.delete(serviceType);
+      this.pendingServiceTypes.delete(serviceType);
+    }
+  }
+
+  /**
+   * Undo the allocations and service types a failed batch already committed, newest first
+   * @param {Array} allocations - Committed batch entries
+   * @param {Array<string>} registered - Service types already written to the config
+   */
+  async rollbackBatch(allocations, registered) {
+    for (const entry of [...allocations].reverse()) {
+      const shared = this.findSingletonConsumer(entry.lock_id);
+      if (shared) {
+        const { serviceType, singleton, consumer } = shared;
+        singleton.consumers = singleton.consumers.filter(c => c !== consumer);
+        this.processTracker.untrack(consumer.lock_id);
+        this.publishEvent('singleton:left', {
+          service_type: serviceType,
+          port: singleton.port,
+          lock_id: consumer.lock_id,
+          instance_id: consumer.instance_id,
+          reason: 'rolled_back',
+          remaining: singleton.consumers.length
+        });
+        continue;
+      }
+
+      const allocation = this.allocations.get(entry.port);
+      if (allocation && allocation.lockId === entry.lock_id) {
+        this.removeAllocation(entry.port, allocation);
+        this.publishEvent('allocation:released', { ...this.describeAllocation(entry.port, allocation), rolled_back: true });
+      }
+    }
+
+    for (const serviceType of registered) {
+      try {
+        await this.configWriter.removeServiceType(serviceType);
+      } catch (error) {
+        this.logger.error('Failed to remove service type of rolled back batch', { serviceType, error: error.message });
+      }
+    }
+    if (registered.length > 0) {
+      this.serviceTypes = this.loadServiceTypes();
+    }
+
+    this.saveState().catch(error => {
+      this.logger.error('Background state save failed', { error: error.message });
+    });
+  }
+
+  /**
+   * Release every allocation belonging to a group
+   */
+  async releaseGroup(groupId) {
+    const lockIds = Array.from(this.allocations.values())
+      .filter(allocation => allocation.group_id === groupId && !this.hasSingletonConsumers(allocation))
+      .map(allocation => allocation.lockId);
+
+    // Shared singletons are left per consumer, whether the group allocated or joined them
+    for (const singleton of this.singletonServices.values()) {
+      for (const consumer of singleton.consumers || []) {
+        if (consumer.group_id === groupId) {
+          lockIds.push(consumer.lock_id);
+        }
+      }
+    }
+
+    if (lockIds.length === 0) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+
+    const ports = [];
+    for (const lockId of lockIds) {
+      const result = await this.releasePort(lockId);
+      ports.push(...(result.ports || [result.port]));
+    }
+
+    this.logger.audit('GROUP_RELEASED', { groupId, ports });
+
+    return {
+      success: true,
+      group_id: groupId,
+      released: ports.length,
+      ports,
+      message: `Released ${ports.length} ports in group ${groupId}`
+    };
+  }
+
+  /**
+   * Release every allocation matching a filter, audited as one event
+   * @param {object} filter - Any of { group (or its aliases group_id, session_id), instance_id, project_path,
+   *   service_type }; all given fields must match
+   * @param {object} options - { includePinned: also release pinned allocations }
+   * @returns {Promise<object>} - { released, ports, consumers_released, skipped_pinned }
+   */
+  async releaseAllocations(filter = {}, { includePinned = false } = {}) {
+    const validators = {
+      group_id: value => Validator.validateGroupId(value),
+      instance_id: value => Validator.validateInstanceId(value),
+      project_path: value => Validator.validateWorkingDirectory(value),
+      service_type: value => Validator.validateServiceType(value)
+    };
+
+    const values = { ...filter, group_id: filter.group || filter.group_id || filter.session_id };
+    const criteria = {};
+    for (const [field, validate] of Object.entries(validators)) {
+      if (values[field]) {
+        criteria[field] = validate(values[field]);
+      }
+    }
+
+    if (Object.keys(criteria).length === 0) {
+      throw new Error('At least one of group, session_id, instance_id, project_path or service_type is required');
+    }
+
+    const matches = (record, serviceType) => Object.entries(criteria).every(([field, value]) =>
+      (field === 'service_type' ? serviceType : record[field]) === value
+    );
+
+    const ports = [];
+    let consumersReleased = 0;
+    let skippedPinned = 0;
+
+    const free = (port, allocation) => {
+      if (allocation.pinned && !includePinned) {
+        skippedPinned++;
+        return;
+      }
+      const freed = this.getAllocationPorts(port, allocation);
+      this.removeAllocation(port, allocation);
+      ports.push(...freed);
+      this.metrics.incrementCounter('ports_released_total', freed.length, {
+        service_type: allocation.service_type
+      });
+      this.publishEvent('allocation:released', this.describeAllocation(port, allocation));
+    };
+
+    for (const [port, allocation] of Array.from(this.allocations)) {
+      if (!this.hasSingletonConsumers(allocation) && matches(allocation, allocation.serviceType)) {
+        free(port, allocation);
+      }
+    }
+
+    // Shared singletons lose only the matching consumers; the last one out frees the port
+    for (const [serviceType, singleton] of Array.from(this.singletonServices)) {
+      const leaving = singleton.consumers.filter(consumer => matches(consumer, serviceType));
+      if (leaving.length === 0) {
+        continue;
+      }
+
+      singleton.consumers = singleton.consumers.filter(consumer => !leaving.includes(consumer));
+      for (const consumer of leaving) {
+        this.processTracker.untrack(consumer.lock_id);
+        this.publishEvent('singleton:left', {
+          service_type: serviceType,
+          port: singleton.port,
+          lock_id: consumer.lock_id,
+          instance_id: consumer.instance_id,
+          reason: 'released',
+          remaining: singleton.consumers.length
+        });
+      }
+      consumersReleased += leaving.length;
+
+      const allocation = this.allocations.get(singleton.port);
+      if (singleton.consumers.length === 0 && allocation) {
+        free(singleton.port, allocation);
+      }
+    }
+
+    if (ports.length > 0 || consumersReleased > 0) {
+      await this.saveState();
+    }
+
+    this.logger.audit('ALLOCATIONS_RELEASED', {
+      filter: criteria,
+      ports,
+      consumersReleased,
+      skippedPinned
+    });
+
+    return {
+      success: true,
+      released: ports.length,
+      ports,
+      consumers_released: consumersReleased,
+      skipped_pinned: skippedPinned,
+      message: `Released ${ports.length} ports matching ${Object.entries(criteria).map(([field, value]) => `${field}=${value}`).join(', ')}`
+    };
+  }
+
+  /**
+   * Validate the group an allocation joins; session_id is accepted as another name for it
+   * @returns {string|null} - Group ID, or null when none was requested
+   */
+  resolveRequestedGroup(group, sessionId) {
+    const requested = group !== undefined && group !== null ? group : sessionId;
+    return requested !== undefined && requested !== null ? Validator.validateGroupId(requested) : null;
+  }
+
+  /**
+   * Resolve a requested service type, auto-allocating a range for unknown types (Feature #2)
+   */
+  async resolveServiceType(service_type, requestContext = {}) {
+    let validServiceType = service_type;
+    let autoAllocationInfo = null; // Track if auto-allocation occurred
+    if (!this.serviceTypes[service_type]) {
+      // Unknown service type - try auto-allocation
+      this.logger.info('Unknown service type detected, attempting auto-allocation', {
+        serviceType: service_type,
+        autoAllocationEnabled: this.autoAllocationConfig.enabled
+      });
+
+      try {
+        const allocatedConfig = await this.handleAutoAllocation(service_type, requestContext);
+        validServiceType = service_type; // Now it exists after auto-allocation
+
+        // Store auto-allocation info for response
+        autoAllocationInfo = {
+          auto_allocated: true,
+          allocated_range: allocatedConfig.range,
+          chunk_size: allocatedConfig.range[1] - allocatedConfig.range[0] + 1,
+          placement: this.autoAllocationConfig.placement
+        };
+      } catch (error) {
+        // Auto-allocation failed or disabled - fall back to validation error
+        throw new Error(`Unknown service type '${service_type}': ${error.message}`);
+      }
+    }
+
+    // Validate service type exists (after potential auto-allocation)
+    validServiceType = Validator.validateServiceType(validServiceType, this.serviceTypes);
+
+    return { serviceType: validServiceType, autoAllocationInfo };
+  }
+
+  /**
+   * Join an existing singleton as a new consumer (Feature #1)
+   * @param {string} serviceType - Singleton service type
+   * @param {object} existingSingleton - Registered singleton
+   * @param {object} consumerInfo - { instance_id, service_name, project_path, pid, parent_pid, group_id }
+   * @param {string} singletonStatus - 'reused' or 'revalidated', from verifySingleton()
+   * @returns {object} - Response carrying the consumer's own lock ID
+   */
+  reuseSingleton(serviceType, existingSingleton, consumerInfo = {}, singletonStatus = 'reused') {
+    const consumer = this.addSingletonConsumer(existingSingleton, { ...consumerInfo, lock_id: uuidv4() });
+
+    this.saveState().catch(error => {
+      this.logger.error('Background state save failed', { error: error.message });
+    });
+
+    this.logger.audit('SINGLETON_CONSUMER_ADDED', {
+      serviceType,
+      port: existingSingleton.port,
+      lockId: consumer.lock_id,
+      instanceId: consumer.instance_id,
+      consumers: existingSingleton.consumers.length
+    });
+
+    this.publishEvent('singleton:joined', {
+      service_type: serviceType,
+      port: existingSingleton.port,
+      lock_id: consumer.lock_id,
+      instance_id: consumer.instance_id,
+      consumers: existingSingleton.consumers.length
+    });
+
+    this.logger.info('Singleton service reused', {
+      serviceType,
+      existingPort: existingSingleton.port,
+      existingInstanceId: existingSingleton.instanceId,
+      requestedInstanceId: consumer.instance_id,
+      consumers: existingSingleton.consumers.length
+    });
+
+    const allocation = this.allocations.get(existingSingleton.port);
+
+    return {
+      success: true,
+      port: existingSingleton.port,
+      ...(allocation && allocation.ports ? { count: allocation.ports.length, ports: allocation.ports } : {}),
+      lock_id: consumer.lock_id,
+      lockId: existingSingleton.lockId,
+      message: `Service '${serviceType}' only allows single instance`,
+      existing: true,
+      existingInstanceId: existingSingleton.instanceId,
+      existingPid: existingSingleton.pid,
+      allocatedAt: existingSingleton.allocatedAt,
+      consumers: existingSingleton.consumers.length,
+      singleton_status: singletonStatus
+    };
+  }
+
+  /**
+   * Get the effective liveness probe for a singleton service type
+   */
+  getSingletonProbe(serviceType) {
+    const serviceConfig = this.serviceTypes[serviceType] || {};
+    return { ...DEFAULT_SINGLETON_PROBE, ...(serviceConfig.singleton_probe || {}) };
+  }
+
+  /**
+   * Check that a singleton is still serving before handing it out
+   * @returns {Promise<string|null>} - 'reused' (trusted without probing), 'revalidated' (probe passed),
+   *   or null when the probe failed and the dead singleton was released
+   */
+  async verifySingleton(serviceType, singleton) {
+    const probe = this.getSingletonProbe(serviceType);
+    if (Date.now() - singleton.allocatedAt < probe.startup_grace_seconds * 1000) {
+      return 'reused';
+    }
+
+    // Concurrent requests for the same singleton share one probe
+    let pending = this.singletonProbes.get(singleton.lockId);
+    if (!pending) {
+      pending = this.probeSingleton(serviceType, singleton, probe)
+        .finally(() => this.singletonProbes.delete(singleton.lockId));
+      this.singletonProbes.set(singleton.lockId, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Probe a singleton's port and release the singleton if nothing answers
+   */
+  async probeSingleton(serviceType, singleton, probe) {
+    const { port } = singleton;
+    let alive;
+    if (probe.type === 'tcp') {
+      alive = await PortProbe.tcp(port, { timeoutMs: probe.timeout_ms });
+    } else if (probe.type === 'http') {
+      alive = await PortProbe.http(port, { path: probe.path, timeoutMs: probe.timeout_ms });
+    } else {
+      const allocation = this.allocations.get(port);
+      alive = allocation
+        ? !(await this.checkPortActuallyAvailable(port, allocation.protocol, allocation.bind_address))
+        : !(await this.checkPortActuallyAvailable(port));
+    }
+
+    if (alive) {
+      singleton.verifiedAt = Date.now();
+      return 'revalidated';
+    }
+
+    const allocation = this.allocations.get(port);
+    if (allocation && allocation.pinned) {
+      this.logger.warn('Pinned singleton failed its liveness probe; reusing it anyway', {
+        serviceType,
+        port,
+        probe: probe.type
+      });
+      return 'reused';
+    }
+
+    this.logger.warn('Singleton failed its liveness probe; replacing it', {
+      serviceType,
+      port,
+      probe: probe.type
+    });
+
+    if (allocation && allocation.lockId === singleton.lockId) {
+      await this.reaper.reap(port, allocation, Reaper.REAP_REASONS.PROBE_FAILED, { probe: probe.type });
+    } else {
+      this.releaseSingleton(serviceType);
+    }
+
+    this.metrics.incrementCounter('singleton_replacements_total', 1, { service_type: serviceType });
+    return null;
+  }
+
+  /**
+   * Build candidate ports list (requested + affinity + strategy-ordered service ports)
+   */
+  buildCandidatePorts(serviceConfig, { preferredPort, affinityPort, serviceName, projectPath } = {}) {
+    const candidatePorts = [];
+    const [start, end] = serviceConfig.range;
+
+    // Add preferred port first
+    if (preferredPort) {
+      candidatePorts.push(preferredPort);
+    }
+
+    // Then the port this service had last time, if it still belongs to the service type
+    if (affinityPort && !candidatePorts.includes(affinityPort) &&
+        ((affinityPort >= start && affinityPort <= end) || serviceConfig.preferred_ports.includes(affinityPort))) {
+      candidatePorts.push(affinityPort);
+    }
+
+    // Add service ports in the order chosen by the multi_instance_pattern strategy
+    const strategy = getStrategy(serviceConfig.multi_instance_pattern);
+    const strategyPorts = strategy.order(serviceConfig, {
+      serviceName,
+      projectPath,
+      lastReleased: this.portReleaseTimes
+    });
+
+    // Ports still cooling down after a release go last; the requested and affinity ports are exempt
+    const coolingPorts = [];
+    for (const port of strategyPorts) {
+      if (candidatePorts.includes(port)) {
+        continue;
+      }
+
+      if (this.isCoolingDown(port)) {
+        coolingPorts.push(port);
+      } else {
+        candidatePorts.push(port);
+      }
+    }
+
+    return candidatePorts.concat(coolingPorts);
+  }
+
+  /**
+   * Pick a range for an unknown service type without registering it (Feature #2)
+   * @returns {object} - { serviceType, range, chunkSize, metadata, config }
+   */
+  planAutoAllocation(serviceType) {
+    // Apply auto-allocation rules to determine chunk size
+    const chunkSize = this.getChunkSizeForServiceType(serviceType);
+
+    // Use RangeAnalyzer to find available range, avoiding ranges a batch has planned but not registered yet
+    const [startPort, endPort] = RangeAnalyzer.findNextAvailableRange(
+      chunkSize,
+      this.autoAllocationConfig.placement,
+      this.autoAllocationConfig,
+      { ...this.serviceTypes, ...Object.fromEntries(this.pendingServiceTypes) },
+      serviceType
+    );
+
+    this.logger.info('Found available range for auto-allocation', {
+      serviceType,
+      range: [startPort, endPort],
+      placement: this.autoAllocationConfig.placement
+    });
+
+    const metadata = {
+      description: `Auto-allocated service type for ${serviceType}`,
+      instance_behavior: 'multi',
+      examples: [`${serviceType} service instance`]
+    };
+
+    // Same shape ConfigWriter writes, so the planned config matches the registered one
+    const config = this.transformServiceType({
+      ...metadata,
+      preferred_ports: [startPort, startPort + 1, startPort + 2, startPort + 3],
+      port_range: [startPort, endPort]
+    });
+
+    return { serviceType, range: [startPort, endPort], chunkSize, metadata, config };
+  }
+
+  /**
+   * Write a planned service type to the user config and load it (Feature #2)
+   * @returns {Promise<object>} - The registered service type configuration
+   */
+  async registerAutoAllocation({ serviceType, range, chunkSize, metadata }, requestContext = {}) {
+    // Use ConfigWriter to atomically add service type
+    await this.configWriter.addServiceType(serviceType, range, metadata);
+
+    this.logger.info('Service type added to configuration', {
+      serviceType,
+      range
+    });
+
+    // Use AuditLogger to log the auto-allocation event
+    this.auditLogger.log('AUTO_ALLOCATION', {
+      serviceType,
+      range,
+      chunkSize,
+      placement: this.autoAllocationConfig.placement,
+      userAgent: requestContext.userAgent || 'unknown',
+      remoteIP: requestContext.remoteIP || 'unknown'
+    });
+
+    // Reload service types to include the new one
+    this.serviceTypes = this.loadServiceTypes();
+    this.publishEvent('config:reloaded', { reason: 'auto_allocation', service_type: serviceType });
+
+    this.logger.info('Service types reloaded after auto-allocation', {
+      serviceType,
+      totalServiceTypes: Object.keys(this.serviceTypes).length
+    });
+
+    // Update metrics
+    this.metrics.incrementCounter('auto_allocations_total', 1, {
+      service_type: serviceType
+    });
+
+    return this.serviceTypes[serviceType];
+  }
+
+  /**
+   * Handle auto-allocation of unknown service type (Feature #2)
+   * Returns the newly created service type configuration
+   */
+  async handleAutoAllocation(serviceType, requestContext = {}) {
+    // Check if auto-allocation is enabled
+    if (!this.autoAllocationConfig.enabled) {
+      throw new Error(`Unknown service type '${serviceType}' and auto-allocation is disabled`);
+    }
+
+    // Check if already being auto-allocated (prevent duplicate concurrent auto-allocations)
+    if (this.autoAllocationInProgress.has(serviceType)) {
+      // Wait for the concurrent auto-allocation to complete
+      let retries = 0;
+      while (this.autoAllocationInProgress.has(serviceType) && retries < 30) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        retries++;
+      }
+
+      // After waiting, reload service types and check if it exists now
+      this.serviceTypes = this.loadServiceTypes();
+      if (this.serviceTypes[serviceType]) {
+        return this.serviceTypes[serviceType];
+      }
+
+      throw new Error(`Auto-allocation of '${serviceType}' timed out`);
+    }
+
+    // Mark as in progress
+    this.autoAllocationInProgress.add(serviceType);
+
+    try {
+      this.logger.info('Starting auto-allocation', {
+        serviceType,
+        autoAllocationConfig: this.autoAllocationConfig
+      });
+
+      const plan = this.planAutoAllocation(serviceType);
+      return await this.registerAutoAllocation(plan, requestContext);
+    } catch (error) {
+      this.logger.error('Auto-allocation failed', {
+        serviceType,
+        error: error.message
+      });
+
+      this.metrics.incrementCounter('auto_allocation_errors_total', 1, {
+        service_type: serviceType
+      });
+
+      throw new Error(`Auto-allocation failed for '${serviceType}': ${error.message}`);
+
+    } finally {
+      // Always release the in-progress marker
+      this.autoAllocationInProgress.delete(serviceType);
+    }
+  }
+
+  /**
+   * Get chunk size for a service type based on auto-allocation rules
+   */
+  getChunkSizeForServiceType(serviceType) {
+    // Check auto-allocation rules for pattern match
+    for (const [pattern, rule] of Object.entries(this.autoAllocationRules)) {
+      if (this.matchesPattern(serviceType, pattern)) {
+        return rule.chunk_size || this.autoAllocationConfig.default_chunk_size;
+      }
+    }
+
+    // Return default chunk size
+    return this.autoAllocationConfig.default_chunk_size;
+  }
+
+  /**
+   * Check if service type matches a pattern (supports wildcards)
+   */
+  matchesPattern(serviceType, pattern) {
+    // Convert pattern to regex (support * wildcard)
+    const regexPattern = pattern.replace(/\*/g, '.*');
+    const regex = new RegExp(`^${regexPattern}$`);
+    return regex.test(serviceType);
+  }
+
+  /**
+   * Atomically try to allocate a specific port (prevents race conditions)
+   */
+  async tryAtomicAllocation(port, metadata, requestContext) {
+    const ports = this.blockRange(port, metadata.count || 1);
+    const reservation = await this.reservePortBlock(ports, metadata);
+    if (!reservation.success) {
+      return reservation;
+    }
+
+    try {
+      // SUCCESS: Create the allocation
+      const result = await this.createAllocation(port, metadata, requestContext);
+      return { success: true, ...result };
+    } finally {
+      // Always release the reservation
+      for (const reserved of ports) {
+        this.allocationInProgress.delete(reserved);
+      }
+    }
+  }
+
+  /**
+   * Reserve every port of a block, or none of them
+   * @returns {Promise<object>} - { success } or the failed reservation with the port that failed
+   */
+  async reservePortBlock(ports, metadata) {
+    for (let i = 0; i < ports.length; i++) {
+      const reservation = await this.reservePort(ports[i], metadata);
+      if (!reservation.success) {
+        for (const reserved of ports.slice(0, i)) {
+          this.allocationInProgress.delete(reserved);
+        }
+        return { ...reservation, port: ports[i] };
+      }
+    }
+    return { success: true };
+  }
+
+  /**
+   * The ports of a block starting at a base port
+   */
+  blockRange(basePort, count = 1) {
+    return Array.from({ length: count }, (_, i) => basePort + i);
+  }
+
+  /**
+   * Get the allocation covering a port, including the non-base ports of a block
+   */
+  getAllocationAt(port) {
+    const allocation = this.allocations.get(port);
+    if (allocation) {
+      return allocation;
+    }
+    return this.blockPorts.has(port) ? this.allocations.get(this.blockPorts.get(port)) : undefined;
+  }
+
+  /**
+   * Get every port an allocation holds
+   */
+  getAllocationPorts(port, allocation) {
+    return allocation.ports || [port];
+  }
+
+  /**
+   * Point the non-base ports of a block allocation at its base port
+   */
+  indexBlockPorts(port, allocation) {
+    for (const blockPort of this.getAllocationPorts(port, allocation).slice(1)) {
+      this.blockPorts.set(blockPort, port);
+    }
+  }
+
+  /**
+   * Atomically reserve a port for allocation.
+   * On success the port stays in allocationInProgress until the caller removes it.
+   */
+  async reservePort(port, metadata) {
+    // Quick check: already allocated
+    if (this.getAllocationAt(port)) {
+      return { success: false, reason: 'allocated' };
+    }
+
+    // Quick check: allocation in progress
+    if (this.allocationInProgress.has(port)) {
+      return { success: false, reason: 'in_progress' };
+    }
+
+    // Atomic reservation: claim the port
+    this.allocationInProgress.add(port);
+
+    let reserved = false;
+    try {
+      // Double-check after claiming (another request might have allocated between checks)
+      if (this.getAllocationAt(port)) {
+        return { success: false, reason: 'allocated' };
+      }
+
+      // Check port availability (fast for managed ranges)
+      const available = await this.isPortAvailable(port, metadata.protocol, metadata.bind_address);
+      if (!available) {
+        return { success: false, reason: 'unavailable' };
+      }
+
+      // FEATURE #3: Port Conflict Recovery - Check actual OS-level availability
+      if (this.recoveryConfig.port_conflict.enabled &&
+          this.recoveryConfig.port_conflict.check_availability) {
+        const actuallyAvailable = await this.checkPortActuallyAvailable(port, metadata.protocol, metadata.bind_address);
+        if (!actuallyAvailable) {
+          this.logger.warn('Port conflict detected - port appears available in state but OS check failed', {
+            port,
+            serviceType: metadata.service_type,
+            serviceName: metadata.service_name
+          });
+          this.metrics.incrementCounter('port_conflicts_detected_total', 1, {
+            service_type: metadata.service_type
+          });
+          return { success: false, reason: 'conflict' };
+        }
+      }
+
+      reserved = true;
+      return { success: true };
+    } finally {
+      if (!reserved) {
+        this.allocationInProgress.delete(port);
+      }
+    }
+  }
+
+  /**
+   * Create a port allocation
    */
   async createAllocation(port, metadata, requestContext = {}) {
+    const { affinity = true, ...fields } = metadata;
     const lockId = uuidv4();
+    const now = Date.now();
     const allocation = {
-      ...metadata,
+      ...fields,
       port,
       lockId: lockId,
       serviceType: metadata.service_type,
       serviceName: metadata.service_name,
       instanceId: metadata.instance_id,
       projectPath: metadata.project_path,
-      process_id: process.pid,
-      allocated_at: new Date().toISOString(),
+      process_id: metadata.pid || null,
+      parent_process_id: metadata.parent_pid || null,
+      allocated_at: new Date(now).toISOString(),
+      ttl: metadata.ttl,
+      expires_at: metadata.ttl ? new Date(now + metadata.ttl * 1000).toISOString() : null,
+      pinned: metadata.pinned === true,
+      ...(metadata.count > 1 ? { ports: this.blockRange(port, metadata.count) } : {}),
       userAgent: requestContext.userAgent || 'unknown',
       remoteIP: requestContext.remoteIP || 'unknown'
     };
 
     this.allocations.set(port, allocation);
+    this.indexBlockPorts(port, allocation);
+    this.processTracker.track(lockId, [allocation.process_id, allocation.parent_process_id]);
+
+    // Unnamed services have no stable identity to stick a port to
+    if (affinity && metadata.service_name && metadata.service_name !== 'unnamed-service' && metadata.project_path) {
+      if (this.portAffinity.get(metadata.project_path, metadata.service_type, metadata.service_name) === port) {
+        this.metrics.incrementCounter('affinity_hits_total', 1, { service_type: metadata.service_type });
+      }
+      this.portAffinity.record(metadata.project_path, metadata.service_type, metadata.service_name, port);
+    }
 
     // Save state asynchronously (don't block the atomic operation)
     this.saveState().catch(error => {
@@ -1243,19 +2956,30 @@ class StyxyDaemon {
     // Audit logging
     this.logger.audit('PORT_ALLOCATED', {
       port,
+      ...(allocation.ports ? { ports: allocation.ports } : {}),
       lockId,
       serviceType: metadata.service_type,
       serviceName: metadata.service_name,
       instanceId: metadata.instance_id,
       projectPath: metadata.project_path,
+      processId: allocation.process_id,
+      parentProcessId: allocation.parent_process_id,
+      ttl: allocation.ttl,
+      pinned: allocation.pinned,
+      groupId: allocation.group_id || null,
+      protocol: allocation.protocol,
+      bindAddress: allocation.bind_address,
       userAgent: allocation.userAgent || 'unknown',
       remoteIP: allocation.remoteIP || 'unknown'
     });
 
-    this.metrics.incrementCounter('ports_allocated_total', 1, {
+    this.metrics.incrementCounter('ports_allocated_total', allocation.ports ? allocation.ports.length : 1, {
       service_type: metadata.service_type
     });
 
+    this.publishEvent('allocation:created', this.describeAllocation(port, allocation));
+    this.checkRangeLow(metadata.service_type, this.getAllocationPorts(port, allocation).length);
+
     // Feature #1: Register as singleton if service type requires it
     const serviceConfig = this.serviceTypes[metadata.service_type];
     if (serviceConfig && serviceConfig.instance_behavior === 'single') {
@@ -1263,7 +2987,11 @@ class StyxyDaemon {
         port,
         lockId,
         instanceId: metadata.instance_id,
-        pid: allocation.process_id
+        pid: allocation.process_id,
+        parentPid: allocation.parent_process_id,
+        serviceName: metadata.service_name,
+        projectPath: metadata.project_path,
+        groupId: metadata.group_id
       });
     }
 
@@ -1271,7 +2999,16 @@ class StyxyDaemon {
       success: true,
       port,
       lock_id: lockId,
-      message: `Port ${port} allocated for ${metadata.service_type} service`
+      ttl: allocation.ttl,
+      expires_at: allocation.expires_at,
+      pinned: allocation.pinned,
+      protocol: allocation.protocol,
+      bind_address: allocation.bind_address,
+      ...(allocation.group_id ? { group_id: allocation.group_id } : {}),
+      ...(allocation.ports ? { count: allocation.ports.length, ports: allocation.ports } : {}),
+      message: allocation.ports
+        ? `Ports ${port}-${allocation.ports[allocation.ports.length - 1]} allocated for ${metadata.service_type} service`
+        : `Port ${port} allocated for ${metadata.service_type} service`
     };
   }
   
@@ -1279,48 +3016,448 @@ class StyxyDaemon {
    * Release a port allocation
    */
   async releasePort(lockId) {
+    // Shared singletons are released per consumer
+    const shared = this.findSingletonConsumer(lockId);
+    if (shared) {
+      return this.releaseSingletonConsumer(shared);
+    }
+
     for (const [port, allocation] of this.allocations) {
       if (allocation.lockId === lockId) {
-        this.allocations.delete(port);
-
-        // Feature #1: Release singleton if this was a singleton service
-        const serviceConfig = this.serviceTypes[allocation.serviceType];
-        if (serviceConfig && serviceConfig.instance_behavior === 'single') {
-          this.releaseSingleton(allocation.serviceType);
+        const consumers = this.getSingletonConsumers(allocation);
+        if (consumers && consumers.length > 0) {
+          // The allocating client already left; the remaining consumers hold the port
+          break;
         }
+        return this.releaseAllocation(port, allocation);
+      }
+    }
 
-        await this.saveState();
+    throw new Error(`Lock ID ${lockId} not found`);
+  }
 
-        // Audit logging
-        this.logger.audit('PORT_RELEASED', {
-          port,
-          lockId,
-          serviceType: allocation.service_type,
-          serviceName: allocation.service_name,
-          releasedAfterMs: Date.now() - new Date(allocation.allocated_at).getTime()
-        });
+  /**
+   * Release an allocation at its owner's request
+   */
+  async releaseAllocation(port, allocation) {
+    this.removeAllocation(port, allocation);
+    await this.saveState();
 
-        this.metrics.incrementCounter('ports_released_total', 1, {
-          service_type: allocation.service_type
-        });
+    // Audit logging
+    this.logger.audit('PORT_RELEASED', {
+      port,
+      lockId: allocation.lockId,
+      serviceType: allocation.service_type,
+      serviceName: allocation.service_name,
+      releasedAfterMs: Date.now() - new Date(allocation.allocated_at).getTime()
+    });
+
+    this.metrics.incrementCounter('ports_released_total', this.getAllocationPorts(port, allocation).length, {
+      service_type: allocation.service_type
+    });
+
+    this.publishEvent('allocation:released', this.describeAllocation(port, allocation));
+
+    return {
+      success: true,
+      port,
+      ...(allocation.ports ? { ports: allocation.ports } : {}),
+      message: allocation.ports
+        ? `Ports ${allocation.ports.join(', ')} released`
+        : `Port ${port} released`
+    };
+  }
+
+  /**
+   * Find the allocation a lock ID refers to (its own or a singleton consumer's)
+   */
+  findAllocationByLockId(lockId) {
+    const shared = this.findSingletonConsumer(lockId);
+    if (shared) {
+      return this.allocations.get(shared.singleton.port) || null;
+    }
+    return Array.from(this.allocations.values()).find(a => a.lockId === lockId) || null;
+  }
+
+  /**
+   * Summarize an allocation for event payloads
+   */
+  describeAllocation(port, allocation) {
+    return {
+      port,
+      ...(allocation.ports ? { ports: allocation.ports } : {}),
+      lock_id: allocation.lockId || allocation.lock_id || null,
+      service_type: allocation.serviceType || allocation.service_type,
+      service_name: allocation.serviceName || allocation.service_name || null,
+      instance_id: allocation.instanceId || allocation.instance_id || null,
+      protocol: allocation.protocol || 'tcp'
+    };
+  }
+
+  /**
+   * Publish range:low when an allocation leaves a service type with at most
+   * 10% of its range (at least one port) free
+   * @param {number} allocatedCount - Ports the allocation just took
+   */
+  checkRangeLow(serviceType, allocatedCount) {
+    const serviceConfig = this.serviceTypes[serviceType];
+    if (!serviceConfig || !serviceConfig.range) {
+      return;
+    }
+
+    const [start, end] = serviceConfig.range;
+    let used = 0;
+    for (let port = start; port <= end; port++) {
+      if (this.getAllocationAt(port)) {
+        used++;
+      }
+    }
+
+    const free = end - start + 1 - used;
+    const threshold = Math.max(1, Math.floor((end - start + 1) * 0.1));
+    if (free <= threshold && free + allocatedCount > threshold) {
+      this.publishEvent('range:low', { service_type: serviceType, range: [start, end], allocated: used, free });
+    }
+  }
+
+  /**
+   * Record a daemon event and pass it to /events streams and in-process listeners
+   */
+  publishEvent(type, data = {}) {
+    const event = this.eventBuffer.record(type, data);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Write buffered and then live events to a Server-Sent Events response
+   * @param {object} options - { types: filters or null, lastEventId: replay after this ID, follow: keep streaming }
+   */
+  streamEvents(req, res, { types, lastEventId, follow }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    for (const event of this.eventBuffer.since(lastEventId, types)) {
+      res.write(EventBuffer.format(event));
+    }
+
+    if (!follow) {
+      res.end();
+      return;
+    }
+
+    const onEvent = (event) => {
+      if (EventBuffer.matches(event.type, types)) {
+        res.write(EventBuffer.format(event));
+      }
+    };
+
+    // Comments keep idle connections from being closed by proxies and clients
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    keepAlive.unref();
+
+    this.on('event', onEvent);
+    this.eventStreams.add(res);
+
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      this.removeListener('event', onEvent);
+      this.eventStreams.delete(res);
+    });
+  }
+
+  /**
+   * End every open /events stream so the HTTP servers can close
+   */
+  closeEventStreams() {
+    for (const res of this.eventStreams) {
+      res.end();
+    }
+    this.eventStreams.clear();
+  }
+
+  /**
+   * Drop an allocation and free its port (shared by release and the reaper)
+   */
+  removeAllocation(port, allocation) {
+    const ports = this.getAllocationPorts(port, allocation);
+    this.allocations.delete(port);
+    for (const blockPort of ports.slice(1)) {
+      this.blockPorts.delete(blockPort);
+    }
+    this.processTracker.untrack(allocation.lockId);
+
+    // Feature #1: Release singleton if this was a singleton service. Check the
+    // registry, not the config, since a reload may have changed instance_behavior
+    const serviceType = allocation.serviceType || allocation.service_type;
+    const singleton = this.singletonServices.get(serviceType);
+    if (singleton && singleton.port === port) {
+      this.releaseSingleton(serviceType);
+    }
+
+    for (const freedPort of ports) {
+      this.onPortFreed(freedPort, allocation);
+    }
+  }
+
+  /**
+   * Extend the lease of an allocation
+   */
+  async renewLease(lockId, ttl) {
+    const allocation = this.findAllocationByLockId(lockId);
+    if (!allocation) {
+      throw new Error(`Lock ID ${lockId} not found`);
+    }
+
+    const serviceType = allocation.serviceType || allocation.service_type;
+    const serviceConfig = this.serviceTypes[serviceType] || {};
+    const validTtl = ttl !== undefined && ttl !== null
+      ? Validator.validateTtl(ttl, serviceConfig.max_ttl)
+      : (allocation.ttl !== undefined ? allocation.ttl : this.getDefaultTtl(serviceType));
+
+    const previousExpiry = allocation.expires_at || null;
+    allocation.ttl = validTtl;
+    allocation.expires_at = validTtl ? new Date(Date.now() + validTtl * 1000).toISOString() : null;
+    allocation.renewed_at = new Date().toISOString();
+
+    await this.saveState();
+
+    this.logger.audit('LEASE_RENEWED', {
+      port: allocation.port,
+      lockId,
+      serviceType,
+      ttl: validTtl,
+      previousExpiry,
+      expiresAt: allocation.expires_at
+    });
+
+    this.metrics.incrementCounter('leases_renewed_total', 1, {
+      service_type: serviceType
+    });
+
+    return {
+      success: true,
+      port: allocation.port,
+      lock_id: lockId,
+      ttl: validTtl,
+      expires_at: allocation.expires_at,
+      message: allocation.expires_at
+        ? `Lease for port ${allocation.port} renewed until ${allocation.expires_at}`
+        : `Lease for port ${allocation.port} no longer expires`
+    };
+  }
+
+  /**
+   * Pin or unpin an allocation; pinned allocations are never reaped
+   */
+  async setPinned(lockId, pinned) {
+    const allocation = this.findAllocationByLockId(lockId);
+    if (!allocation) {
+      throw new Error(`Lock ID ${lockId} not found`);
+    }
+
+    const changed = allocation.pinned !== pinned;
+    allocation.pinned = pinned;
+
+    if (changed) {
+      await this.saveState();
+
+      this.logger.audit(pinned ? 'ALLOCATION_PINNED' : 'ALLOCATION_UNPINNED', {
+        port: allocation.port,
+        lockId,
+        serviceType: allocation.serviceType,
+        serviceName: allocation.serviceName
+      });
+    }
+
+    return {
+      success: true,
+      port: allocation.port,
+      lock_id: lockId,
+      pinned,
+      message: pinned
+        ? `Port ${allocation.port} pinned`
+        : `Port ${allocation.port} unpinned`
+    };
+  }
+
+  /**
+   * Hand an allocation (or a singleton consumer's share of one) to another instance
+   * @param {string} lockId - Allocation or consumer lock ID
+   * @param {object} target - { instance_id, pid, parent_pid, project_path }; pid and parent_pid
+   *   replace the watched owner processes (none when omitted), project_path is kept when omitted
+   */
+  async transferAllocation(lockId, { instance_id, pid, parent_pid, project_path } = {}) {
+    const validInstanceId = Validator.validateInstanceId(instance_id);
+    const validPid = pid !== undefined && pid !== null ? Validator.validatePid(pid) : null;
+    const validParentPid = parent_pid !== undefined && parent_pid !== null ? Validator.validatePid(parent_pid) : null;
+    const validProjectPath = project_path ? Validator.validateWorkingDirectory(project_path) : null;
+
+    const allocation = this.findAllocationByLockId(lockId);
+    const shared = this.findSingletonConsumer(lockId);
+    if (!allocation || (!shared && this.getSingletonConsumers(allocation))) {
+      // An allocating client that already left its shared singleton no longer owns anything
+      throw new Error(`Lock ID ${lockId} not found`);
+    }
+
+    const owner = shared ? shared.consumer : allocation;
+    const previous = {
+      instance_id: shared ? owner.instance_id : allocation.instance_id,
+      pid: shared ? owner.pid : allocation.process_id,
+      project_path: shared ? owner.project_path : allocation.project_path
+    };
+
+    if (shared) {
+      owner.instance_id = validInstanceId;
+      owner.pid = validPid;
+      owner.parent_pid = validParentPid;
+      if (validProjectPath) {
+        owner.project_path = validProjectPath;
+      }
+    }
+
+    // The allocating client's lock ID also moves the allocation itself
+    if (allocation.lockId === lockId) {
+      Object.assign(allocation, {
+        instance_id: validInstanceId,
+        instanceId: validInstanceId,
+        pid: validPid,
+        parent_pid: validParentPid,
+        process_id: validPid,
+        parent_process_id: validParentPid
+      });
+      if (validProjectPath) {
+        allocation.project_path = validProjectPath;
+        allocation.projectPath = validProjectPath;
+      }
+
+      if (shared) {
+        shared.singleton.instanceId = validInstanceId;
+        shared.singleton.pid = validPid;
+      }
+    }
+
+    this.processTracker.untrack(lockId);
+    this.processTracker.track(lockId, [validPid, validParentPid]);
+
+    await this.saveState();
+
+    this.logger.audit('ALLOCATION_TRANSFERRED', {
+      port: allocation.port,
+      lockId,
+      serviceType: allocation.serviceType,
+      serviceName: allocation.serviceName,
+      shared: Boolean(shared),
+      fromInstanceId: previous.instance_id,
+      toInstanceId: validInstanceId,
+      fromPid: previous.pid || null,
+      toPid: validPid,
+      fromProjectPath: previous.project_path || null,
+      toProjectPath: validProjectPath || previous.project_path || null
+    });
+
+    return {
+      success: true,
+      port: allocation.port,
+      lock_id: lockId,
+      instance_id: validInstanceId,
+      previous_instance_id: previous.instance_id,
+      pid: validPid,
+      parent_pid: validParentPid,
+      project_path: validProjectPath || previous.project_path || null,
+      message: `Port ${allocation.port} transferred from ${previous.instance_id} to ${validInstanceId}`
+    };
+  }
+
+  /**
+   * Get the default lease length in seconds for a service type
+   */
+  getDefaultTtl(serviceType) {
+    const serviceConfig = this.serviceTypes[serviceType];
+    if (serviceConfig && serviceConfig.default_ttl !== undefined) {
+      return serviceConfig.default_ttl;
+    }
+    return DEFAULT_LEASE_TTL_SECONDS;
+  }
+
+  /**
+   * Get the lease expiry of an allocation (null if it never expires)
+   */
+  getLeaseExpiry(allocation) {
+    // Derive from the lease start so the expiry follows allocated_at / renewed_at
+    if (typeof allocation.ttl === 'number') {
+      const startedAt = new Date(allocation.renewed_at || allocation.allocated_at).getTime();
+      return allocation.ttl ? new Date(startedAt + allocation.ttl * 1000) : null;
+    }
+
+    if (allocation.expires_at !== undefined) {
+      return allocation.expires_at ? new Date(allocation.expires_at) : null;
+    }
+
+    // Allocations restored from older state files carry no lease; derive one
+    const ttl = this.getDefaultTtl(allocation.serviceType || allocation.service_type);
+    return ttl ? new Date(new Date(allocation.allocated_at).getTime() + ttl * 1000) : null;
+  }
+
+  /**
+   * Release an allocation whose owner process has exited
+   */
+  async handleOwnerExit(lockId, pid) {
+    const shared = this.findSingletonConsumer(lockId);
+    const allocation = shared
+      ? this.allocations.get(shared.singleton.port)
+      : Array.from(this.allocations.values()).find(a => a.lockId === lockId);
+    if (!allocation) {
+      return;
+    }
+
+    if (!shared && this.getSingletonConsumers(allocation)) {
+      // The allocating client left this shared singleton earlier; its consumers hold the port now
+      this.processTracker.untrack(lockId);
+      return;
+    }
+
+    // A pinned singleton still loses the consumer, just never the allocation
+    if ((allocation.pinned && !shared) || !this.reaper.getPolicy(allocation.serviceType).owner_dead) {
+      this.logger.info('Keeping allocation after owner exit', {
+        port: allocation.port,
+        lockId,
+        pid,
+        pinned: allocation.pinned === true
+      });
+      return;
+    }
+
+    this.logger.audit('OWNER_PROCESS_EXITED', {
+      port: allocation.port,
+      lockId,
+      pid,
+      serviceType: allocation.serviceType,
+      serviceName: allocation.serviceName
+    });
+
+    this.metrics.incrementCounter('owner_exit_releases_total', 1, {
+      service_type: allocation.serviceType
+    });
 
-        return {
-          success: true,
-          port,
-          message: `Port ${port} released`
-        };
-      }
+    if (shared) {
+      await this.releaseSingletonConsumer(shared, Reaper.REAP_REASONS.OWNER_DEAD, { pid });
+      return;
     }
 
-    throw new Error(`Lock ID ${lockId} not found`);
+    await this.reaper.reap(allocation.port, allocation, Reaper.REAP_REASONS.OWNER_DEAD, { pid });
   }
-  
+
   /**
    * Check if a port is available
    */
-  async isPortAvailable(port) {
+  async isPortAvailable(port, protocol = 'tcp', bindAddress = null) {
     // Check our allocations first
-    if (this.allocations.has(port)) {
+    if (this.getAllocationAt(port)) {
       return false;
     }
 
@@ -1339,7 +3476,7 @@ class StyxyDaemon {
           setTimeout(() => reject(new Error('Port check timeout')), 2000); // Reduced from 5s to 2s
         });
 
-        const checkPromise = this.portScanner.isPortAvailable(port);
+        const checkPromise = this.portScanner.isPortAvailable(port, protocol, bindAddress);
 
         return Promise.race([checkPromise, timeoutPromise]);
       });
@@ -1382,63 +3519,108 @@ class StyxyDaemon {
    * Check if a port is actually available at OS level (Feature #3: Port Conflict Recovery)
    * Unlike isPortAvailable(), this ALWAYS checks OS-level availability, even for managed ports.
    * Used by conflict recovery to detect external processes using our ports.
+   * @param {number} port - Port to check
+   * @param {string} protocol - 'tcp', 'udp' or 'both'
+   * @param {string|null} bindAddress - Where the service will bind; null tests every BIND_CHECK_ADDRESSES entry
+   * @returns {Promise<boolean>}
+   */
+  async checkPortActuallyAvailable(port, protocol = 'tcp', bindAddress = null) {
+    const results = await this.checkPortAddresses(port, protocol, bindAddress);
+    return results.every(result => result.available);
+  }
+
+  /**
+   * Test-bind a port on each relevant address and report the outcome per address
+   * @returns {Promise<Array>} - [{ address, family, protocol, available, status }]
+   */
+  async checkPortAddresses(port, protocol = 'tcp', bindAddress = null) {
+    const net = require('net');
+    const addresses = bindAddress ? [bindAddress] : BIND_CHECK_ADDRESSES;
+    const protocols = protocol === 'both' ? ['tcp', 'udp'] : [protocol];
+    const results = [];
+
+    // One at a time: our own test sockets would otherwise collide with each other
+    for (const address of addresses) {
+      for (const socketType of protocols) {
+        const status = await this.bindTest(port, socketType, address);
+        results.push({
+          address,
+          family: net.isIPv6(address) ? 'IPv6' : 'IPv4',
+          protocol: socketType,
+          // A family the host does not support cannot conflict
+          available: status === 'free' || status === 'unsupported',
+          status
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Try to bind a port on one address
+   * @returns {Promise<string>} - 'free', 'in_use', 'unsupported', 'timeout' or 'error'
    */
-  async checkPortActuallyAvailable(port) {
+  bindTest(port, protocol, address) {
     const net = require('net');
+    const dgram = require('dgram');
+    const ipv6 = net.isIPv6(address);
 
     return new Promise((resolve) => {
-      const server = net.createServer();
-      let available = false;
+      const server = protocol === 'udp' ? dgram.createSocket(ipv6 ? 'udp6' : 'udp4') : net.createServer();
+      let settled = false;
 
-      const cleanup = () => {
+      // Resolve only once the test socket is closed, so the next test bind does not hit it
+      const finish = (status) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeout);
         try {
-          if (server.listening) {
-            server.close();
-          }
+          server.close(() => resolve(status));
         } catch (err) {
-          // Ignore cleanup errors
+          resolve(status);
         }
       };
 
       // Timeout after 1 second
       const timeout = setTimeout(() => {
-        cleanup();
-        this.logger.warn('Port availability check timed out', { port });
-        resolve(false); // Assume unavailable on timeout
+        this.logger.warn('Port availability check timed out', { port, protocol, address });
+        finish('timeout'); // Assume unavailable on timeout
       }, 1000);
 
       server.once('error', (err) => {
-        clearTimeout(timeout);
-        cleanup();
-
         if (err.code === 'EADDRINUSE') {
           // Port definitely in use
-          resolve(false);
+          finish('in_use');
+        } else if (err.code === 'EADDRNOTAVAIL' || err.code === 'EAFNOSUPPORT') {
+          // No such address or family on this host (e.g. IPv6 disabled)
+          finish('unsupported');
         } else {
           // Other error (EACCES, etc.) - assume unavailable for safety
           this.logger.warn('Port availability check error', {
             port,
+            protocol,
+            address,
             error: err.message,
             code: err.code
           });
-          resolve(false);
+          finish('error');
         }
       });
 
-      server.once('listening', () => {
-        clearTimeout(timeout);
-        available = true;
-        cleanup();
-        resolve(true);
-      });
+      server.once('listening', () => finish('free'));
 
       // Try to bind to the port
       try {
-        server.listen(port, '127.0.0.1');
+        if (protocol === 'udp') {
+          server.bind(port, address);
+        } else {
+          server.listen(port, address);
+        }
       } catch (err) {
-        clearTimeout(timeout);
-        cleanup();
-        resolve(false);
+        finish('error');
       }
     });
   }
@@ -1451,13 +3633,34 @@ class StyxyDaemon {
       throw new Error('Service type required for singleton registration');
     }
 
-    this.singletonServices.set(serviceType, {
+    const singleton = {
       serviceType,
       port: allocationInfo.port,
       lockId: allocationInfo.lockId,
       instanceId: allocationInfo.instanceId,
       pid: allocationInfo.pid,
-      allocatedAt: Date.now()
+      allocatedAt: Date.now(),
+      consumers: []
+    };
+
+    // The allocating client is the first consumer and shares the allocation's lock ID
+    this.addSingletonConsumer(singleton, {
+      lock_id: allocationInfo.lockId,
+      instance_id: allocationInfo.instanceId,
+      service_name: allocationInfo.serviceName,
+      project_path: allocationInfo.projectPath,
+      pid: allocationInfo.pid,
+      parent_pid: allocationInfo.parentPid,
+      group_id: allocationInfo.groupId
+    }, { track: false });
+
+    this.singletonServices.set(serviceType, singleton);
+
+    this.publishEvent('singleton:created', {
+      service_type: serviceType,
+      port: allocationInfo.port,
+      lock_id: allocationInfo.lockId,
+      instance_id: allocationInfo.instanceId
     });
 
     this.logger.info('Registered singleton service', {
@@ -1467,6 +3670,113 @@ class StyxyDaemon {
     });
   }
 
+  /**
+   * Add a consumer to a singleton and watch its processes
+   * @param {object} singleton - Registered singleton
+   * @param {object} info - Consumer details including its lock_id
+   * @param {object} options - { track: false } when the allocation already tracks the processes
+   */
+  addSingletonConsumer(singleton, info, options = {}) {
+    const consumer = {
+      lock_id: info.lock_id,
+      instance_id: info.instance_id || 'default',
+      service_name: info.service_name || null,
+      project_path: info.project_path || null,
+      pid: info.pid || null,
+      parent_pid: info.parent_pid || null,
+      group_id: info.group_id || null,
+      joined_at: new Date().toISOString()
+    };
+
+    singleton.consumers.push(consumer);
+    if (options.track !== false) {
+      this.processTracker.track(consumer.lock_id, [consumer.pid, consumer.parent_pid]);
+    }
+
+    return consumer;
+  }
+
+  /**
+   * Find the singleton consumer holding a lock ID
+   * @returns {object|null} - { serviceType, singleton, consumer }
+   */
+  findSingletonConsumer(lockId) {
+    for (const [serviceType, singleton] of this.singletonServices) {
+      const consumer = (singleton.consumers || []).find(c => c.lock_id === lockId);
+      if (consumer) {
+        return { serviceType, singleton, consumer };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the consumers sharing an allocation, or null if it is not a registered singleton
+   */
+  getSingletonConsumers(allocation) {
+    const singleton = this.singletonServices.get(allocation.serviceType || allocation.service_type);
+    return singleton && singleton.lockId === allocation.lockId ? singleton.consumers : null;
+  }
+
+  /**
+   * Whether consumers still hold a shared singleton; one nobody holds is released like any other allocation
+   */
+  hasSingletonConsumers(allocation) {
+    const consumers = this.getSingletonConsumers(allocation);
+    return Boolean(consumers && consumers.length > 0);
+  }
+
+  /**
+   * Remove a consumer from a singleton; the last one out releases the allocation
+   * @param {object} shared - Result of findSingletonConsumer()
+   * @param {string} reason - 'released' or a Reaper reason
+   * @param {object} details - Extra context for the audit log and reap history
+   */
+  async releaseSingletonConsumer({ serviceType, singleton, consumer }, reason = 'released', details = {}) {
+    singleton.consumers = singleton.consumers.filter(c => c !== consumer);
+    this.processTracker.untrack(consumer.lock_id);
+
+    const remaining = singleton.consumers.length;
+    this.logger.audit('SINGLETON_CONSUMER_RELEASED', {
+      serviceType,
+      port: singleton.port,
+      lockId: consumer.lock_id,
+      instanceId: consumer.instance_id,
+      reason,
+      remaining,
+      ...details
+    });
+
+    this.publishEvent('singleton:left', {
+      service_type: serviceType,
+      port: singleton.port,
+      lock_id: consumer.lock_id,
+      instance_id: consumer.instance_id,
+      reason,
+      remaining
+    });
+
+    const allocation = this.allocations.get(singleton.port);
+    if (remaining === 0 && allocation && !allocation.pinned) {
+      if (reason === 'released') {
+        return this.releaseAllocation(singleton.port, allocation);
+      }
+      await this.reaper.reap(singleton.port, allocation, reason, details);
+      return { success: true, port: singleton.port, consumers_remaining: 0, message: `Port ${singleton.port} released` };
+    }
+
+    await this.saveState();
+
+    return {
+      success: true,
+      port: singleton.port,
+      consumers_remaining: remaining,
+      message: remaining > 0
+        ? `Left shared ${serviceType} service on port ${singleton.port} (${remaining} consumers remain)`
+        : `Left shared ${serviceType} service on port ${singleton.port} (kept because it is pinned)`
+    };
+  }
+
   /**
    * Get singleton service info if exists (Feature #1: Single-Instance Services)
    */
@@ -1481,6 +3791,10 @@ class StyxyDaemon {
     const singleton = this.singletonServices.get(serviceType);
     if (singleton) {
       this.singletonServices.delete(serviceType);
+      for (const consumer of singleton.consumers || []) {
+        this.processTracker.untrack(consumer.lock_id);
+      }
+      this.publishEvent('singleton:released', { service_type: serviceType, port: singleton.port });
       this.logger.info('Released singleton service', {
         serviceType,
         port: singleton.port
@@ -1508,7 +3822,12 @@ class StyxyDaemon {
         singletonServices: Array.from(this.singletonServices.entries()).map(([serviceType, singleton]) => ({
           ...singleton,
           serviceType
-        }))
+        })),
+        portAffinity: this.portAffinity.toJSON(),
+        portReleaseTimes: Array.from(this.portReleaseTimes.entries()),
+        portCooldowns: this.getActiveCooldowns(),
+        reapHistory: this.reaper.toJSON(),
+        idempotencyKeys: this.idempotency.toJSON()
       };
 
       // Ensure directory exists with secure permissions
@@ -1534,6 +3853,7 @@ class StyxyDaemon {
       const state = await this.stateManager.loadState();
 
       this.allocations = new Map();
+      this.blockPorts = new Map();
       this.instances = new Map();
       this.singletonServices = new Map();
 
@@ -1548,7 +3868,14 @@ class StyxyDaemon {
               lockId: Validator.validateLockId(allocation.lockId),
               serviceType: Validator.validateServiceType(allocation.serviceType, this.serviceTypes)
             };
+            // Records saved before owner tracking hold the old daemon's own PID, not a client's
+            if (!('parent_process_id' in allocation)) {
+              validAllocation.process_id = null;
+              validAllocation.parent_process_id = null;
+            }
             this.allocations.set(port, validAllocation);
+            this.indexBlockPorts(port, validAllocation);
+            this.processTracker.track(validAllocation.lockId, [validAllocation.process_id, validAllocation.parent_process_id]);
           } catch (error) {
             this.logger.warn('Skipping invalid allocation during load', {
               allocation: Validator.sanitizeObject(allocation),
@@ -1590,6 +3917,17 @@ class StyxyDaemon {
               lockId: Validator.validateLockId(singleton.lockId),
               instanceId: Validator.validateInstanceId(singleton.instanceId)
             };
+
+            // Older state files predate consumer tracking; the allocating client is the only consumer
+            validSingleton.consumers = Array.isArray(singleton.consumers)
+              ? singleton.consumers.filter(consumer => consumer && consumer.lock_id)
+              : [{ lock_id: validSingleton.lockId, instance_id: validSingleton.instanceId, pid: validSingleton.pid || null }];
+            for (const consumer of validSingleton.consumers) {
+              if (consumer.lock_id !== validSingleton.lockId) {
+                this.processTracker.track(consumer.lock_id, [consumer.pid, consumer.parent_pid]);
+              }
+            }
+
             this.singletonServices.set(serviceType, validSingleton);
           } catch (error) {
             this.logger.warn('Skipping invalid singleton service during load', {
@@ -1600,10 +3938,45 @@ class StyxyDaemon {
         }
       }
 
+      // Load port affinity
+      this.portAffinity.load(state.portAffinity || []);
+
+      // Load reap history
+      this.reaper.load(state.reapHistory || []);
+
+      // Load remembered Idempotency-Key responses
+      this.idempotency.load(state.idempotencyKeys || []);
+
+      // Load port release times
+      this.portReleaseTimes = new Map();
+      for (const [port, releasedAt] of state.portReleaseTimes || []) {
+        if (Number.isInteger(port) && Number.isFinite(releasedAt)) {
+          this.portReleaseTimes.set(port, releasedAt);
+        }
+      }
+
+      // Load port cooldowns (expired entries are dropped on first lookup)
+      this.portCooldowns = new Map();
+      for (const cooldown of state.portCooldowns || []) {
+        try {
+          const port = Validator.validatePort(cooldown.port);
+          if (!isNaN(new Date(cooldown.cooldown_until).getTime())) {
+            this.portCooldowns.set(port, {
+              service_type: cooldown.service_type,
+              released_at: cooldown.released_at,
+              cooldown_until: cooldown.cooldown_until
+            });
+          }
+        } catch (error) {
+          // Cooldowns are only a hint; drop entries that no longer validate
+        }
+      }
+
       this.logger.info('State loaded successfully', {
         allocations: this.allocations.size,
         instances: this.instances.size,
-        singletonServices: this.singletonServices.size
+        singletonServices: this.singletonServices.size,
+        portAffinity: this.portAffinity.entries.size
       });
 
       this.metrics.incrementCounter('state_loads_total');
@@ -1614,6 +3987,7 @@ class StyxyDaemon {
 
       // Initialize empty state on error
       this.allocations = new Map();
+      this.blockPorts = new Map();
       this.instances = new Map();
     }
   }
@@ -1668,39 +4042,38 @@ class StyxyDaemon {
       await this.performStartupCleanup();
 
       // Start HTTP server with timeout
-      const serverStartTimeout = 30000; // 30 seconds
-      const serverPromise = new Promise((resolve, reject) => {
-        this.server = this.app.listen(this.port, '127.0.0.1', (error) => {
-          if (error) {
-            this.logger.error('Failed to start HTTP server', { error: error.message });
-            reject(error);
-            return;
-          }
+      if (this.transportConfig.tcp) {
+        await this.listenOnTcp();
+      }
 
-          this.logger.info(`Styxy daemon started successfully`, {
-            port: this.port,
-            pid: process.pid,
-            uptime: process.uptime()
+      // Serve the same API on a Unix socket
+      if (this.transportConfig.unix_socket) {
+        try {
+          await this.listenOnSocket();
+        } catch (error) {
+          if (!this.server) {
+            throw error;
+          }
+          this.logger.warn('Unix socket unavailable, serving over TCP only', {
+            socketPath: this.socketPath,
+            error: error.message
           });
+        }
+      }
 
-          resolve();
-        });
-      });
-
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error(`Server startup timeout after ${serverStartTimeout}ms`));
-        }, serverStartTimeout);
-      });
-
-      await Promise.race([serverPromise, timeoutPromise]);
-
-      // Write PID file
+      // Write PID file and the discovery record clients read to find us
       this.writePidFile();
+      this.writeDiscoveryFile();
 
       // Start cleanup interval
       this.startCleanupTimer();
 
+      // Watch allocation owner processes
+      this.processTracker.start();
+
+      // Apply edits to the config files without a restart
+      this.watchConfig();
+
       // Start health monitoring (Feature #3 Phase 2)
       await this.healthMonitor.startMonitoring();
 
@@ -1710,7 +4083,8 @@ class StyxyDaemon {
 
       // Audit successful start
       this.logger.audit('DAEMON_STARTED', {
-        port: this.port,
+        port: this.server ? this.port : null,
+        socketPath: this.socketServer ? this.socketPath : null,
         allocationsRestored: this.allocations.size,
         instancesRestored: this.instances.size
       });
@@ -1729,6 +4103,113 @@ class StyxyDaemon {
     }
   }
   
+  /**
+   * Listen for HTTP requests on 127.0.0.1:port
+   */
+  async listenOnTcp() {
+    const serverStartTimeout = 30000; // 30 seconds
+    const serverPromise = new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, '127.0.0.1', (error) => {
+        if (error) {
+          this.logger.error('Failed to start HTTP server', { error: error.message });
+          reject(error);
+          return;
+        }
+
+        this.logger.info(`Styxy daemon started successfully`, {
+          port: this.port,
+          pid: process.pid,
+          uptime: process.uptime()
+        });
+
+        resolve();
+      });
+    });
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Server startup timeout after ${serverStartTimeout}ms`));
+      }, serverStartTimeout);
+    });
+
+    try {
+      await Promise.race([serverPromise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Listen for HTTP requests on a Unix socket that only this user can open.
+   * A socket file left by a crashed daemon is replaced; one that still
+   * accepts connections belongs to a running daemon and is left alone.
+   */
+  async listenOnSocket() {
+    if (!fs.existsSync(this.configDir)) {
+      fs.mkdirSync(this.configDir, { recursive: true, mode: 0o700 });
+    }
+
+    if (fs.existsSync(this.socketPath)) {
+      if (await this.isSocketLive()) {
+        throw new Error(`Another daemon is listening on ${this.socketPath}`);
+      }
+      fs.unlinkSync(this.socketPath);
+    }
+
+    const server = http.createServer(this.app);
+
+    // Create the socket file without group/other access, then make sure of it
+    const previousUmask = process.umask(0o177);
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(this.socketPath, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } finally {
+      process.umask(previousUmask);
+    }
+    fs.chmodSync(this.socketPath, 0o600);
+
+    this.socketServer = server;
+    this.logger.info('Listening on Unix socket', { socketPath: this.socketPath });
+  }
+
+  /**
+   * Check whether something accepts connections on the socket path
+   */
+  isSocketLive() {
+    return new Promise((resolve) => {
+      const socket = net.connect(this.socketPath);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.once('error', () => resolve(false));
+    });
+  }
+
+  /**
+   * Close the Unix socket listener and remove its file
+   */
+  async closeSocket() {
+    if (this.socketServer) {
+      await new Promise(resolve => this.socketServer.close(() => resolve()));
+      this.socketServer = null;
+    }
+
+    try {
+      if (fs.existsSync(this.socketPath)) {
+        fs.unlinkSync(this.socketPath);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to remove Unix socket', { error: error.message });
+    }
+  }
+
   /**
    * Write PID file for daemon management
    */
@@ -1743,6 +4224,55 @@ class StyxyDaemon {
     }
   }
   
+  /**
+   * Describe where clients can reach the API
+   */
+  getTransports() {
+    return {
+      tcp: this.server ? { host: '127.0.0.1', port: this.port } : null,
+      unix_socket: this.socketServer ? this.socketPath : null
+    };
+  }
+
+  /**
+   * Write daemon.json next to the PID file so clients can connect without
+   * probing ports. Clients trust it only while its PID is running.
+   */
+  writeDiscoveryFile() {
+    const transports = this.getTransports();
+    const record = {
+      pid: process.pid,
+      version: require('../package.json').version,
+      started_at: new Date().toISOString(),
+      url: transports.tcp ? `http://${transports.tcp.host}:${transports.tcp.port}` : null,
+      transports
+    };
+
+    try {
+      const tempFile = `${this.discoveryFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(record, null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, this.discoveryFile);
+    } catch (error) {
+      this.logger.warn('Failed to write discovery file', { error: error.message });
+    }
+  }
+
+  /**
+   * Remove daemon.json if it still describes this process
+   */
+  removeDiscoveryFile() {
+    try {
+      if (fs.existsSync(this.discoveryFile)) {
+        const record = JSON.parse(fs.readFileSync(this.discoveryFile, 'utf8'));
+        if (record.pid === process.pid) {
+          fs.unlinkSync(this.discoveryFile);
+        }
+      }
+    } catch (error) {
+      this.logger.warn('Failed to remove discovery file', { error: error.message });
+    }
+  }
+
   /**
    * Start periodic cleanup timer
    */
@@ -1756,89 +4286,32 @@ class StyxyDaemon {
    * Check if an allocation is stale
    */
   async isAllocationStale(allocation, now = new Date()) {
-    // 1. Check allocation age (reduce from 1 hour to 30 minutes)
-    const allocatedAt = new Date(allocation.allocated_at);
-    const minutesSinceAllocation = (now - allocatedAt) / (1000 * 60);
-
-    if (minutesSinceAllocation > 30) {
-      return true;
-    }
-
-    // 2. Check if process is still alive
-    if (allocation.process_id) {
-      try {
-        // Use kill(pid, 0) to check if process exists without killing it
-        process.kill(allocation.process_id, 0);
-      } catch (error) {
-        if (error.code === 'ESRCH') {
-          // Process doesn't exist
-          return true;
-        }
-        // Other errors (EPERM, etc.) mean process exists but we can't signal it
-      }
-    }
-
-    // 3. Check if port is actually in use by the process
-    try {
-      const portInfo = await this.portScanner.getPortInfo(allocation.port);
-      if (portInfo && portInfo.pid && portInfo.pid !== allocation.process_id) {
-        // Port is being used by a different process
-        return true;
-      }
-    } catch (error) {
-      // If we can't check port usage, don't consider it stale based on this alone
-    }
+    return (await this.getStaleReason(allocation, now)) !== null;
+  }
 
-    return false;
+  /**
+   * Determine why an allocation is stale (see Reaper.REAP_REASONS), or null
+   */
+  async getStaleReason(allocation, now = new Date()) {
+    return this.reaper.getReason(allocation, now);
   }
 
   /**
-   * Cleanup stale allocations - IMPROVED VERSION
+   * Cleanup stale allocations (cleanup timer)
    */
   async cleanupStaleAllocations() {
     try {
-      let cleaned = 0;
-      const staleAllocations = [];
-      const now = new Date();
-
-      for (const [port, allocation] of this.allocations) {
-        const isStale = await this.isAllocationStale(allocation, now);
-        if (isStale) {
-          staleAllocations.push(port);
-        }
-      }
-
-      // Remove stale allocations
-      for (const port of staleAllocations) {
-        const allocation = this.allocations.get(port);
-        this.allocations.delete(port);
-        cleaned++;
-
-        // Feature #1: Release singleton if this was a singleton service
-        const serviceConfig = this.serviceTypes[allocation.serviceType];
-        if (serviceConfig && serviceConfig.instance_behavior === 'single') {
-          this.releaseSingleton(allocation.serviceType);
-        }
+      const { reaped } = await this.reaper.sweep();
 
-        this.logger.info('Cleaned stale allocation', {
-          port,
-          serviceType: allocation.serviceType,
-          allocatedAt: allocation.allocated_at,
-          reason: 'process_dead_or_expired'
-        });
-      }
-
-      if (cleaned > 0) {
-        await this.saveState();
+      if (reaped.length > 0) {
         this.lastCleanup = new Date().toISOString();
-        this.metrics.incrementCounter('stale_allocations_cleaned_total', cleaned);
       }
 
       // Log cleanup summary periodically
       if (this.allocations.size > 0 && this.allocations.size % 10 === 0) {
         this.logger.debug('Cleanup summary', {
           totalAllocations: this.allocations.size,
-          cleanedThisRun: cleaned
+          cleanedThisRun: reaped.length
         });
       }
 
@@ -1850,56 +4323,20 @@ class StyxyDaemon {
 
   /**
    * Perform cleanup of stale allocations (for API endpoint)
+   * @param {boolean} force - Release every allocation, not just stale ones
+   * @param {boolean} includePinned - Also release pinned allocations
    */
-  async performCleanup(force = false) {
-    let cleaned = 0;
-    const staleAllocations = [];
-
-    // Find allocations from dead processes
-    for (const [port, allocation] of this.allocations) {
-      let isStale = false;
-
-      if (force) {
-        isStale = true;
-      } else {
-        // Check if process is still alive (basic check for now)
-        try {
-          // In a real implementation, we'd check if the process is actually using the port
-          // For now, we'll just clean up allocations older than 1 hour with no heartbeat
-          const allocatedAt = new Date(allocation.allocated_at);
-          const now = new Date();
-          const hoursSinceAllocation = (now - allocatedAt) / (1000 * 60 * 60);
-
-          if (hoursSinceAllocation > 1) {
-            isStale = true;
-          }
-        } catch (error) {
-          // If we can't check, consider it stale
-          isStale = true;
-        }
-      }
-
-      if (isStale) {
-        staleAllocations.push({ port, allocation });
-      }
-    }
-
-    // Remove stale allocations
-    for (const { port } of staleAllocations) {
-      this.allocations.delete(port);
-      cleaned++;
-    }
-
-    if (cleaned > 0) {
-      await this.saveState();
-    }
+  async performCleanup(force = false, includePinned = false) {
+    const { reaped, skipped_pinned } = await this.reaper.sweep({ force, includePinned });
 
     return {
       success: true,
-      cleaned,
+      cleaned: reaped.length,
+      skipped_pinned,
+      reaped,
       message: force ?
         `Force cleanup completed` :
-        `Cleaned up ${cleaned} stale allocations`
+        `Cleaned up ${reaped.length} stale allocations`
     };
   }
   
@@ -1932,6 +4369,19 @@ class StyxyDaemon {
         this.healthMonitor.stopMonitoring();
       }
 
+      // Stop watching the config files
+      this.stopConfigWatcher();
+
+      // Stop owner process tracking
+      if (this.processTracker) {
+        this.processTracker.stop();
+      }
+
+      // Fail requests still waiting for a port
+      if (this.allocationQueue) {
+        this.allocationQueue.cancelAll('Daemon shutting down');
+      }
+
       // Stop port observer (Observation Mode)
       if (this.portObserver) {
         this.portObserver.stop();
@@ -1951,6 +4401,12 @@ class StyxyDaemon {
       if (this.portScannerBreaker) {
         this.portScannerBreaker.destroy();
       }
+      if (this.hookRunner) {
+        this.hookRunner.destroy();
+      }
+
+      // End event streams, which would otherwise hold the servers open
+      this.closeEventStreams();
 
       // Close HTTP server
       if (this.server) {
@@ -1965,6 +4421,12 @@ class StyxyDaemon {
         });
       }
 
+      // Close Unix socket listener
+      await this.closeSocket();
+
+      // Remove discovery record
+      this.removeDiscoveryFile();
+
       // Remove PID file
       try {
         if (fs.existsSync(this.pidFile)) {
@@ -2002,11 +4464,17 @@ class StyxyDaemon {
 
       try {
         // 1. Stop accepting new connections
+        this.closeEventStreams();
         if (this.server) {
           this.server.close(() => {
             this.logger.info('HTTP server closed');
           });
         }
+        if (this.socketServer) {
+          this.socketServer.close(() => {
+            this.logger.info('Unix socket closed');
+          });
+        }
 
         // 2. Clear intervals and cleanup resources
         if (this.cleanupInterval) {
@@ -2020,6 +4488,19 @@ class StyxyDaemon {
           this.logger.debug('Health monitoring stopped');
         }
 
+        // Stop watching the config files
+        this.stopConfigWatcher();
+
+        // Stop owner process tracking
+        if (this.processTracker) {
+          this.processTracker.stop();
+        }
+
+        // Fail requests still waiting for a port
+        if (this.allocationQueue) {
+          this.allocationQueue.cancelAll('Daemon shutting down');
+        }
+
         // 3. Save current state
         await this.saveState();
         this.logger.info('State saved before shutdown');
@@ -2028,6 +4509,9 @@ class StyxyDaemon {
         if (this.portScannerBreaker) {
           this.portScannerBreaker.destroy();
         }
+        if (this.hookRunner) {
+          this.hookRunner.destroy();
+        }
 
         // 5. Cleanup metrics
         if (this.metrics) {
@@ -2039,15 +4523,19 @@ class StyxyDaemon {
           this.auth.destroy();
         }
 
-        // 7. Remove PID file
+        // 7. Remove PID file, socket and discovery record
         try {
           if (fs.existsSync(this.pidFile)) {
             fs.unlinkSync(this.pidFile);
             this.logger.debug('PID file removed');
           }
+          if (fs.existsSync(this.socketPath)) {
+            fs.unlinkSync(this.socketPath);
+          }
         } catch (error) {
           this.logger.warn('Failed to remove PID file', { error: error.message });
         }
+        this.removeDiscoveryFile();
 
         clearTimeout(shutdownTimeout);
         this.logger.info('Graceful shutdown completed');
@@ -40,8 +40,19 @@ program
   .description('Allocate a port for a service')
   .requiredOption('-s, --service <type>', 'Service type (dev, api, database, infrastructure, ai, messaging, coordination, test, storybook, docs, etc.)')
   .option('-p, --port <port>', 'Preferred port number')
+  .option('--strict', 'Fail with details about the holder instead of falling back when --port is taken')
   .option('-n, --name <name>', 'Service instance name')
   .option('--project <path>', 'Project path context')
+  .option('--pid [pid]', 'Release the allocation when this PID exits; with no value, the shell that ran this command (default: not watched)')
+  .option('--parent-pid <pid>', 'Session PID; the allocation is also released when it exits')
+  .option('--ttl <seconds>', 'Lease length in seconds (0 = never expires, default: per service type)')
+  .option('--wait <ms>', 'If the range is full, wait up to this long for a port to be released')
+  .option('--explain', 'Show which port would be allocated and why each candidate was skipped, without allocating')
+  .option('--pinned', 'Protect the allocation from every cleanup mechanism until it is unpinned')
+  .option('-g, --group <name>', 'Session or group name, for releasing everything in it at once')
+  .option('-c, --count <n>', 'Allocate a block of n contiguous ports under one lock ID')
+  .option('--protocol <protocol>', 'Socket type the service binds: tcp, udp or both (default: per service type)')
+  .option('--bind <address>', 'IP address the service will bind (default: check 127.0.0.1, 0.0.0.0, ::1 and ::)')
   .option('--json', 'Output result as JSON')
   .action(allocate);
 
@@ -50,6 +61,8 @@ program
   .command('check')
   .description('Check if a port is available')
   .argument('<port>', 'Port number to check')
+  .option('--protocol <protocol>', 'Socket type to check: tcp, udp or both', 'tcp')
+  .option('--bind <address>', 'Only check this IP address')
   .option('--json', 'Output result as JSON')
   .action(check);
 
@@ -64,16 +77,90 @@ program
 // Release allocation
 program
   .command('release')
-  .description('Release a port allocation')
-  .argument('<lockId>', 'Lock ID to release')
+  .description('Release a port allocation, or every allocation matching a filter')
+  .argument('[lockId]', 'Lock ID to release')
+  .option('-g, --group <name>', 'Release every allocation in this group')
+  .option('-i, --instance <id>', 'Release every allocation made by this instance')
+  .option('--project <path>', 'Release every allocation for this project path')
+  .option('-s, --service <type>', 'Release every allocation of this service type')
+  .option('--include-pinned', 'Also release pinned allocations matching the filter')
   .option('--json', 'Output result as JSON')
   .action(require('./commands/release'));
 
+// Renew allocation lease
+program
+  .command('renew')
+  .description('Extend the lease of a port allocation')
+  .argument('<lockId>', 'Lock ID to renew')
+  .option('-t, --ttl <seconds>', 'New lease length in seconds (default: current lease length)')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/renew'));
+
+// Transfer allocation ownership
+program
+  .command('transfer')
+  .description('Hand an allocation to another instance')
+  .argument('<lockId>', 'Lock ID to transfer')
+  .requiredOption('--to <instance>', 'Instance ID of the new owner')
+  .option('--pid <pid>', 'PID of the new owner process (default: none watched)')
+  .option('--parent-pid <pid>', 'Session PID of the new owner')
+  .option('--project <path>', 'New project path (default: unchanged)')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/transfer'));
+
+// Pin / unpin allocation
+program
+  .command('pin')
+  .description('Protect an allocation from stale cleanup, lease expiry and owner-exit release')
+  .argument('<lockId>', 'Lock ID to pin')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/pin'));
+
+program
+  .command('unpin')
+  .description('Let cleanup reclaim a pinned allocation again')
+  .argument('<lockId>', 'Lock ID to unpin')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/pin').unpin);
+
+// Project manifest commands
+program
+  .command('up')
+  .description('Allocate every service declared in .styxy.json (or the "styxy" key in package.json)')
+  .option('--project <path>', 'Directory to search for the manifest (default: current directory)')
+  .option('-o, --output <file>', 'Write the allocated ports as NAME=port lines to this file (e.g. .env.local)')
+  .option('--pid [pid]', 'Release the allocations when this PID exits; with no value, the shell that ran this command (default: not watched)')
+  .option('--ttl <seconds>', 'Lease length in seconds (0 = never expires, default: per service type)')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/up'));
+
+program
+  .command('down')
+  .description('Release the services allocated by styxy up')
+  .option('--project <path>', 'Directory to search for the manifest (default: current directory)')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/down'));
+
+// Port affinity
+program
+  .command('affinity')
+  .description('Show the ports remembered for each project service')
+  .option('--project <path>', 'Only entries for this project path')
+  .option('-s, --service <type>', 'Only entries for this service type')
+  .option('-n, --name <name>', 'Only entries for this service name')
+  .option('--clear', 'Forget the matching entries')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/affinity'));
+
 // Cleanup stale allocations
 program
   .command('cleanup')
   .description('Clean up stale port allocations')
   .option('-f, --force', 'Force cleanup of all allocations')
+  .option('--include-pinned', 'Also release pinned allocations')
+  .option('--history', 'Show recently reaped allocations and why they were released, instead of cleaning up')
+  .option('--reason <reason>', 'With --history: only this reason (lease_expired, owner_dead, port_reused, port_unbound, forced, health_failures)')
+  .option('--limit <n>', 'With --history: number of entries to show (default: 50)')
   .option('--json', 'Output result as JSON')
   .action(cleanup);
 
@@ -86,6 +173,23 @@ program
   .option('--json', 'Output result as JSON')
   .action(require('./commands/scan'));
 
+// Shared singleton services
+program
+  .command('singletons')
+  .description('Show single-instance services and the consumers sharing each one')
+  .option('--json', 'Output result as JSON')
+  .action(require('./commands/singletons'));
+
+// Event stream
+program
+  .command('events')
+  .description('Show recent daemon events (allocations, singletons, observed ports, config, circuit breakers)')
+  .option('-f, --follow', 'Keep streaming new events as they happen')
+  .option('-t, --type <types>', 'Only these comma-separated types or prefixes (e.g. allocation,observer:bind)')
+  .option('--since <id>', 'Replay buffered events after this event ID')
+  .option('--json', 'Output one JSON event per line')
+  .action(require('./commands/events'));
+
 // Instance management
 program
   .command('instances')
@@ -97,10 +201,10 @@ program
 program
   .command('config')
   .description('Manage Styxy configuration')
-  .argument('<action>', 'Action to perform (show|validate|generate|instances|auto-allocation)')
+  .argument('<action>', 'Action to perform (show|validate|generate|instances|auto-allocation|reload)')
   .argument('[subcommand]', 'Subcommand for auto-allocation (status|enable|disable|undo|list)')
   .argument('[serviceType]', 'Service type for undo subcommand')
-  .option('-f, --force', 'Force overwrite when generating config')
+  .option('-f, --force', 'Force overwrite when generating config, or reload even if live allocations would be orphaned')
   .action((action, subcommand, serviceType, options) => {
     const config = require('./commands/config');
     config(action, { ...options, subcommand, serviceType });
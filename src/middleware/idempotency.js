@@ -0,0 +1,180 @@
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients retry mutations safely. A request carrying an
+ * `Idempotency-Key` header is executed once; repeats of the same request
+ * within the window get the original response back instead of allocating
+ * or releasing again. Only successful responses are remembered, since a
+ * failed request changed nothing and may simply be run again.
+ */
+
+const crypto = require('crypto');
+const Validator = require('../utils/validator');
+
+const HEADER = 'Idempotency-Key';
+
+class IdempotencyMiddleware {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60 * 60 * 1000; // 1 hour
+    this.maxEntries = options.maxEntries || 1000;
+    this.onRecord = options.onRecord || (() => {}); // Called after a response is remembered
+
+    // key -> { key, fingerprint, status, body, created_at }, oldest first
+    this.entries = new Map();
+
+    // key -> { fingerprint, done } for requests still being handled
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Express middleware for one mutating route
+   */
+  guard() {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+
+  async handle(req, res, next) {
+    const key = req.get(HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    try {
+      Validator.validateIdempotencyKey(key);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: Validator.sanitizeForLogging(error.message)
+      });
+    }
+
+    const fingerprint = IdempotencyMiddleware.fingerprint(req);
+
+    // A retry that arrives while the original is still running waits for it
+    const pending = this.inFlight.get(key);
+    if (pending && pending.fingerprint === fingerprint) {
+      await pending.done;
+      return this.handle(req, res, next);
+    }
+
+    const entry = pending ? { fingerprint: pending.fingerprint } : this.get(key);
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: `${HEADER} was already used for a different request`
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(entry.status).json(entry.body);
+    }
+
+    let finish;
+    this.inFlight.set(key, { fingerprint, done: new Promise(resolve => { finish = resolve; }) });
+    const settle = () => {
+      if (this.inFlight.has(key)) {
+        this.inFlight.delete(key);
+        finish();
+      }
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        this.record(key, { fingerprint, status: res.statusCode, body });
+      }
+      settle();
+      return json(body);
+    };
+    res.once('close', settle);
+
+    next();
+  }
+
+  /**
+   * Identify a request by method, URL and body
+   */
+  static fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+      .digest('hex');
+  }
+
+  /**
+   * Get a remembered response, or null if the key is unknown or has expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - new Date(entry.created_at).getTime() > this.windowMs) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remember the response sent for a key
+   */
+  record(key, { fingerprint, status, body }) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      key,
+      fingerprint,
+      status,
+      body,
+      created_at: new Date().toISOString()
+    });
+
+    this.prune();
+    this.onRecord(key);
+  }
+
+  /**
+   * Drop expired entries and keep at most maxEntries
+   */
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    for (const [key, entry] of this.entries) {
+      if (new Date(entry.created_at).getTime() < cutoff) {
+        this.entries.delete(key);
+      }
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Serialize unexpired entries for daemon state
+   */
+  toJSON() {
+    this.prune();
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Restore entries from daemon state
+   */
+  load(entries = []) {
+    this.entries = new Map();
+    for (const entry of entries) {
+      if (entry && typeof entry.key === 'string' && typeof entry.fingerprint === 'string' &&
+          Number.isInteger(entry.status) && entry.created_at) {
+        this.entries.set(entry.key, entry);
+      }
+    }
+    this.prune();
+    return this.entries.size;
+  }
+}
+
+IdempotencyMiddleware.HEADER = HEADER;
+
+module.exports = IdempotencyMiddleware;
@@ -0,0 +1,183 @@
+/**
+ * Allocation Queue - Wait for a Port When a Range Is Exhausted
+ *
+ * Keeps a FIFO queue of waiting allocation requests per service type.
+ * When a port of that type is freed, the waiter at the head of the queue
+ * is woken and gets the first chance at it; newcomers do not overtake
+ * requests that are already waiting.
+ */
+
+const Logger = require('./logger');
+
+class AllocationQueue {
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'allocation-queue' });
+    this.metrics = options.metrics || null;
+
+    // serviceType -> [{ resolve, reject, timer, enqueuedAt }]
+    this.queues = new Map();
+
+    // serviceType -> number of woken waiters that have not retried yet
+    this.handoffs = new Map();
+  }
+
+  /**
+   * Wait until a port of the service type is freed
+   * @param {string} serviceType - Service type to wait on
+   * @param {number} timeoutMs - Maximum time to wait
+   * @param {object} options - { front: true } to rejoin at the head (after a failed handoff)
+   * @returns {Promise<number>} - Resolves with the time spent waiting, rejects on timeout
+   */
+  wait(serviceType, timeoutMs, options = {}) {
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(serviceType) || [];
+      const waiter = { resolve, reject, enqueuedAt: Date.now() };
+
+      waiter.timer = setTimeout(() => {
+        this.remove(serviceType, waiter);
+        this.recordWait(serviceType, waiter, 'timeout');
+        const error = new Error(`Timed out after ${timeoutMs}ms waiting for a ${serviceType} port`);
+        error.code = 'WAIT_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+
+      if (options.front) {
+        queue.unshift(waiter);
+      } else {
+        queue.push(waiter);
+      }
+      this.queues.set(serviceType, queue);
+      this.updateDepth(serviceType);
+
+      this.logger.debug('Allocation request queued', {
+        serviceType,
+        position: options.front ? 1 : queue.length,
+        timeoutMs
+      });
+    });
+  }
+
+  /**
+   * Wake the longest-waiting request for a service type
+   * @returns {boolean} - True if a waiter was woken
+   */
+  notify(serviceType) {
+    const queue = this.queues.get(serviceType);
+    if (!queue || queue.length === 0) {
+      return false;
+    }
+
+    const waiter = queue.shift();
+    clearTimeout(waiter.timer);
+    this.updateDepth(serviceType);
+
+    this.handoffs.set(serviceType, (this.handoffs.get(serviceType) || 0) + 1);
+    const waitedMs = this.recordWait(serviceType, waiter, 'served');
+    waiter.resolve(waitedMs);
+    return true;
+  }
+
+  /**
+   * Mark a woken waiter's retry as finished
+   */
+  completeHandoff(serviceType) {
+    const pending = (this.handoffs.get(serviceType) || 0) - 1;
+    if (pending > 0) {
+      this.handoffs.set(serviceType, pending);
+    } else {
+      this.handoffs.delete(serviceType);
+    }
+  }
+
+  /**
+   * Check whether requests are waiting or being served for a service type
+   */
+  isContended(serviceType) {
+    return this.depth(serviceType) > 0 || this.handoffs.has(serviceType);
+  }
+
+  /**
+   * Number of requests waiting for a service type
+   */
+  depth(serviceType) {
+    const queue = this.queues.get(serviceType);
+    return queue ? queue.length : 0;
+  }
+
+  /**
+   * Reject every waiter (daemon shutdown)
+   */
+  cancelAll(reason = 'Allocation queue closed') {
+    for (const [serviceType, queue] of this.queues) {
+      for (const waiter of queue) {
+        clearTimeout(waiter.timer);
+        const error = new Error(reason);
+        error.code = 'WAIT_CANCELLED';
+        waiter.reject(error);
+      }
+      this.queues.set(serviceType, []);
+      this.updateDepth(serviceType);
+    }
+    this.queues.clear();
+    this.handoffs.clear();
+  }
+
+  /**
+   * Remove a waiter from its queue
+   */
+  remove(serviceType, waiter) {
+    const queue = this.queues.get(serviceType);
+    if (!queue) {
+      return;
+    }
+
+    const index = queue.indexOf(waiter);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    if (queue.length === 0) {
+      this.queues.delete(serviceType);
+    }
+    this.updateDepth(serviceType);
+  }
+
+  /**
+   * Export the current queue depth
+   */
+  updateDepth(serviceType) {
+    if (this.metrics) {
+      this.metrics.setGauge('allocation_queue_depth', this.depth(serviceType), { service_type: serviceType });
+    }
+  }
+
+  /**
+   * Export how long a waiter spent in the queue
+   * @returns {number} - Wait time in milliseconds
+   */
+  recordWait(serviceType, waiter, outcome) {
+    const waitedMs = Date.now() - waiter.enqueuedAt;
+    if (this.metrics) {
+      this.metrics.recordHistogram('allocation_queue_wait_ms', waitedMs, { service_type: serviceType, outcome });
+    }
+    return waitedMs;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    const depths = {};
+    for (const [serviceType, queue] of this.queues) {
+      if (queue.length > 0) {
+        depths[serviceType] = queue.length;
+      }
+    }
+
+    return {
+      waiting: Object.values(depths).reduce((sum, depth) => sum + depth, 0),
+      by_service_type: depths
+    };
+  }
+}
+
+module.exports = AllocationQueue;
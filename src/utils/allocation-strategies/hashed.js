@@ -0,0 +1,40 @@
+/**
+ * Hashed Allocation Strategy
+ *
+ * Starts at a port derived from the project path and service name and
+ * walks the range from there, wrapping around. The same project gets the
+ * same port on every machine as long as it is free; preferred ports are
+ * ignored.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Order candidate ports for a service type
+ * @param {object} serviceConfig - Service type config ({ range })
+ * @param {object} context - Allocation context ({ projectPath, serviceName })
+ * @returns {number[]} - Candidate ports in allocation order
+ */
+function order(serviceConfig, context = {}) {
+  const [start, end] = serviceConfig.range;
+  const size = end - start + 1;
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${context.projectPath || ''}\0${context.serviceName || ''}`)
+    .digest();
+  const offset = digest.readUInt32BE(0) % size;
+
+  const ports = [];
+  for (let i = 0; i < size; i++) {
+    ports.push(start + ((offset + i) % size));
+  }
+
+  return ports;
+}
+
+module.exports = {
+  name: 'hashed',
+  description: 'Deterministic starting port per project and service name',
+  order
+};
@@ -0,0 +1,40 @@
+/**
+ * Allocation Strategies
+ *
+ * Selected per service type by `multi_instance_pattern`. Each strategy
+ * orders the candidate ports of a service type's range; the daemon still
+ * tries an explicitly requested port and the remembered affinity port first.
+ */
+
+const sequential = require('./sequential');
+const random = require('./random');
+const lru = require('./lru');
+const hashed = require('./hashed');
+
+const STRATEGIES = {
+  [sequential.name]: sequential,
+  [random.name]: random,
+  [lru.name]: lru,
+  [hashed.name]: hashed
+};
+
+const DEFAULT_STRATEGY = sequential.name;
+
+/**
+ * Look up a strategy by name
+ * @param {string} name - Strategy name (defaults to sequential)
+ * @returns {object} - Strategy module ({ name, description, order })
+ */
+function getStrategy(name) {
+  const strategy = STRATEGIES[name || DEFAULT_STRATEGY];
+  if (!strategy) {
+    throw new Error(`Unknown allocation strategy '${name}'. Valid strategies: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  return strategy;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  getStrategy
+};
@@ -0,0 +1,34 @@
+/**
+ * Least-Recently-Used Allocation Strategy
+ *
+ * Ports that were never released come first (in sequential order), then
+ * released ports from the longest-idle to the most recently freed. This
+ * gives lingering clients of a just-stopped service time to notice before
+ * its port is reused.
+ */
+
+const sequential = require('./sequential');
+
+/**
+ * Order candidate ports for a service type
+ * @param {object} serviceConfig - Service type config ({ preferred_ports, range })
+ * @param {object} context - Allocation context ({ lastReleased: Map<port, ms timestamp> })
+ * @returns {number[]} - Candidate ports in allocation order
+ */
+function order(serviceConfig, context = {}) {
+  const lastReleased = context.lastReleased || new Map();
+  const ports = sequential.order(serviceConfig);
+
+  const neverReleased = ports.filter(port => !lastReleased.has(port));
+  const released = ports
+    .filter(port => lastReleased.has(port))
+    .sort((a, b) => lastReleased.get(a) - lastReleased.get(b));
+
+  return [...neverReleased, ...released];
+}
+
+module.exports = {
+  name: 'lru',
+  description: 'Never-used ports first, then the longest-idle ports',
+  order
+};
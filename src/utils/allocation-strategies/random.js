@@ -0,0 +1,44 @@
+/**
+ * Random Allocation Strategy
+ *
+ * Shuffles the whole range, preferred ports included, so Styxy-managed
+ * services are less likely to collide with unmanaged tools that grab the
+ * well-known ports first.
+ */
+
+/**
+ * Order candidate ports for a service type
+ * @param {object} serviceConfig - Service type config ({ preferred_ports, range })
+ * @param {object} context - Allocation context ({ random } may override Math.random)
+ * @returns {number[]} - Candidate ports in allocation order
+ */
+function order(serviceConfig, context = {}) {
+  const random = context.random || Math.random;
+  const [start, end] = serviceConfig.range;
+  const ports = [];
+
+  for (let port = start; port <= end; port++) {
+    ports.push(port);
+  }
+
+  // Preferred ports outside the range remain candidates
+  for (const port of serviceConfig.preferred_ports || []) {
+    if (port < start || port > end) {
+      ports.push(port);
+    }
+  }
+
+  // Fisher-Yates shuffle
+  for (let i = ports.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ports[i], ports[j]] = [ports[j], ports[i]];
+  }
+
+  return ports;
+}
+
+module.exports = {
+  name: 'random',
+  description: 'Whole range in random order',
+  order
+};
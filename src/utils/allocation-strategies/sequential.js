@@ -0,0 +1,36 @@
+/**
+ * Sequential Allocation Strategy
+ *
+ * Service preferred ports first, then the rest of the range in ascending
+ * order. This is the historical Styxy behavior.
+ */
+
+/**
+ * Order candidate ports for a service type
+ * @param {object} serviceConfig - Service type config ({ preferred_ports, range })
+ * @returns {number[]} - Candidate ports in allocation order
+ */
+function order(serviceConfig) {
+  const [start, end] = serviceConfig.range;
+  const ports = [];
+
+  for (const port of serviceConfig.preferred_ports || []) {
+    if (!ports.includes(port)) {
+      ports.push(port);
+    }
+  }
+
+  for (let port = start; port <= end; port++) {
+    if (!ports.includes(port)) {
+      ports.push(port);
+    }
+  }
+
+  return ports;
+}
+
+module.exports = {
+  name: 'sequential',
+  description: 'Preferred ports first, then the range in ascending order',
+  order
+};
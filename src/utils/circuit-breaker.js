@@ -14,6 +14,7 @@ class CircuitBreaker {
     this.recoveryTimeout = options.recoveryTimeout || 30000; // 30 seconds
     this.monitoringPeriod = options.monitoringPeriod || 60000; // 1 minute
     this.expectedErrors = options.expectedErrors || [];
+    this.onStateChange = options.onStateChange || (() => {}); // Called with (state, previousState)
 
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failureCount = 0;
@@ -35,7 +36,7 @@ class CircuitBreaker {
 
     if (this.state === 'OPEN') {
       if (this.shouldAttemptReset()) {
-        this.state = 'HALF_OPEN';
+        this.setState('HALF_OPEN');
         this.logger.info('Circuit breaker transitioning to HALF_OPEN', {
           name: this.name,
           failureCount: this.failureCount
@@ -61,7 +62,7 @@ class CircuitBreaker {
     this.successCount++;
 
     if (this.state === 'HALF_OPEN') {
-      this.state = 'CLOSED';
+      this.setState('CLOSED');
       this.failureCount = 0;
       this.logger.info('Circuit breaker reset to CLOSED', {
         name: this.name,
@@ -91,7 +92,7 @@ class CircuitBreaker {
     });
 
     if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
+      this.setState('OPEN');
       this.logger.error('Circuit breaker opened due to failures', {
         name: this.name,
         failureCount: this.failureCount,
@@ -100,6 +101,14 @@ class CircuitBreaker {
     }
   }
 
+  setState(state) {
+    const previousState = this.state;
+    this.state = state;
+    if (state !== previousState) {
+      this.onStateChange(state, previousState);
+    }
+  }
+
   shouldAttemptReset() {
     return Date.now() - this.lastFailureTime >= this.recoveryTimeout;
   }
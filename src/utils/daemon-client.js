@@ -3,9 +3,13 @@
  */
 
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
 const Logger = require('./logger');
 const CircuitBreaker = require('./circuit-breaker');
+const ProcessTracker = require('./process-tracker');
 
 class DaemonClient {
   constructor(options = {}) {
@@ -16,6 +20,9 @@ class DaemonClient {
     this.timeout = options.timeout || 5000; // 5 seconds
     this.configDir = options.configDir || path.join(process.env.HOME, '.styxy');
     this.tokenFile = path.join(this.configDir, 'auth.token');
+    this.discoveryFile = path.join(this.configDir, 'daemon.json');
+    this.socketOverride = options.socketPath || process.env.STYXY_SOCKET || null;
+    this.socketPath = this.socketOverride || path.join(this.configDir, 'daemon.sock');
     this.circuitBreaker = new CircuitBreaker({
       name: 'daemon-client',
       failureThreshold: 5,
@@ -54,6 +61,29 @@ class DaemonClient {
     return Math.min(delay + jitter, this.maxDelay);
   }
 
+  /**
+   * Read the daemon.json record the daemon writes at startup
+   * @returns {object|null} - The record plus `alive` (its PID is running), or null if missing or unreadable
+   */
+  readDiscovery() {
+    try {
+      if (!fs.existsSync(this.discoveryFile)) {
+        return null;
+      }
+
+      const record = JSON.parse(fs.readFileSync(this.discoveryFile, 'utf8'));
+      if (!Number.isInteger(record.pid) || !record.transports) {
+        this.logger.warn('Ignoring malformed discovery file', { file: this.discoveryFile });
+        return null;
+      }
+
+      return { ...record, alive: ProcessTracker.isAlive(record.pid) };
+    } catch (error) {
+      this.logger.warn('Failed to read discovery file', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Discover the daemon URL with fallback strategy
    */
@@ -64,7 +94,23 @@ class DaemonClient {
       return `http://127.0.0.1:${portOverride}`;
     }
 
-    // 2. Try auto-discovery on common ports
+    // 2. Use the discovery record, if the daemon that wrote it is still running
+    const discovery = this.readDiscovery();
+    if (discovery) {
+      const tcp = discovery.alive && discovery.transports.tcp;
+      if (tcp) {
+        return `http://${tcp.host}:${tcp.port}`;
+      }
+
+      // The daemon has exited or serves no TCP, so probing would only stall
+      this.logger.debug('Discovery record has no reachable TCP listener', {
+        pid: discovery.pid,
+        alive: discovery.alive
+      });
+      return 'http://127.0.0.1:9876';
+    }
+
+    // 3. Try auto-discovery on common ports
     const commonPorts = [9876, 9877, 9878, 9879, 9880];
 
     for (const port of commonPorts) {
@@ -91,40 +137,122 @@ class DaemonClient {
       }
     }
 
-    // 3. Fallback to default
+    // 4. Fallback to default
     this.logger.warn('Using default daemon port, auto-discovery failed');
     return 'http://127.0.0.1:9876';
   }
 
+  /**
+   * Get the daemon's Unix socket if it should be used, or null for TCP.
+   * STYXY_DAEMON_PORT selects TCP unless STYXY_SOCKET is also set;
+   * otherwise the discovery record decides when there is one.
+   */
+  getSocketPath() {
+    if (this.socketOverride) {
+      return fs.existsSync(this.socketOverride) ? this.socketOverride : null;
+    }
+    if (process.env.STYXY_DAEMON_PORT) {
+      return null;
+    }
+
+    const discovery = this.readDiscovery();
+    if (discovery) {
+      return discovery.alive ? discovery.transports.unix_socket || null : null;
+    }
+
+    return fs.existsSync(this.socketPath) ? this.socketPath : null;
+  }
+
+  /**
+   * Send a request over the Unix socket and wrap the reply in a fetch Response
+   */
+  requestOverSocket(socketPath, endpoint, { method = 'GET', headers = {}, body, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ socketPath, path: endpoint, method, headers, signal }, (res) => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          responseHeaders.set(name, Array.isArray(value) ? value.join(', ') : value);
+        }
+
+        const hasBody = method !== 'HEAD' && ![204, 304].includes(res.statusCode);
+        if (!hasBody) {
+          res.resume();
+        }
+
+        resolve(new Response(hasBody ? Readable.toWeb(res) : null, {
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: responseHeaders
+        }));
+      });
+
+      request.once('error', reject);
+      if (body) {
+        request.write(body);
+      }
+      request.end();
+    });
+  }
+
   /**
    * Make a request with retry logic and circuit breaker
+   *
+   * Mutations carry one Idempotency-Key across every attempt, so a retry
+   * after a lost response replays the original result instead of running
+   * the mutation again.
    */
   async makeRequest(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const requestHeaders = { ...options.headers };
+    const hasKey = Object.keys(requestHeaders).some(name => name.toLowerCase() === 'idempotency-key');
+    if (!['GET', 'HEAD'].includes(method) && !hasKey) {
+      requestHeaders['Idempotency-Key'] = uuidv4();
+    }
+
     return this.circuitBreaker.execute(async () => {
       let lastError;
 
       for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
         try {
-          const baseUrl = await this.getDaemonUrl();
-          const url = `${baseUrl}${endpoint}`;
-
           const controller = new AbortController();
           const timeoutId = setTimeout(() => {
             controller.abort();
           }, this.timeout);
 
           // Add authentication header if token is available
-          const headers = { ...options.headers };
+          const headers = { ...requestHeaders };
           const authToken = this.getAuthToken();
           if (authToken) {
             headers['Authorization'] = `Bearer ${authToken}`;
           }
 
-          const response = await fetch(url, {
-            ...options,
-            headers,
-            signal: controller.signal
-          });
+          // Prefer the Unix socket; fall back to TCP if nothing is listening on it
+          let response = null;
+          const socketPath = this.getSocketPath();
+          if (socketPath) {
+            try {
+              response = await this.requestOverSocket(socketPath, endpoint, {
+                method,
+                headers,
+                body: options.body,
+                signal: controller.signal
+              });
+            } catch (error) {
+              if (!['ECONNREFUSED', 'ENOENT'].includes(error.code)) {
+                throw error;
+              }
+              this.logger.debug('Unix socket unavailable, falling back to TCP', { socketPath });
+            }
+          }
+
+          if (!response) {
+            const baseUrl = await this.getDaemonUrl();
+            response = await fetch(`${baseUrl}${endpoint}`, {
+              ...options,
+              headers,
+              signal: controller.signal
+            });
+          }
 
           clearTimeout(timeoutId);
 
@@ -48,6 +48,20 @@ class EnhancedError extends Error {
   }
 }
 
+/**
+ * Format a duration in seconds as e.g. "45s", "12m" or "3h 5m"
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m`;
+  }
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${Math.floor(seconds / 3600)}h${minutes ? ` ${minutes}m` : ''}`;
+}
+
 class ErrorFactory {
   /**
    * Create enhanced error for port range exhaustion
@@ -160,6 +174,97 @@ class ErrorFactory {
     );
   }
 
+  /**
+   * Create enhanced error for a strict allocation whose exact port is taken
+   * @param {number} port - Requested port
+   * @param {string} serviceType - Requested service type
+   * @param {object} holder - { type: 'styxy' | 'singleton' | 'process' | 'reserving' | 'unknown', ... };
+   *   'singleton' is the running instance of a single-instance service type, on another port
+   * @param {number|null} heldForSeconds - How long the holder has had the port, if known
+   */
+  static preferredPortConflict(port, serviceType, holder, heldForSeconds = null) {
+    const heldFor = heldForSeconds !== null ? ` for ${formatDuration(heldForSeconds)}` : '';
+    const retry = `Drop --strict to take the next free ${serviceType} port instead`;
+    let message;
+    let suggestions;
+
+    if (holder.type === 'styxy') {
+      message = `Port ${port} is held by Styxy allocation ${holder.lock_id} ` +
+        `(${holder.service_type} service "${holder.service_name}", instance ${holder.instance_id})${heldFor}`;
+      suggestions = [
+        `Release it with "styxy release ${holder.lock_id}" if it is no longer needed`,
+        `Take it over with "styxy transfer ${holder.lock_id} --to <instance>" instead of allocating again`,
+        retry
+      ];
+      if (holder.pinned) {
+        suggestions.unshift('The allocation is pinned, so cleanup will never reclaim it');
+      }
+    } else if (holder.type === 'singleton') {
+      message = `Service type ${serviceType} only allows a single instance, which is already running on port ${holder.port} ` +
+        `as Styxy allocation ${holder.lock_id} (service "${holder.service_name}", instance ${holder.instance_id})${heldFor}`;
+      suggestions = [
+        `Use the running instance on port ${holder.port}`,
+        `Release it with "styxy release ${holder.lock_id}" to start one on port ${port}`,
+        `Drop --strict to share the running instance instead`
+      ];
+    } else if (holder.type === 'process') {
+      const name = holder.name ? `${holder.name} ` : '';
+      message = `Port ${port} is in use by ${name}(PID ${holder.pid}), which is not managed by Styxy` +
+        (heldForSeconds !== null ? ` and has been running for ${formatDuration(heldForSeconds)}` : '');
+      suggestions = [
+        `Stop the process holding the port (PID ${holder.pid})`,
+        `Inspect it with "styxy check ${port}"`,
+        retry
+      ];
+    } else if (holder.type === 'reserving') {
+      message = `Port ${port} is being allocated by another request right now`;
+      suggestions = [
+        'Retry in a moment',
+        retry
+      ];
+    } else {
+      message = `Port ${port} is in use by a process Styxy could not identify`;
+      suggestions = [
+        `Find the process with "lsof -i :${port}" or "ss -tlnp"`,
+        retry
+      ];
+    }
+
+    return new EnhancedError(message, {
+      category: 'CONFLICT',
+      severity: 'ERROR',
+      port,
+      service_type: serviceType,
+      holder,
+      held_for_seconds: heldForSeconds,
+      suggestions,
+      help_url: 'https://docs.styxy.io/troubleshooting#port-conflicts'
+    });
+  }
+
+  /**
+   * Create enhanced error for a config reload that would orphan live allocations
+   * @param {Array} conflicts - [{ port, lock_id, service_type, reason, range }]
+   */
+  static configReloadConflict(conflicts) {
+    const ports = conflicts.map(conflict => conflict.port).join(', ');
+
+    return new EnhancedError(
+      `Reloaded configuration would orphan ${conflicts.length} live allocation(s) on port(s) ${ports}`,
+      {
+        category: 'CONFLICT',
+        severity: 'ERROR',
+        conflicts,
+        suggestions: [
+          'Release the listed allocations before reloading',
+          'Keep their ports inside the service type ranges in config.json',
+          'Apply the configuration anyway with "styxy config reload --force"'
+        ],
+        help_url: 'https://docs.styxy.io/configuration#reload'
+      }
+    );
+  }
+
   /**
    * Create enhanced error for authentication failure
    */
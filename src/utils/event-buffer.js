@@ -0,0 +1,82 @@
+/**
+ * Event Buffer - Recent Daemon Events for Streaming Clients
+ *
+ * Numbers every event the daemon publishes and keeps the most recent ones,
+ * so a client that reconnects to GET /events with Last-Event-ID receives
+ * what it missed. Types are colon-separated; a filter of "allocation"
+ * matches every "allocation:*" event.
+ */
+
+const EVENT_TYPES = [
+  'allocation:created',
+  'allocation:released',
+  'allocation:reaped',
+  'singleton:created',
+  'singleton:joined',
+  'singleton:left',
+  'singleton:released',
+  'observer:bind',
+  'observer:unbind',
+  'range:low',
+  'config:reloaded',
+  'circuit_breaker:state'
+];
+
+class EventBuffer {
+  constructor(options = {}) {
+    this.size = options.size || 500;
+
+    // Most recent events, oldest first
+    this.events = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * Number and keep an event
+   * @returns {object} - { id, type, timestamp, data }
+   */
+  record(type, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.events.push(event);
+    if (this.events.length > this.size) {
+      this.events.splice(0, this.events.length - this.size);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get buffered events after an ID. An ID newer than any event here came
+   * from before a daemon restart, so everything buffered is returned.
+   * @param {number} lastId - Last event ID the client has seen
+   * @param {string[]|null} types - Type filters, or null for every event
+   */
+  since(lastId, types = null) {
+    const after = lastId > this.lastId ? 0 : lastId;
+    return this.events.filter(event => event.id > after && EventBuffer.matches(event.type, types));
+  }
+
+  /**
+   * Check an event type against filters
+   */
+  static matches(type, types) {
+    return !types || types.some(filter => type === filter || type.startsWith(`${filter}:`));
+  }
+
+  /**
+   * Format an event as a Server-Sent Events message
+   */
+  static format(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+  }
+}
+
+EventBuffer.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventBuffer;
@@ -6,6 +6,7 @@
  */
 
 const Logger = require('./logger');
+const { REAP_REASONS } = require('./reaper');
 
 class HealthMonitor {
   constructor(daemon) {
@@ -78,6 +79,28 @@ class HealthMonitor {
     this.logger.info('Health monitoring stopped');
   }
 
+  /**
+   * Apply a reloaded health_monitoring config, restarting checks on the new interval
+   * @param {Object} config - New health_monitoring section
+   * @param {Object} options - { start: start monitoring afterwards, defaults to whether it was active }
+   */
+  async updateConfig(config, { start = this.monitoringActive } = {}) {
+    if (this.monitoringActive) {
+      this.stopMonitoring();
+    }
+
+    this.config = config;
+    this.logger.info('Health monitoring configuration updated', {
+      enabled: config.enabled,
+      check_interval_ms: config.check_interval_ms,
+      max_failures: config.max_failures
+    });
+
+    if (start) {
+      await this.startMonitoring();
+    }
+  }
+
   /**
    * Perform health checks on all allocations
    */
@@ -168,7 +191,7 @@ class HealthMonitor {
     }
 
     // Check 2: Port still in use
-    const portInUse = !(await this.daemon.checkPortActuallyAvailable(allocation.port));
+    const portInUse = !(await this.daemon.checkPortActuallyAvailable(allocation.port, allocation.protocol, allocation.bind_address));
     if (!portInUse) {
       this.logger.warn('Port no longer in use', {
         port: allocation.port,
@@ -205,15 +228,28 @@ class HealthMonitor {
     check.lastCheck = Date.now();
     this.healthChecks.set(allocation.port, check);
 
+    // A service type's reap policy can override the global failure limit
+    const maxFailures = this.daemon.reaper.getPolicy(allocation.serviceType).max_health_failures ||
+      this.config.max_failures;
+
     this.logger.info('Allocation health check failed', {
       port: allocation.port,
       serviceType: allocation.serviceType,
       failures: check.failures,
-      max_failures: this.config.max_failures
+      max_failures: maxFailures
     });
 
     // Check if we've exceeded max failures
-    if (check.failures >= this.config.max_failures) {
+    if (check.failures >= maxFailures) {
+      if (allocation.pinned) {
+        this.logger.warn('Keeping pinned allocation despite failed health checks', {
+          port: allocation.port,
+          serviceType: allocation.serviceType,
+          failures: check.failures
+        });
+        return false;
+      }
+
       if (this.config.cleanup_stale_allocations) {
         this.logger.warn('Cleaning up stale allocation after multiple failures', {
           port: allocation.port,
@@ -224,7 +260,13 @@ class HealthMonitor {
 
         // Release the stale allocation
         try {
-          await this.daemon.releasePort(allocation.port, allocation.lockId);
+          const reaped = await this.daemon.reaper.reap(allocation.port, allocation, REAP_REASONS.HEALTH_FAILURES, {
+            failures: check.failures
+          });
+          if (!reaped) {
+            this.healthChecks.delete(allocation.port);
+            return false;
+          }
 
           // Emit event for external monitoring
           if (this.daemon.emit) {
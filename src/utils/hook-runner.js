@@ -0,0 +1,220 @@
+/**
+ * Hook Runner - Local Webhooks and Commands on Daemon Events
+ *
+ * Delivers daemon events to the hooks configured for their type: an HTTP
+ * POST to a URL on this machine, or a shell command that reads the event as
+ * JSON on stdin. Deliveries to one hook run in event order, are retried with
+ * backoff and are recorded in the audit log. Every hook has its own
+ * CircuitBreaker, so a hook that keeps failing is skipped for a while
+ * instead of being retried on every event.
+ */
+
+const { spawn } = require('child_process');
+const Logger = require('./logger');
+const CircuitBreaker = require('./circuit-breaker');
+const EventBuffer = require('./event-buffer');
+
+class HookRunner {
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'hook-runner' });
+    this.auditLogger = options.auditLogger;
+    this.cwd = options.cwd || process.cwd(); // Working directory for commands
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500; // First retry delay, doubled each time
+    this.killGrace = options.killGrace !== undefined ? options.killGrace : 2000; // SIGTERM to SIGKILL, for commands past their timeout
+    this.hooks = [];
+
+    this.setHooks(options.hooks || {});
+  }
+
+  /**
+   * Replace the configured hooks
+   * @param {object} config - Validated hooks config: event type or prefix -> [hook]
+   */
+  setHooks(config) {
+    this.destroy();
+
+    this.hooks = [];
+    for (const [pattern, hooks] of Object.entries(config)) {
+      hooks.forEach((hook, index) => {
+        const name = `${pattern}#${index + 1}`;
+        this.hooks.push({
+          ...hook,
+          pattern,
+          name,
+          queue: Promise.resolve(),
+          breaker: new CircuitBreaker({
+            name: `hook-${name}`,
+            failureThreshold: 5,
+            recoveryTimeout: 60000
+          })
+        });
+      });
+    }
+  }
+
+  /**
+   * Queue an event for every hook whose pattern matches its type
+   * @returns {Promise<boolean[]>} - Settles once these deliveries finish
+   */
+  dispatch(event) {
+    return Promise.all(this.hooks
+      .filter(hook => EventBuffer.matches(event.type, [hook.pattern]))
+      .map(hook => {
+        hook.queue = hook.queue.then(() => this.deliver(hook, event));
+        return hook.queue;
+      }));
+  }
+
+  /**
+   * Deliver one event to one hook, retrying failed attempts
+   * @returns {Promise<boolean>} - Whether an attempt succeeded
+   */
+  async deliver(hook, event) {
+    for (let attempt = 1; attempt <= hook.retries + 1; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        await hook.breaker.execute(() => (hook.url ? this.post(hook, event) : this.run(hook, event)));
+        this.audit('HOOK_DELIVERED', hook, event, { attempt, durationMs: Date.now() - startedAt });
+        return true;
+      } catch (error) {
+        if (error.circuitBreakerOpen) {
+          this.audit('HOOK_SKIPPED', hook, event, { attempt, error: error.message });
+          return false;
+        }
+
+        const willRetry = attempt <= hook.retries;
+        this.audit('HOOK_FAILED', hook, event, { attempt, error: error.message, willRetry });
+        this.logger.warn('Hook delivery failed', {
+          hook: hook.name,
+          eventType: event.type,
+          attempt,
+          error: error.message,
+          willRetry
+        });
+
+        if (!willRetry) {
+          return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.baseDelay * Math.pow(2, attempt - 1)));
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * POST the event as JSON; any non-2xx response is a failure
+   */
+  async post(hook, event) {
+    const response = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Styxy-Event': event.type,
+        'X-Styxy-Event-Id': String(event.id)
+      },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(hook.timeout_ms)
+    });
+
+    if (response.body) {
+      await response.body.cancel();
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Run the command with the event on stdin; a non-zero exit is a failure.
+   * A command past its timeout gets SIGTERM, then SIGKILL after killGrace.
+   * Both go to its whole process group, so children of the shell are stopped too.
+   */
+  run(hook, event) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(hook.command, {
+        shell: true,
+        cwd: this.cwd,
+        env: { ...process.env, STYXY_EVENT_TYPE: event.type, STYXY_EVENT_ID: String(event.id) },
+        stdio: ['pipe', 'ignore', 'pipe'],
+        detached: true // Own process group, so timeouts reach everything the shell started
+      });
+
+      const signal = (name) => {
+        try {
+          process.kill(-child.pid, name);
+        } catch (error) {
+          child.kill(name); // The group is gone or could not be signalled
+        }
+      };
+
+      let stderr = '';
+      let timedOut = false;
+      let settled = false;
+      const settle = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        signal('SIGTERM');
+
+        // A command that ignores SIGTERM never exits, which would stall this hook's queue
+        setTimeout(() => {
+          signal('SIGKILL');
+          settle(new Error(`Command timed out after ${hook.timeout_ms}ms and was killed`));
+        }, this.killGrace);
+      }, hook.timeout_ms);
+
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+      child.stdin.on('error', () => {}); // The command may exit without reading stdin
+      child.once('error', error => settle(error));
+      child.once('exit', code => {
+        if (timedOut) {
+          settle(new Error(`Command timed out after ${hook.timeout_ms}ms`));
+        } else if (code === 0) {
+          settle();
+        } else {
+          settle(new Error(`Command exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+
+      child.stdin.end(JSON.stringify(event));
+    });
+  }
+
+  audit(action, hook, event, details) {
+    if (this.auditLogger) {
+      this.auditLogger.log(action, {
+        hook: hook.name,
+        target: hook.url || hook.command,
+        eventId: event.id,
+        eventType: event.type,
+        ...details
+      });
+    }
+  }
+
+  /**
+   * Stop the hooks' circuit breaker timers
+   */
+  destroy() {
+    for (const hook of this.hooks) {
+      hook.breaker.destroy();
+    }
+  }
+}
+
+module.exports = HookRunner;
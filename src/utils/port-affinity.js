@@ -0,0 +1,124 @@
+/**
+ * Port Affinity - Sticky Ports Across Restarts
+ *
+ * Remembers the last port handed to each (project_path, service_type,
+ * service_name) tuple so a restarted service gets the same port back when
+ * it is free, keeping bookmarks, OAuth redirect URIs and cookies valid.
+ */
+
+const path = require('path');
+const Validator = require('./validator');
+
+class PortAffinity {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+
+    // key -> { project_path, service_type, service_name, port, last_allocated_at }
+    this.entries = new Map();
+  }
+
+  /**
+   * Normalize a project path so "/app", "/app/" and "./app" name the same project
+   */
+  static normalizePath(projectPath) {
+    return path.resolve(projectPath);
+  }
+
+  /**
+   * Build the lookup key for a tuple
+   */
+  static key(projectPath, serviceType, serviceName) {
+    return JSON.stringify([PortAffinity.normalizePath(projectPath), serviceType, serviceName]);
+  }
+
+  /**
+   * Get the remembered port for a tuple
+   * @returns {number|null} - Last port, or null if none is remembered
+   */
+  get(projectPath, serviceType, serviceName) {
+    const entry = this.entries.get(PortAffinity.key(projectPath, serviceType, serviceName));
+    return entry ? entry.port : null;
+  }
+
+  /**
+   * Remember the port given to a tuple
+   */
+  record(projectPath, serviceType, serviceName, port) {
+    const key = PortAffinity.key(projectPath, serviceType, serviceName);
+
+    // Re-insert so Map order stays least-recently-allocated first
+    this.entries.delete(key);
+    this.entries.set(key, {
+      project_path: PortAffinity.normalizePath(projectPath),
+      service_type: serviceType,
+      service_name: serviceName,
+      port,
+      last_allocated_at: new Date().toISOString()
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * List entries, optionally filtered by project_path, service_type and service_name
+   */
+  list(filter = {}) {
+    const projectPath = filter.project_path ? PortAffinity.normalizePath(filter.project_path) : null;
+    return Array.from(this.entries.values()).filter(entry =>
+      (!projectPath || entry.project_path === projectPath) &&
+      (!filter.service_type || entry.service_type === filter.service_type) &&
+      (!filter.service_name || entry.service_name === filter.service_name)
+    );
+  }
+
+  /**
+   * Forget entries matching the filter (all entries when the filter is empty)
+   * @returns {number} - Number of entries removed
+   */
+  clear(filter = {}) {
+    const matches = this.list(filter);
+    for (const entry of matches) {
+      this.entries.delete(PortAffinity.key(entry.project_path, entry.service_type, entry.service_name));
+    }
+    return matches.length;
+  }
+
+  /**
+   * Serialize entries for daemon state
+   */
+  toJSON() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Restore entries from daemon state, skipping invalid ones
+   * @returns {number} - Number of entries loaded
+   */
+  load(entries = []) {
+    this.entries.clear();
+
+    const sorted = [...entries].sort((a, b) =>
+      String(a.last_allocated_at).localeCompare(String(b.last_allocated_at))
+    );
+
+    for (const entry of sorted) {
+      try {
+        this.entries.set(PortAffinity.key(entry.project_path, entry.service_type, entry.service_name), {
+          project_path: PortAffinity.normalizePath(Validator.validateWorkingDirectory(entry.project_path)),
+          service_type: entry.service_type,
+          service_name: Validator.validateServiceName(entry.service_name),
+          port: Validator.validatePort(entry.port),
+          last_allocated_at: entry.last_allocated_at
+        });
+      } catch (error) {
+        // Affinity is only a hint; drop entries that no longer validate
+      }
+    }
+
+    return this.entries.size;
+  }
+}
+
+module.exports = PortAffinity;
@@ -15,8 +15,10 @@ class PortObserver {
     this.scanInterval = options.scanInterval || 10000; // 10 seconds default
     this.scanTimer = null;
     this.isScanning = false;
+    this.onBind = options.onBind || (() => {}); // Called with (port, observation) for a new binding
+    this.onUnbind = options.onUnbind || (() => {}); // Called with (port, observation) once it is gone
 
-    // Cached observations: port -> { pid, process, command, timestamp, service_type }
+    // Cached observations: port -> { pid, process, command, protocol, timestamp, service_type }
     this.observations = new Map();
 
     // Track which Claude instances are active
@@ -73,17 +75,27 @@ class PortObserver {
       const currentPorts = new Set();
 
       for (const binding of boundPorts) {
+        // A port bound over TCP and UDP in the same scan is observed once, as 'both'
+        const seen = currentPorts.has(binding.port) ? this.observations.get(binding.port) : null;
+        const protocol = seen && seen.protocol !== binding.protocol ? 'both' : binding.protocol;
         currentPorts.add(binding.port);
+        const previous = this.observations.get(binding.port);
 
         // Add or update observation
-        this.observations.set(binding.port, {
+        const observation = {
           pid: binding.pid,
           process: binding.process,
           command: binding.command,
+          protocol,
           timestamp: now,
           service_type: this.inferServiceType(binding.command),
           instance_id: this.inferInstanceId(binding.command, binding.cwd)
-        });
+        };
+        this.observations.set(binding.port, observation);
+
+        if (!seen && (!previous || previous.pid !== binding.pid)) {
+          this.onBind(binding.port, observation);
+        }
       }
 
       // Remove observations for ports that are no longer bound
@@ -91,6 +103,7 @@ class PortObserver {
         if (!currentPorts.has(port)) {
           this.logger.debug('Port released', { port, pid: observation.pid });
           this.observations.delete(port);
+          this.onUnbind(port, observation);
         }
       }
 
@@ -108,6 +121,8 @@ class PortObserver {
 
   /**
    * Get all port bindings from the operating system
+   * TCP sockets count when listening; UDP sockets have no state and count when
+   * bound without a connected peer.
    */
   async getSystemPortBindings() {
     const bindings = [];
@@ -117,11 +132,12 @@ class PortObserver {
       // -i :port-range gets internet connections
       // -P prevents port name resolution (show numbers)
       // -n prevents hostname resolution (faster)
-      const { stdout } = await execAsync('lsof -i -P -n | grep LISTEN', {
+      const { stdout } = await execAsync('lsof -i -P -n', {
         timeout: 5000
       });
 
-      const lines = stdout.trim().split('\n');
+      const lines = stdout.trim().split('\n')
+        .filter(line => line.includes('(LISTEN)') || (/\sUDP\s/.test(line) && !line.includes('->')));
 
       for (const line of lines) {
         const parsed = this.parsePortLine(line);
@@ -136,11 +152,12 @@ class PortObserver {
 
       try {
         // Fallback to netstat
-        const { stdout } = await execAsync('netstat -tulpn 2>/dev/null | grep LISTEN', {
+        const { stdout } = await execAsync('netstat -tulpn 2>/dev/null', {
           timeout: 5000
         });
 
-        const lines = stdout.trim().split('\n');
+        const lines = stdout.trim().split('\n')
+          .filter(line => /^tcp/.test(line) ? line.includes('LISTEN') : /^udp/.test(line));
 
         for (const line of lines) {
           const parsed = this.parseNetstatLine(line);
@@ -151,11 +168,12 @@ class PortObserver {
       } catch (netstatError) {
         // Last resort: ss command (modern Linux)
         try {
-          const { stdout } = await execAsync('ss -tulpn | grep LISTEN', {
+          const { stdout } = await execAsync('ss -tulpn', {
             timeout: 5000
           });
 
-          const lines = stdout.trim().split('\n');
+          const lines = stdout.trim().split('\n')
+            .filter(line => /^(tcp|udp)\s/.test(line));
 
           for (const line of lines) {
             const parsed = this.parseSsLine(line);
@@ -183,6 +201,7 @@ class PortObserver {
 
     const command = parts[0];
     const pid = parseInt(parts[1], 10);
+    const protocol = parts[7] === 'UDP' ? 'udp' : 'tcp';
     const name = parts[8]; // e.g., "*:8080" or "127.0.0.1:8080"
 
     const portMatch = name.match(/:(\d+)$/);
@@ -194,6 +213,7 @@ class PortObserver {
       port,
       pid,
       process: command,
+      protocol,
       command: this.getProcessCommand(pid),
       cwd: this.getProcessCwd(pid)
     };
@@ -207,15 +227,17 @@ class PortObserver {
 
     if (parts.length < 6) return null;
 
+    // UDP lines have no State column, so the PID/Program column moves left
+    const protocol = parts[0].startsWith('udp') ? 'udp' : 'tcp';
     const localAddress = parts[3]; // e.g., "0.0.0.0:8080"
-    const pidProgram = parts[6]; // e.g., "1234/node"
+    const pidProgram = protocol === 'udp' ? parts[5] : parts[6]; // e.g., "1234/node"
 
     const portMatch = localAddress.match(/:(\d+)$/);
     if (!portMatch) return null;
 
     const port = parseInt(portMatch[1], 10);
 
-    const pidMatch = pidProgram.match(/^(\d+)\/(.+)$/);
+    const pidMatch = pidProgram && pidProgram.match(/^(\d+)\/(.+)$/);
     if (!pidMatch) return null;
 
     const pid = parseInt(pidMatch[1], 10);
@@ -225,6 +247,7 @@ class PortObserver {
       port,
       pid,
       process,
+      protocol,
       command: this.getProcessCommand(pid),
       cwd: this.getProcessCwd(pid)
     };
@@ -238,6 +261,7 @@ class PortObserver {
 
     if (parts.length < 5) return null;
 
+    const protocol = parts[0] === 'udp' ? 'udp' : 'tcp';
     const localAddress = parts[4]; // e.g., "*:8080"
 
     const portMatch = localAddress.match(/:(\d+)$/);
@@ -256,6 +280,7 @@ class PortObserver {
       port,
       pid,
       process,
+      protocol,
       command: this.getProcessCommand(pid),
       cwd: this.getProcessCwd(pid)
     };
@@ -434,6 +459,7 @@ class PortObserver {
   getStats() {
     const byServiceType = {};
     const byInstance = {};
+    const byProtocol = {};
 
     for (const [port, obs] of this.observations) {
       // Count by service type
@@ -441,12 +467,16 @@ class PortObserver {
 
       // Count by instance
       byInstance[obs.instance_id] = (byInstance[obs.instance_id] || 0) + 1;
+
+      // Count by protocol
+      byProtocol[obs.protocol] = (byProtocol[obs.protocol] || 0) + 1;
     }
 
     return {
       total_ports: this.observations.size,
       by_service_type: byServiceType,
       by_instance: byInstance,
+      by_protocol: byProtocol,
       active_instances: this.instances.size
     };
   }
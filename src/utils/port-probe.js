@@ -0,0 +1,67 @@
+/**
+ * Port Probe - Is Anything Answering on a Port?
+ *
+ * Connects to a local port over TCP, or issues an HTTP GET, to confirm a
+ * service is actually serving there. Used to check that a singleton is
+ * still alive before handing it to another client.
+ */
+
+const net = require('net');
+const http = require('http');
+
+const DEFAULT_HOST = '127.0.0.1';
+
+class PortProbe {
+  /**
+   * Check that a TCP connection to the port succeeds
+   * @param {number} port - Port to probe
+   * @param {object} options - { host, timeoutMs }
+   * @returns {Promise<boolean>}
+   */
+  static tcp(port, options = {}) {
+    const timeoutMs = options.timeoutMs || 1000;
+
+    return new Promise((resolve) => {
+      const socket = net.connect({ port, host: options.host || DEFAULT_HOST });
+
+      const finish = (alive) => {
+        socket.destroy();
+        resolve(alive);
+      };
+
+      socket.setTimeout(timeoutMs, () => finish(false));
+      socket.once('connect', () => finish(true));
+      socket.once('error', () => finish(false));
+    });
+  }
+
+  /**
+   * Check that an HTTP GET to the port returns a non-5xx response
+   * @param {number} port - Port to probe
+   * @param {object} options - { host, path, timeoutMs }
+   * @returns {Promise<boolean>}
+   */
+  static http(port, options = {}) {
+    const timeoutMs = options.timeoutMs || 1000;
+
+    return new Promise((resolve) => {
+      const request = http.get({
+        host: options.host || DEFAULT_HOST,
+        port,
+        path: options.path || '/',
+        timeout: timeoutMs
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode < 500);
+      });
+
+      request.once('timeout', () => {
+        request.destroy();
+        resolve(false);
+      });
+      request.once('error', () => resolve(false));
+    });
+  }
+}
+
+module.exports = PortProbe;
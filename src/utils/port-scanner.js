@@ -8,6 +8,23 @@
 const { execSync } = require('child_process');
 const os = require('os');
 
+// Socket type flags for ss and netstat; UDP sockets have no LISTEN state, so -l lists bound ones
+const SOCKET_FLAGS = {
+  tcp: '-tlnp',
+  udp: '-ulnp',
+  both: '-tulnp'
+};
+
+// lsof internet address selectors
+const LSOF_SELECTORS = {
+  tcp: 'TCP',
+  udp: 'UDP',
+  both: ''
+};
+
+const IPV4_WILDCARDS = ['0.0.0.0'];
+const ANY_WILDCARDS = ['*', '::']; // ss prints '*' for dual-stack sockets; '::' is dual-stack by default
+
 class PortScanner {
   constructor() {
     this.platform = os.platform();
@@ -17,9 +34,12 @@ class PortScanner {
 
   /**
    * Check if a port is actually available at the OS level
+   * @param {number} port - Port to check
+   * @param {string} protocol - 'tcp', 'udp' or 'both'
+   * @param {string|null} bindAddress - Only count bindings that would clash with this address
    */
-  async isPortAvailable(port) {
-    const cacheKey = `port_${port}`;
+  async isPortAvailable(port, protocol = 'tcp', bindAddress = null) {
+    const cacheKey = `port_${port}_${protocol}${bindAddress ? `_${bindAddress}` : ''}`;
     const cached = this.cache.get(cacheKey);
 
     if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
@@ -31,9 +51,9 @@ class PortScanner {
     try {
       // Try multiple detection methods for reliability
       const methods = [
-        () => this.checkWithSS(port),
-        () => this.checkWithLsof(port),
-        () => this.checkWithNetstat(port)
+        () => this.checkWithSS(port, protocol, bindAddress),
+        () => this.checkWithLsof(port, protocol),
+        () => this.checkWithNetstat(port, protocol)
       ];
 
       for (const method of methods) {
@@ -66,12 +86,12 @@ class PortScanner {
   /**
    * Get detailed information about what's using a port
    */
-  async getPortInfo(port) {
+  async getPortInfo(port, protocol = 'tcp') {
     try {
       const methods = [
-        () => this.getPortInfoWithSS(port),
-        () => this.getPortInfoWithLsof(port),
-        () => this.getPortInfoWithNetstat(port)
+        () => this.getPortInfoWithSS(port, protocol),
+        () => this.getPortInfoWithLsof(port, protocol),
+        () => this.getPortInfoWithNetstat(port, protocol)
       ];
 
       for (const method of methods) {
@@ -95,7 +115,7 @@ class PortScanner {
   /**
    * Check port availability using ss (modern Linux)
    */
-  async checkWithSS(port) {
+  async checkWithSS(port, protocol = 'tcp', bindAddress = null) {
     // Validate port number to prevent command injection
     const portNum = parseInt(port, 10);
     if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
@@ -103,7 +123,7 @@ class PortScanner {
     }
 
     try {
-      const result = execSync('ss -tlnp', {
+      const result = execSync(`ss ${SOCKET_FLAGS[protocol] || SOCKET_FLAGS.tcp}`, {
         encoding: 'utf8',
         timeout: 3000,
         stdio: ['ignore', 'pipe', 'ignore']
@@ -112,7 +132,9 @@ class PortScanner {
       // Parse output safely instead of using grep with user input
       const lines = result.split('\n');
       for (const line of lines) {
-        if (line.includes(`:${portNum} `)) {
+        // The local address is the first column ending in the port; the peer is '*:*' for bound sockets
+        const local = line.trim().split(/\s+/).find(column => column.endsWith(`:${portNum}`));
+        if (local && PortScanner.addressesOverlap(local.slice(0, local.lastIndexOf(':')), bindAddress)) {
           return false; // Port is in use
         }
       }
@@ -126,10 +148,40 @@ class PortScanner {
     }
   }
 
+  /**
+   * Whether a socket bound to boundHost blocks binding the same port on bindAddress.
+   * Without a bind address every binding counts.
+   */
+  static addressesOverlap(boundHost, bindAddress) {
+    if (!bindAddress) {
+      return true;
+    }
+
+    const normalize = host => host.replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+    const bound = normalize(boundHost);
+    const wanted = normalize(bindAddress);
+    const isIPv4 = host => /^\d+\.\d+\.\d+\.\d+$/.test(host);
+
+    if (bound === wanted || ANY_WILDCARDS.includes(bound) || ANY_WILDCARDS.includes(wanted)) {
+      return true;
+    }
+
+    // 0.0.0.0 covers every IPv4 address, and nothing on IPv6
+    if (IPV4_WILDCARDS.includes(bound)) {
+      return isIPv4(wanted);
+    }
+    if (IPV4_WILDCARDS.includes(wanted)) {
+      return isIPv4(bound);
+    }
+
+    return false;
+  }
+
   /**
    * Check port availability using lsof (Unix-like systems)
+   * Address-blind: any binding of the port counts as in use
    */
-  async checkWithLsof(port) {
+  async checkWithLsof(port, protocol = 'tcp') {
     // Validate port number to prevent command injection
     const portNum = parseInt(port, 10);
     if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
@@ -137,7 +189,7 @@ class PortScanner {
     }
 
     try {
-      const result = execSync(`lsof -i :${portNum}`, {
+      const result = execSync(`lsof -i ${LSOF_SELECTORS[protocol] || ''}:${portNum}`, {
         encoding: 'utf8',
         timeout: 3000,
         stdio: ['ignore', 'pipe', 'ignore']
@@ -157,13 +209,13 @@ class PortScanner {
   /**
    * Check port availability using netstat (cross-platform fallback)
    */
-  async checkWithNetstat(port) {
+  async checkWithNetstat(port, protocol = 'tcp') {
     try {
       let cmd;
       if (this.platform === 'win32') {
         cmd = `netstat -an | findstr :${port}`;
       } else {
-        cmd = `netstat -tlnp | grep :${port}`;
+        cmd = `netstat ${SOCKET_FLAGS[protocol] || SOCKET_FLAGS.tcp} | grep :${port}`;
       }
 
       const result = execSync(cmd, {
@@ -186,7 +238,7 @@ class PortScanner {
   /**
    * Get detailed port info using ss
    */
-  async getPortInfoWithSS(port) {
+  async getPortInfoWithSS(port, protocol = 'tcp') {
     // Validate port number to prevent command injection
     const portNum = parseInt(port, 10);
     if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
@@ -194,7 +246,7 @@ class PortScanner {
     }
 
     try {
-      const result = execSync('ss -tlnp', {
+      const result = execSync(`ss ${SOCKET_FLAGS[protocol] || SOCKET_FLAGS.tcp}`, {
         encoding: 'utf8',
         timeout: 3000,
         stdio: ['ignore', 'pipe', 'ignore']
@@ -217,7 +269,7 @@ class PortScanner {
   /**
    * Get detailed port info using lsof
    */
-  async getPortInfoWithLsof(port) {
+  async getPortInfoWithLsof(port, protocol = 'tcp') {
     // Validate port number to prevent command injection
     const portNum = parseInt(port, 10);
     if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
@@ -225,7 +277,7 @@ class PortScanner {
     }
 
     try {
-      const result = execSync(`lsof -i :${portNum} -P`, {
+      const result = execSync(`lsof -i ${LSOF_SELECTORS[protocol] || ''}:${portNum} -P`, {
         encoding: 'utf8',
         timeout: 3000,
         stdio: ['ignore', 'pipe', 'ignore']
@@ -244,13 +296,13 @@ class PortScanner {
   /**
    * Get detailed port info using netstat
    */
-  async getPortInfoWithNetstat(port) {
+  async getPortInfoWithNetstat(port, protocol = 'tcp') {
     try {
       let cmd;
       if (this.platform === 'win32') {
         cmd = `netstat -ano | findstr :${port}`;
       } else {
-        cmd = `netstat -tlnp | grep :${port}`;
+        cmd = `netstat ${SOCKET_FLAGS[protocol] || SOCKET_FLAGS.tcp} | grep :${port}`;
       }
 
       const result = execSync(cmd, {
@@ -277,15 +329,17 @@ class PortScanner {
     const info = [];
 
     for (const line of lines) {
-      const parts = line.trim().split(/\s+/);
+      let parts = line.trim().split(/\s+/);
+      // ss prints a Netid column first when listing more than one socket type
+      const netid = ['tcp', 'udp'].includes(parts[0].toLowerCase()) ? parts.shift().toLowerCase() : null;
       if (parts.length >= 5) {
         const processInfo = parts[parts.length - 1];
         const localAddress = parts[3];
 
         info.push({
           port: parseInt(port),
-          protocol: parts[0].toLowerCase(),
-          state: parts[1],
+          protocol: netid || (parts[0] === 'UNCONN' ? 'udp' : 'tcp'),
+          state: parts[0],
           local_address: localAddress,
           process: this.parseProcessInfo(processInfo),
           tool: 'ss'
@@ -315,7 +369,7 @@ class PortScanner {
     if (parts.length >= 8) {
       return {
         port: parseInt(port),
-        protocol: parts[7].includes('TCP') ? 'tcp' : 'udp',
+        protocol: parts[7].includes('UDP') ? 'udp' : 'tcp',
         process: {
           name: parts[0],
           pid: parseInt(parts[1]),
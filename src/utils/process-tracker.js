@@ -0,0 +1,203 @@
+/**
+ * Process Tracker - Allocation Owner Liveness
+ *
+ * Tracks the client processes that own allocations and reports when
+ * they exit, so the daemon can release ports held by dead processes.
+ */
+
+const fs = require('fs');
+const { execSync } = require('child_process');
+const Logger = require('./logger');
+
+class ProcessTracker {
+  constructor(options = {}) {
+    this.logger = new Logger({ component: 'process-tracker' });
+    this.checkInterval = options.checkInterval || 2000; // 2 seconds
+    this.onExit = options.onExit || (() => {});
+
+    // lockId -> { pids: number[] }
+    this.tracked = new Map();
+    this.checkTimer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Check whether a process exists
+   * @param {number} pid - Process ID
+   * @returns {boolean} - True if the process is running
+   */
+  static isAlive(pid) {
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      // Signal 0 just checks if process exists without killing it
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Get the parent PID of a process
+   * @param {number} pid - Process ID
+   * @returns {number|null} - Parent PID, or null if unknown
+   */
+  static getParentPid(pid) {
+    try {
+      // Linux: field 4 of /proc/<pid>/stat (after the parenthesised command name)
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      return parseInt(fields[1], 10) || null;
+    } catch (error) {
+      // Fall back to ps on platforms without procfs
+    }
+
+    try {
+      const output = execSync(`ps -o ppid= -p ${parseInt(pid, 10)}`, {
+        encoding: 'utf8',
+        timeout: 1000,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      return parseInt(output.trim(), 10) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get how long a process has been running
+   * @param {number} pid - Process ID
+   * @returns {number|null} - Elapsed seconds, or null if unknown
+   */
+  static getElapsedSeconds(pid) {
+    try {
+      const output = execSync(`ps -o etimes= -p ${parseInt(pid, 10)}`, {
+        encoding: 'utf8',
+        timeout: 1000,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      const seconds = parseInt(output.trim(), 10);
+      return Number.isNaN(seconds) ? null : seconds;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a process is the given ancestor or one of its descendants
+   * @param {number} pid - Process to check
+   * @param {number} ancestorPid - Expected ancestor
+   * @returns {boolean}
+   */
+  static isDescendantOf(pid, ancestorPid) {
+    let current = pid;
+
+    // Bounded walk to guard against cycles in a racing process table
+    for (let depth = 0; current && current > 1 && depth < 64; depth++) {
+      if (current === ancestorPid) {
+        return true;
+      }
+      current = ProcessTracker.getParentPid(current);
+    }
+
+    return false;
+  }
+
+  /**
+   * Start periodic liveness checks
+   */
+  start() {
+    if (this.checkTimer) {
+      return;
+    }
+
+    this.checkTimer = setInterval(() => this.checkNow(), this.checkInterval);
+    this.logger.info('Process tracker started', { interval: this.checkInterval });
+  }
+
+  /**
+   * Stop periodic liveness checks
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+      this.logger.info('Process tracker stopped');
+    }
+  }
+
+  /**
+   * Track the owner processes of an allocation
+   * @param {string} lockId - Allocation lock ID
+   * @param {number[]} pids - Owner PIDs (falsy entries are ignored)
+   */
+  track(lockId, pids) {
+    const ownerPids = pids.filter(Boolean);
+    if (ownerPids.length === 0) {
+      return;
+    }
+
+    this.tracked.set(lockId, { pids: ownerPids });
+    this.logger.debug('Tracking allocation owner', { lockId, pids: ownerPids });
+  }
+
+  /**
+   * Stop tracking an allocation
+   * @param {string} lockId - Allocation lock ID
+   */
+  untrack(lockId) {
+    this.tracked.delete(lockId);
+  }
+
+  /**
+   * Check all tracked owners and report the ones that exited
+   */
+  async checkNow() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+
+    try {
+      for (const [lockId, { pids }] of Array.from(this.tracked.entries())) {
+        const deadPid = pids.find(pid => !ProcessTracker.isAlive(pid));
+        if (deadPid === undefined) {
+          continue;
+        }
+
+        this.tracked.delete(lockId);
+        this.logger.info('Allocation owner exited', { lockId, pid: deadPid });
+
+        try {
+          await this.onExit(lockId, deadPid);
+        } catch (error) {
+          this.logger.error('Owner exit handler failed', {
+            lockId,
+            pid: deadPid,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Get tracker statistics
+   */
+  getStats() {
+    return {
+      active: !!this.checkTimer,
+      check_interval_ms: this.checkInterval,
+      tracked_allocations: this.tracked.size
+    };
+  }
+}
+
+module.exports = ProcessTracker;
@@ -0,0 +1,156 @@
+/**
+ * Project Manifest - Declared Services for `styxy up` / `styxy down`
+ *
+ * A project declares the services it needs either in a `.styxy.json` file
+ * or under a `styxy` key in `package.json`:
+ *
+ *   {
+ *     "services": {
+ *       "web": { "service_type": "dev", "preferred_port": 3000, "env": "PORT" },
+ *       "api": { "service_type": "api" }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Validator = require('./validator');
+
+const MANIFEST_FILE = '.styxy.json';
+const PACKAGE_FILE = 'package.json';
+const ENV_VAR_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class ProjectManifest {
+  constructor(root, source, services) {
+    this.root = root;
+    this.source = source;
+    this.services = services;
+  }
+
+  /**
+   * Find the nearest manifest, walking up from the start directory
+   * @param {string} startDir - Directory to start searching from
+   * @returns {ProjectManifest|null} - Parsed manifest, or null if none exists
+   */
+  static find(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+      const manifest = ProjectManifest.load(dir);
+      if (manifest) {
+        return manifest;
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Load the manifest declared in a single directory
+   * @param {string} dir - Project root candidate
+   * @returns {ProjectManifest|null} - Parsed manifest, or null if the directory declares none
+   */
+  static load(dir) {
+    const manifestFile = path.join(dir, MANIFEST_FILE);
+    if (fs.existsSync(manifestFile)) {
+      return ProjectManifest.parse(ProjectManifest.readJson(manifestFile), dir, manifestFile);
+    }
+
+    const packageFile = path.join(dir, PACKAGE_FILE);
+    if (fs.existsSync(packageFile)) {
+      const pkg = ProjectManifest.readJson(packageFile);
+      if (pkg.styxy) {
+        return ProjectManifest.parse(pkg.styxy, dir, `${packageFile} (styxy)`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read and parse a JSON file, naming the file in any error
+   */
+  static readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate raw manifest data
+   * @param {object} data - Manifest contents
+   * @param {string} root - Project root directory
+   * @param {string} source - Where the manifest came from (for error messages)
+   * @returns {ProjectManifest}
+   */
+  static parse(data, root, source) {
+    if (!data || typeof data !== 'object' || !data.services || typeof data.services !== 'object' || Array.isArray(data.services)) {
+      throw new Error(`${source}: "services" must be an object keyed by service name`);
+    }
+
+    const names = Object.keys(data.services);
+    if (names.length === 0) {
+      throw new Error(`${source}: no services declared`);
+    }
+
+    const envVars = new Set();
+    const services = names.map(name => {
+      const entry = data.services[name] || {};
+
+      try {
+        const service = {
+          service_name: Validator.validateServiceName(name),
+          service_type: entry.service_type,
+          preferred_port: entry.preferred_port !== undefined ? Validator.validatePort(entry.preferred_port) : undefined,
+          env: entry.env || ProjectManifest.defaultEnvVar(name)
+        };
+
+        if (!service.service_type || typeof service.service_type !== 'string') {
+          throw new Error('service_type is required');
+        }
+
+        if (!ENV_VAR_PATTERN.test(service.env)) {
+          throw new Error(`invalid env var name "${service.env}"`);
+        }
+
+        if (envVars.has(service.env)) {
+          throw new Error(`env var ${service.env} is used by more than one service`);
+        }
+        envVars.add(service.env);
+
+        return service;
+      } catch (error) {
+        throw new Error(`${source}: service "${name}": ${error.message}`);
+      }
+    });
+
+    return new ProjectManifest(root, source, services);
+  }
+
+  /**
+   * Derive an env var name from a service name (web-ui -> WEB_UI_PORT)
+   */
+  static defaultEnvVar(serviceName) {
+    return `${serviceName.replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}_PORT`;
+  }
+
+  /**
+   * Render allocated ports as dotenv lines
+   * @param {object} ports - Map of service name to port
+   * @returns {string}
+   */
+  toEnv(ports) {
+    return this.services
+      .filter(service => ports[service.service_name] !== undefined)
+      .map(service => `${service.env}=${ports[service.service_name]}`)
+      .join('\n') + '\n';
+  }
+}
+
+module.exports = ProjectManifest;
@@ -0,0 +1,246 @@
+/**
+ * Reaper - Single Path for Reclaiming Allocations
+ *
+ * The cleanup timer, the /cleanup endpoint, owner-exit tracking, the health
+ * monitor and orphan recovery all release allocations through this class,
+ * so every reap applies the same per-service-type policy, releases
+ * singletons, frees the port for waiting requests and is recorded with a
+ * structured reason.
+ */
+
+const Logger = require('./logger');
+const ProcessTracker = require('./process-tracker');
+
+const REAP_REASONS = {
+  LEASE_EXPIRED: 'lease_expired',
+  OWNER_DEAD: 'owner_dead',
+  PORT_REUSED: 'port_reused',
+  PORT_UNBOUND: 'port_unbound',
+  FORCED: 'forced',
+  HEALTH_FAILURES: 'health_failures',
+  PROBE_FAILED: 'probe_failed'
+};
+
+const DEFAULT_REAP_POLICY = {
+  lease_expiry: true, // Reclaim leases that have run out
+  owner_dead: true, // Reclaim when the owning process or its session exits
+  port_reused: true, // Reclaim when an unrelated process binds the port
+  port_unbound_after_seconds: 0, // 0 = never reclaim just because nothing is bound
+  max_health_failures: 0 // 0 = use health_monitoring.max_failures
+};
+
+class Reaper {
+  constructor(daemon, options = {}) {
+    this.daemon = daemon;
+    this.logger = new Logger({ component: 'reaper' });
+    this.historySize = options.historySize || 200;
+
+    // Most recent reaps, oldest first
+    this.history = [];
+  }
+
+  /**
+   * Get the effective reap policy for a service type
+   */
+  getPolicy(serviceType) {
+    const serviceConfig = this.daemon.serviceTypes[serviceType] || {};
+    return { ...DEFAULT_REAP_POLICY, ...(serviceConfig.reap_policy || {}) };
+  }
+
+  /**
+   * Determine why an allocation should be reaped, or null if it should be kept
+   */
+  async getReason(allocation, now = new Date()) {
+    const policy = this.getPolicy(allocation.serviceType || allocation.service_type);
+
+    // 1. Lease expiry
+    if (policy.lease_expiry) {
+      const expiresAt = this.daemon.getLeaseExpiry(allocation);
+      if (expiresAt && now > expiresAt) {
+        return REAP_REASONS.LEASE_EXPIRED;
+      }
+    }
+
+    // A shared singleton is owned by all of its consumers, not just the client that allocated it
+    const consumers = this.daemon.getSingletonConsumers(allocation);
+    const owners = consumers
+      ? consumers.map(consumer => [consumer.pid, consumer.parent_pid])
+      : [[allocation.process_id, allocation.parent_process_id]];
+
+    // 2. Every owning client process (or its session) has exited
+    if (policy.owner_dead && owners.length > 0 &&
+        owners.every(pids => pids.some(pid => pid && !ProcessTracker.isAlive(pid)))) {
+      return REAP_REASONS.OWNER_DEAD;
+    }
+
+    // 3. The port is bound by a process outside the owners' trees
+    const ownerPids = [allocation.process_id, ...owners.map(pids => pids[0])].filter(Boolean);
+    if (policy.port_reused && allocation.process_id) {
+      try {
+        const portInfo = await this.daemon.portScanner.getPortInfo(allocation.port, allocation.protocol);
+        const boundPid = portInfo && portInfo.process && portInfo.process.pid;
+        if (boundPid && !ownerPids.some(pid => ProcessTracker.isDescendantOf(boundPid, pid))) {
+          return REAP_REASONS.PORT_REUSED;
+        }
+      } catch (error) {
+        // If we can't check port usage, don't consider it stale based on this alone
+      }
+    }
+
+    // 4. Nothing has bound the port within the grace period
+    if (policy.port_unbound_after_seconds > 0) {
+      const heldMs = now.getTime() - new Date(allocation.allocated_at).getTime();
+      if (heldMs > policy.port_unbound_after_seconds * 1000 &&
+          await this.daemon.checkPortActuallyAvailable(allocation.port, allocation.protocol, allocation.bind_address)) {
+        return REAP_REASONS.PORT_UNBOUND;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reap every allocation whose policy says it is stale
+   * @param {object} options - { force: reap everything, includePinned: also consider pinned allocations }
+   * @returns {Promise<object>} - { reaped: [history entries], skipped_pinned }
+   */
+  async sweep({ force = false, includePinned = false } = {}) {
+    const now = new Date();
+    const candidates = [];
+    let skippedPinned = 0;
+
+    for (const [port, allocation] of this.daemon.allocations) {
+      if (allocation.pinned && !includePinned) {
+        skippedPinned++;
+        continue;
+      }
+
+      const reason = force ? REAP_REASONS.FORCED : await this.getReason(allocation, now);
+      if (reason) {
+        candidates.push({ port, allocation, reason });
+      }
+    }
+
+    const reaped = [];
+    for (const { port, allocation, reason } of candidates) {
+      const entry = await this.reap(port, allocation, reason, {}, { save: false });
+      if (entry) {
+        reaped.push(entry);
+      }
+    }
+
+    if (reaped.length > 0) {
+      await this.daemon.saveState();
+      this.daemon.metrics.incrementCounter('stale_allocations_cleaned_total', reaped.length);
+    }
+
+    return { reaped, skipped_pinned: skippedPinned };
+  }
+
+  /**
+   * Release one allocation and record why
+   * @param {number} port - Allocated port
+   * @param {object} allocation - Allocation being reaped
+   * @param {string} reason - One of REAP_REASONS
+   * @param {object} details - Extra context stored with the history entry
+   * @param {object} options - { save: false } when the caller saves state itself
+   * @returns {Promise<object|null>} - History entry, or null if the allocation was already gone
+   */
+  async reap(port, allocation, reason, details = {}, options = {}) {
+    if (this.daemon.allocations.get(port) !== allocation) {
+      return null;
+    }
+
+    this.daemon.removeAllocation(port, allocation);
+
+    const serviceType = allocation.serviceType || allocation.service_type;
+    const entry = {
+      port,
+      ...(allocation.ports ? { ports: allocation.ports } : {}),
+      lock_id: allocation.lockId || allocation.lock_id || null,
+      service_type: serviceType,
+      service_name: allocation.serviceName || allocation.service_name || null,
+      instance_id: allocation.instanceId || allocation.instance_id || null,
+      reason,
+      details,
+      allocated_at: allocation.allocated_at,
+      reaped_at: new Date().toISOString()
+    };
+
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    // Lease expiry keeps its own audit action; everything else is ALLOCATION_REAPED
+    this.daemon.auditLogger.log(reason === REAP_REASONS.LEASE_EXPIRED ? 'LEASE_EXPIRED' : 'ALLOCATION_REAPED', {
+      reason,
+      port,
+      lockId: entry.lock_id,
+      serviceType,
+      serviceName: entry.service_name,
+      allocatedAt: allocation.allocated_at,
+      expiresAt: allocation.expires_at || null,
+      ...details
+    });
+
+    this.daemon.metrics.incrementCounter('allocations_reaped_total', 1, {
+      service_type: serviceType,
+      reason
+    });
+
+    this.daemon.publishEvent('allocation:reaped', {
+      ...this.daemon.describeAllocation(port, allocation),
+      reason,
+      details
+    });
+
+    this.logger.info('Reaped allocation', {
+      port,
+      serviceType,
+      allocatedAt: allocation.allocated_at,
+      reason
+    });
+
+    if (options.save !== false) {
+      await this.daemon.saveState();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get recent reaps, newest first
+   * @param {object} filter - { limit, reason, service_type }
+   */
+  getHistory(filter = {}) {
+    const limit = filter.limit || 50;
+    return this.history
+      .filter(entry =>
+        (!filter.reason || entry.reason === filter.reason) &&
+        (!filter.service_type || entry.service_type === filter.service_type)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Serialize history for daemon state
+   */
+  toJSON() {
+    return this.history;
+  }
+
+  /**
+   * Restore history from daemon state
+   */
+  load(entries = []) {
+    this.history = entries.slice(-this.historySize);
+    return this.history.length;
+  }
+}
+
+Reaper.REAP_REASONS = REAP_REASONS;
+Reaper.DEFAULT_REAP_POLICY = DEFAULT_REAP_POLICY;
+
+module.exports = Reaper;
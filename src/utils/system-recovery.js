@@ -170,74 +170,35 @@ class SystemRecovery {
   }
 
   /**
-   * Clean orphaned allocations (dead processes, abandoned ports)
+   * Clean orphaned allocations (dead processes, abandoned ports). The reaper
+   * decides, so each service type's reap_policy applies here as everywhere else.
    * @returns {Promise<Object>} Cleanup result
    */
   async cleanOrphanedAllocations() {
-    const allocations = Array.from(this.daemon.allocations.values());
-    let cleanedCount = 0;
-    const cleaned = [];
+    const total = this.daemon.allocations.size;
 
     this.logger.info('Checking for orphaned allocations', {
-      total_allocations: allocations.length
+      total_allocations: total
     });
 
-    for (const allocation of allocations) {
-      let orphaned = false;
-      let reason = '';
-
-      // Check 1: Process still running
-      if (allocation.process_id) {
-        try {
-          process.kill(allocation.process_id, 0);
-        } catch (err) {
-          if (err.code === 'ESRCH') {
-            orphaned = true;
-            reason = `dead process (PID ${allocation.process_id})`;
-          }
-        }
-      }
-
-      // Check 2: Port actually in use (only if not already orphaned)
-      if (!orphaned) {
-        const available = await this.daemon.checkPortActuallyAvailable(allocation.port);
-        if (available) {
-          orphaned = true;
-          reason = 'port not in use';
-        }
-      }
-
-      // Clean up orphaned allocation
-      if (orphaned) {
-        this.logger.warn('Cleaning orphaned allocation', {
-          port: allocation.port,
-          serviceType: allocation.serviceType,
-          reason
-        });
+    // Pinned allocations are kept even when their process is gone
+    const { reaped } = await this.daemon.reaper.sweep();
+    const cleaned = reaped.map(entry => ({
+      port: entry.port,
+      serviceType: entry.service_type,
+      reason: entry.reason
+    }));
 
-        try {
-          await this.daemon.releasePort(allocation.port, allocation.lockId);
-          cleanedCount++;
-          cleaned.push({
-            port: allocation.port,
-            serviceType: allocation.serviceType,
-            reason
-          });
-        } catch (error) {
-          this.logger.error('Failed to release orphaned allocation', {
-            port: allocation.port,
-            error: error.message
-          });
-        }
-      }
+    for (const entry of cleaned) {
+      this.logger.warn('Cleaned orphaned allocation', entry);
     }
 
     this.logger.info('Orphaned allocation cleanup complete', {
-      total_checked: allocations.length,
-      cleaned: cleanedCount
+      total_checked: total,
+      cleaned: cleaned.length
     });
 
-    return { cleaned: cleanedCount, details: cleaned };
+    return { cleaned: cleaned.length, details: cleaned };
   }
 
   /**
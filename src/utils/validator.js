@@ -5,9 +5,12 @@
  * ensure data integrity, and protect against various security vulnerabilities.
  */
 
+const net = require('net');
 const path = require('path');
 const fs = require('fs');
 const { ErrorFactory } = require('./enhanced-errors');
+const { STRATEGIES, DEFAULT_STRATEGY } = require('./allocation-strategies');
+const EventBuffer = require('./event-buffer');
 
 class Validator {
   /**
@@ -102,6 +105,151 @@ class Validator {
     return instanceId;
   }
 
+  /**
+   * Validate allocation group ID: a batch UUID or a caller-chosen group (session) name
+   */
+  static validateGroupId(groupId) {
+    if (!groupId || typeof groupId !== 'string') {
+      throw new Error('group_id is required and must be a string');
+    }
+
+    // Allow alphanumeric, dots, colons, hyphens, and underscores
+    if (!/^[a-zA-Z0-9._:-]+$/.test(groupId)) {
+      throw new Error('group_id can only contain letters, numbers, dots, colons, hyphens, and underscores');
+    }
+
+    if (groupId.length > 100) {
+      throw new Error('group_id must be 100 characters or less');
+    }
+
+    return groupId;
+  }
+
+  /**
+   * Validate a comma-separated list of event type filters
+   * @returns {string[]|null} - Filters, or null for every event
+   */
+  static validateEventTypes(types) {
+    if (types === undefined || types === null || types === '') {
+      return null;
+    }
+
+    if (typeof types !== 'string') {
+      throw new Error('types must be a comma-separated string');
+    }
+
+    const filters = types.split(',').map(type => type.trim()).filter(Boolean);
+    for (const filter of filters) {
+      if (!EventBuffer.EVENT_TYPES.some(type => EventBuffer.matches(type, [filter]))) {
+        throw new Error(`Unknown event type: ${filter}`);
+      }
+    }
+
+    return filters.length > 0 ? filters : null;
+  }
+
+  /**
+   * Validate the hooks config: event type or prefix -> hook or list of hooks.
+   * A hook has either a `url` on this machine to POST to or a shell `command`.
+   * @returns {object} - Pattern -> [{ url|command, timeout_ms, retries }]
+   */
+  static validateHooksConfig(hooks) {
+    if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+      throw new Error('hooks must be an object mapping event types to hooks');
+    }
+
+    const normalized = {};
+
+    for (const [pattern, entries] of Object.entries(hooks)) {
+      if (!EventBuffer.EVENT_TYPES.some(type => EventBuffer.matches(type, [pattern]))) {
+        throw new Error(`Unknown event type in hooks: ${pattern}`);
+      }
+
+      normalized[pattern] = (Array.isArray(entries) ? entries : [entries]).map(hook => {
+        if (!hook || typeof hook !== 'object' || Array.isArray(hook)) {
+          throw new Error(`hooks.${pattern} entries must be objects`);
+        }
+
+        for (const key of Object.keys(hook)) {
+          if (!['url', 'command', 'timeout_ms', 'retries'].includes(key)) {
+            throw new Error(`Unknown hook option: ${key}`);
+          }
+        }
+
+        if ((hook.url === undefined) === (hook.command === undefined)) {
+          throw new Error(`hooks.${pattern} entries need exactly one of url or command`);
+        }
+
+        const validated = {
+          timeout_ms: hook.timeout_ms !== undefined ? hook.timeout_ms : 5000,
+          retries: hook.retries !== undefined ? hook.retries : 2
+        };
+
+        if (!Number.isInteger(validated.timeout_ms) || validated.timeout_ms < 100 || validated.timeout_ms > 60000) {
+          throw new Error('hook timeout_ms must be an integer between 100 and 60000');
+        }
+        if (!Number.isInteger(validated.retries) || validated.retries < 0 || validated.retries > 5) {
+          throw new Error('hook retries must be an integer between 0 and 5');
+        }
+
+        if (hook.url !== undefined) {
+          let url;
+          try {
+            url = new URL(hook.url);
+          } catch (error) {
+            throw new Error(`Invalid hook url: ${hook.url}`);
+          }
+          const host = url.hostname.replace(/^\[|\]$/g, '');
+          if (!['http:', 'https:'].includes(url.protocol) ||
+              !(host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host))) {
+            throw new Error('hook url must be http(s) on localhost, 127.0.0.1 or ::1');
+          }
+          validated.url = url.href;
+        } else {
+          if (typeof hook.command !== 'string' || !hook.command.trim()) {
+            throw new Error('hook command must be a non-empty string');
+          }
+          validated.command = hook.command;
+        }
+
+        return validated;
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a Last-Event-ID value
+   */
+  static validateLastEventId(lastEventId) {
+    const id = Number(lastEventId);
+    if (lastEventId === '' || !Number.isInteger(id) || id < 0) {
+      throw new Error('Last-Event-ID must be a non-negative integer');
+    }
+
+    return id;
+  }
+
+  /**
+   * Validate an Idempotency-Key header value
+   */
+  static validateIdempotencyKey(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Idempotency-Key must be a non-empty string');
+    }
+
+    if (!/^[a-zA-Z0-9._:-]+$/.test(key)) {
+      throw new Error('Idempotency-Key can only contain letters, numbers, dots, colons, hyphens, and underscores');
+    }
+
+    if (key.length > 255) {
+      throw new Error('Idempotency-Key must be 255 characters or less');
+    }
+
+    return key;
+  }
+
   /**
    * Validate working directory path
    */
@@ -285,6 +433,134 @@ class Validator {
     return timeoutNum;
   }
 
+  /**
+   * Validate lease TTL in seconds (0 means the lease never expires)
+   */
+  static validateTtl(ttl, maxTtl = 0) {
+    const ttlNum = Number(ttl);
+    if (!Number.isInteger(ttlNum) || ttlNum < 0) {
+      throw new Error(`ttl must be a non-negative integer number of seconds, got: ${ttl}`);
+    }
+
+    if (maxTtl > 0 && (ttlNum === 0 || ttlNum > maxTtl)) {
+      throw new Error(`ttl must be between 1 and ${maxTtl} seconds for this service type, got: ${ttlNum}`);
+    }
+
+    return ttlNum;
+  }
+
+  /**
+   * Validate port cooldown after release (seconds)
+   */
+  static validateCooldown(cooldownSeconds) {
+    const cooldownNum = Number(cooldownSeconds);
+    if (!Number.isInteger(cooldownNum) || cooldownNum < 0) {
+      throw new Error(`cooldown_seconds must be a non-negative integer, got: ${cooldownSeconds}`);
+    }
+
+    return cooldownNum;
+  }
+
+  /**
+   * Validate a service type's reap policy (see Reaper.DEFAULT_REAP_POLICY)
+   */
+  static validateReapPolicy(policy) {
+    if (policy === undefined || policy === null) {
+      return {};
+    }
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('reap_policy must be an object');
+    }
+
+    const validPolicy = {};
+    for (const [key, value] of Object.entries(policy)) {
+      if (['lease_expiry', 'owner_dead', 'port_reused'].includes(key)) {
+        if (typeof value !== 'boolean') {
+          throw new Error(`reap_policy.${key} must be a boolean`);
+        }
+      } else if (['port_unbound_after_seconds', 'max_health_failures'].includes(key)) {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`reap_policy.${key} must be a non-negative integer, got: ${value}`);
+        }
+      } else {
+        throw new Error(`Unknown reap_policy option: ${key}`);
+      }
+      validPolicy[key] = value;
+    }
+
+    return validPolicy;
+  }
+
+  /**
+   * Validate a singleton service type's liveness probe
+   */
+  static validateSingletonProbe(probe) {
+    if (probe === undefined || probe === null) {
+      return {};
+    }
+
+    if (typeof probe !== 'object' || Array.isArray(probe)) {
+      throw new Error('singleton_probe must be an object');
+    }
+
+    const validProbe = {};
+    for (const [key, value] of Object.entries(probe)) {
+      if (key === 'type') {
+        if (!['bind', 'tcp', 'http'].includes(value)) {
+          throw new Error(`singleton_probe.type must be one of bind, tcp, http, got: ${value}`);
+        }
+      } else if (key === 'path') {
+        if (typeof value !== 'string' || !value.startsWith('/') || value.length > 256) {
+          throw new Error('singleton_probe.path must be an absolute URL path');
+        }
+      } else if (key === 'timeout_ms') {
+        this.validateTimeout(value, 100, 30000);
+      } else if (key === 'startup_grace_seconds') {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`singleton_probe.startup_grace_seconds must be a non-negative integer, got: ${value}`);
+        }
+      } else {
+        throw new Error(`Unknown singleton_probe option: ${key}`);
+      }
+      validProbe[key] = value;
+    }
+
+    return validProbe;
+  }
+
+  /**
+   * Validate the number of contiguous ports in a block allocation
+   */
+  static validatePortCount(count, maxCount = 32) {
+    const countNum = Number(count);
+    if (!Number.isInteger(countNum) || countNum < 1) {
+      throw new Error(`count must be a positive integer, got: ${count}`);
+    }
+
+    if (countNum > maxCount) {
+      throw new Error(`count must be ${maxCount} or less, got: ${countNum}`);
+    }
+
+    return countNum;
+  }
+
+  /**
+   * Validate allocation queue wait timeout (milliseconds)
+   */
+  static validateWaitTimeout(waitTimeoutMs, maxWaitMs = 120000) {
+    const waitNum = Number(waitTimeoutMs);
+    if (!Number.isInteger(waitNum) || waitNum < 0) {
+      throw new Error(`wait_timeout_ms must be a non-negative integer, got: ${waitTimeoutMs}`);
+    }
+
+    if (waitNum > maxWaitMs) {
+      throw new Error(`wait_timeout_ms must be ${maxWaitMs} or less, got: ${waitNum}`);
+    }
+
+    return waitNum;
+  }
+
   /**
    * Validate environment variable names
    */
@@ -376,6 +652,43 @@ class Validator {
     return { windowMs: window, maxRequests: max };
   }
 
+  /**
+   * Validate the transport protocol an allocation needs
+   */
+  static validateProtocol(protocol) {
+    // If not provided, default to "tcp"
+    if (!protocol) {
+      return 'tcp';
+    }
+
+    if (typeof protocol !== 'string') {
+      throw new Error('protocol must be a string');
+    }
+
+    const normalized = protocol.toLowerCase();
+    if (!['tcp', 'udp', 'both'].includes(normalized)) {
+      throw new Error('protocol must be "tcp", "udp" or "both"');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the IP address a service will bind (brackets around IPv6 are dropped)
+   */
+  static validateBindAddress(address) {
+    if (typeof address !== 'string') {
+      throw new Error('bind_address must be a string');
+    }
+
+    const normalized = address.trim().replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(normalized) === 0) {
+      throw new Error(`bind_address must be an IPv4 or IPv6 address, got: ${this.sanitizeForLogging(address)}`);
+    }
+
+    return normalized;
+  }
+
   /**
    * Validate instance behavior setting
    */
@@ -397,6 +710,27 @@ class Validator {
     return normalized;
   }
 
+  /**
+   * Validate multi_instance_pattern (allocation strategy name)
+   */
+  static validateMultiInstancePattern(pattern) {
+    // If not provided, default to "sequential"
+    if (!pattern) {
+      return DEFAULT_STRATEGY;
+    }
+
+    if (typeof pattern !== 'string') {
+      throw new Error('multi_instance_pattern must be a string');
+    }
+
+    const normalized = pattern.toLowerCase();
+    if (!STRATEGIES[normalized]) {
+      throw new Error(`multi_instance_pattern must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+
+    return normalized;
+  }
+
   /**
    * Validate service type configuration
    */
@@ -427,6 +761,62 @@ class Validator {
       config.instance_behavior = this.validateInstanceBehavior(config.instance_behavior);
     }
 
+    if (config.multi_instance_pattern) {
+      config.multi_instance_pattern = this.validateMultiInstancePattern(config.multi_instance_pattern);
+    }
+
+    if (config.cooldown_seconds !== undefined) {
+      config.cooldown_seconds = this.validateCooldown(config.cooldown_seconds);
+    }
+
+    if (config.protocol !== undefined) {
+      config.protocol = this.validateProtocol(config.protocol);
+    }
+
+    if (config.bind_address !== undefined) {
+      config.bind_address = this.validateBindAddress(config.bind_address);
+    }
+
+    if (config.reap_policy !== undefined) {
+      config.reap_policy = this.validateReapPolicy(config.reap_policy);
+    }
+
+    if (config.singleton_probe !== undefined) {
+      config.singleton_probe = this.validateSingletonProbe(config.singleton_probe);
+    }
+
+    if (config.max_ttl !== undefined) {
+      config.max_ttl = this.validateTtl(config.max_ttl);
+    }
+
+    if (config.default_ttl !== undefined) {
+      config.default_ttl = this.validateTtl(config.default_ttl, config.max_ttl);
+    }
+
+    return config;
+  }
+
+  /**
+   * Validate which transports the daemon API listens on
+   */
+  static validateTransportConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('transport configuration must be an object');
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (!['tcp', 'unix_socket'].includes(key)) {
+        throw new Error(`Unknown transport option: ${key}`);
+      }
+      if (typeof value !== 'boolean') {
+        throw new Error(`transport.${key} must be a boolean`);
+      }
+    }
+
+    if (config.tcp === false && config.unix_socket === false) {
+      throw new Error('At least one of transport.tcp and transport.unix_socket must be enabled');
+    }
+
     return config;
   }
 
@@ -538,6 +928,35 @@ class Validator {
 
     return rules;
   }
+
+  /**
+   * Validate the health_monitoring section of the recovery config
+   */
+  static validateHealthMonitoringConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('recovery.health_monitoring must be an object');
+    }
+
+    for (const key of ['enabled', 'cleanup_stale_allocations']) {
+      if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+        throw new Error(`recovery.health_monitoring.${key} must be a boolean`);
+      }
+    }
+
+    const interval = config.check_interval_ms;
+    if ((config.enabled || interval !== undefined) &&
+        (!Number.isInteger(interval) || interval < 1000 || interval > 3600000)) {
+      throw new Error('recovery.health_monitoring.check_interval_ms must be an integer between 1000 and 3600000');
+    }
+
+    const maxFailures = config.max_failures;
+    if ((config.enabled || maxFailures !== undefined) &&
+        (!Number.isInteger(maxFailures) || maxFailures < 1 || maxFailures > 100)) {
+      throw new Error('recovery.health_monitoring.max_failures must be an integer between 1 and 100');
+    }
+
+    return config;
+  }
 }
 
 module.exports = Validator;
\ No newline at end of file
@@ -76,6 +76,11 @@ class DaemonTestHelper {
     // Stop and destroy all daemons
     for (const daemon of this.daemons) {
       try {
+        // End event streams so the servers can close
+        if (daemon.closeEventStreams) {
+          daemon.closeEventStreams();
+        }
+
         // Stop server if running
         if (daemon.server && daemon.server.listening) {
           await new Promise((resolve) => {
@@ -83,6 +88,15 @@ class DaemonTestHelper {
           });
         }
 
+        if (daemon.socketServer) {
+          await daemon.closeSocket();
+        }
+
+        // Stop watching the config files
+        if (daemon.stopConfigWatcher) {
+          daemon.stopConfigWatcher();
+        }
+
         // Clear cleanup interval
         if (daemon.cleanupInterval) {
           clearInterval(daemon.cleanupInterval);
@@ -0,0 +1,118 @@
+/**
+ * Integration tests for Idempotency-Key handling on mutating endpoints
+ */
+
+const request = require('supertest');
+const TestDaemonHelper = require('../../helpers/daemon-helper');
+
+describe('Idempotency Keys', () => {
+  let daemonHelper;
+  let daemon;
+  let app;
+
+  beforeEach(async () => {
+    daemonHelper = new TestDaemonHelper();
+    const daemonInfo = await daemonHelper.start();
+    daemon = daemonInfo.daemon;
+    app = daemon.app;
+  });
+
+  afterEach(async () => {
+    await daemonHelper.cleanup();
+  });
+
+  const allocate = (key, body = { service_type: 'dev', service_name: 'web' }) => request(app)
+    .post('/allocate')
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  it('should return the original allocation for a repeated key', async () => {
+    const first = await allocate('alloc-key-1').expect(200);
+    const retry = await allocate('alloc-key-1').expect(200);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(daemon.allocations.size).toBe(1);
+  });
+
+  it('should allocate again for a different key', async () => {
+    const first = await allocate('alloc-key-1').expect(200);
+    const second = await allocate('alloc-key-2').expect(200);
+
+    expect(second.body.lock_id).not.toBe(first.body.lock_id);
+    expect(daemon.allocations.size).toBe(2);
+  });
+
+  it('should run concurrent retries only once', async () => {
+    const responses = await Promise.all([allocate('alloc-key-1'), allocate('alloc-key-1')]);
+
+    expect(responses[1].body.lock_id).toBe(responses[0].body.lock_id);
+    expect(daemon.allocations.size).toBe(1);
+  });
+
+  it('should reject a key reused for a different request', async () => {
+    await allocate('alloc-key-1').expect(200);
+
+    const response = await allocate('alloc-key-1', { service_type: 'dev', service_name: 'other' }).expect(422);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain('different request');
+  });
+
+  it('should reject malformed keys', async () => {
+    const response = await allocate('not a valid key!').expect(400);
+
+    expect(response.body.error).toContain('Idempotency-Key');
+  });
+
+  it('should not remember failed requests', async () => {
+    await allocate('alloc-key-1', { service_type: 'dev', preferred_port: 99999 }).expect(400);
+
+    expect(daemon.idempotency.get('alloc-key-1')).toBeNull();
+  });
+
+  it('should replay a release instead of failing with not found', async () => {
+    const allocation = await allocate('alloc-key-1').expect(200);
+    const release = () => request(app)
+      .delete(`/allocate/${allocation.body.lock_id}`)
+      .set('Idempotency-Key', 'release-key-1');
+
+    const first = await release().expect(200);
+    const retry = await release().expect(200);
+
+    expect(retry.body).toEqual(first.body);
+  });
+
+  it('should replay batch allocations', async () => {
+    const batch = () => request(app)
+      .post('/allocate/batch')
+      .set('Idempotency-Key', 'batch-key-1')
+      .send({ services: [{ service_type: 'dev', service_name: 'web' }, { service_type: 'api', service_name: 'backend' }] });
+
+    const first = await batch().expect(200);
+    const retry = await batch().expect(200);
+
+    expect(retry.body.group_id).toBe(first.body.group_id);
+    expect(daemon.allocations.size).toBe(2);
+  });
+
+  it('should remember keys across a restart', async () => {
+    const first = await allocate('alloc-key-1').expect(200);
+    await daemon.saveState();
+
+    daemon.idempotency.load([]);
+    await daemon.loadState();
+
+    const retry = await allocate('alloc-key-1').expect(200);
+    expect(retry.body.lock_id).toBe(first.body.lock_id);
+  });
+
+  it('should forget keys once the window has passed', async () => {
+    await allocate('alloc-key-1').expect(200);
+    daemon.idempotency.entries.get('alloc-key-1').created_at = new Date(Date.now() - daemon.idempotency.windowMs - 1000).toISOString();
+
+    await allocate('alloc-key-1').expect(200);
+
+    expect(daemon.allocations.size).toBe(2);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the project up and down commands
+ */
+
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+jest.mock('../../../src/utils/daemon-client', () => ({ daemonRequest: jest.fn() }));
+
+const { daemonRequest } = require('../../../src/utils/daemon-client');
+const up = require('../../../src/commands/up');
+const down = require('../../../src/commands/down');
+
+describe('up and down commands - Unit Tests', () => {
+  let testHelper;
+  let daemon;
+  let projectDir;
+  let output;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-up': {
+          description: 'Service type for up tests',
+          preferred_ports: [13870],
+          port_range: [13870, 13874]
+        },
+        'test-up-shared': {
+          description: 'Singleton for up tests',
+          preferred_ports: [13875],
+          port_range: [13875, 13879],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+    daemon = await testHelper.createDaemon({ configDir });
+
+    // Send the commands' daemon requests straight to the daemon's routes
+    daemonRequest.mockImplementation(async (url, options = {}) => {
+      let pending = request(daemon.app)[(options.method || 'GET').toLowerCase()](url)
+        .set('X-API-Key', daemon.auth.apiKey);
+      if (options.body) {
+        pending = pending.set('Content-Type', 'application/json').send(options.body);
+      }
+      const response = await pending;
+      return { json: async () => response.body };
+    });
+
+    projectDir = tmp.dirSync({ prefix: 'styxy-up-test-', unsafeCleanup: true });
+    writeManifest({
+      web: { service_type: 'test-up', env: 'PORT' },
+      ai: { service_type: 'test-up-shared', env: 'AI_PORT' }
+    });
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    daemonRequest.mockReset();
+    projectDir.removeCallback();
+    await testHelper.cleanup();
+  });
+
+  function writeManifest(services) {
+    fs.writeFileSync(path.join(projectDir.name, '.styxy.json'), JSON.stringify({ services }));
+  }
+
+  async function run(command) {
+    output = [];
+    await command({ project: projectDir.name, json: true });
+    return JSON.parse(output[0]);
+  }
+
+  const consumers = () => daemon.getSingleton('test-up-shared').consumers.map(consumer => consumer.lock_id);
+
+  test('should not allocate again when every service is up', async () => {
+    const first = await run(up);
+    const second = await run(up);
+
+    expect(second).toMatchObject({ success: true, existing: true });
+    expect(second.allocations.map(allocation => allocation.lock_id).sort())
+      .toEqual(first.allocations.map(allocation => allocation.lock_id).sort());
+    expect(daemon.allocations.size).toBe(2);
+    expect(consumers()).toHaveLength(1);
+  });
+
+  test('should only allocate the services that are no longer up', async () => {
+    const first = await run(up);
+    const web = first.allocations.find(allocation => allocation.service_name === 'web');
+    await daemon.releasePort(web.lock_id);
+
+    const second = await run(up);
+
+    expect(second.allocations.map(allocation => allocation.service_name).sort()).toEqual(['ai', 'web']);
+    expect(second.group_ids).toHaveLength(2);
+    expect(consumers()).toHaveLength(1);
+  });
+
+  test('should keep reusing the consumer it holds on a singleton another project started', async () => {
+    const shared = await daemon.allocatePort({ service_type: 'test-up-shared', service_name: 'ai', project_path: '/other' });
+
+    const first = await run(up);
+    await run(up);
+
+    const ai = first.allocations.find(allocation => allocation.service_name === 'ai');
+    expect(ai).toMatchObject({ port: shared.port, existing: true });
+    expect(consumers()).toEqual([shared.lock_id, ai.lock_id]);
+  });
+
+  test('should release only what up allocated, leaving shared singletons to their other consumers', async () => {
+    const shared = await daemon.allocatePort({ service_type: 'test-up-shared', service_name: 'ai', project_path: '/other' });
+    const first = await run(up);
+    const web = first.allocations.find(allocation => allocation.service_name === 'web');
+
+    // Someone else joins the batch's group; down must not release it
+    const bystander = await daemon.allocatePort({ service_type: 'test-up', group: first.group_id });
+
+    const result = await run(down);
+
+    expect(result).toMatchObject({ success: true, ports: [web.port], consumers_released: 1 });
+    expect(consumers()).toEqual([shared.lock_id]);
+    expect(daemon.allocations.has(bystander.port)).toBe(true);
+  });
+
+  test('should bring down a manifest that only has singleton services', async () => {
+    writeManifest({ ai: { service_type: 'test-up-shared', env: 'AI_PORT' } });
+    const first = await run(up);
+    await run(up);
+
+    const result = await run(down);
+
+    expect(result).toMatchObject({ success: true, ports: [first.allocations[0].port] });
+    expect(daemon.getSingleton('test-up-shared')).toBeUndefined();
+    expect((await run(down)).message).toContain('No services are up');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for transferring allocations between instances
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+const DEAD_PID = 999999;
+
+describe('Allocation Transfer', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-move': {
+          description: 'Service type for transfer tests',
+          preferred_ports: [13740],
+          port_range: [13740, 13744]
+        },
+        'test-move-shared': {
+          description: 'Singleton for transfer tests',
+          preferred_ports: [13745],
+          port_range: [13745, 13749],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  test('should reassign the instance, PID and project path', async () => {
+    const result = await daemon.allocatePort({
+      service_type: 'test-move',
+      instance_id: 'agent-a',
+      project_path: '/work/a',
+      pid: DEAD_PID
+    });
+
+    const transferred = await daemon.transferAllocation(result.lock_id, {
+      instance_id: 'agent-b',
+      pid: process.pid,
+      project_path: '/work/b'
+    });
+
+    expect(transferred).toMatchObject({ instance_id: 'agent-b', previous_instance_id: 'agent-a', pid: process.pid });
+    const allocation = daemon.allocations.get(result.port);
+    expect(allocation).toMatchObject({
+      instance_id: 'agent-b',
+      instanceId: 'agent-b',
+      process_id: process.pid,
+      project_path: '/work/b'
+    });
+  });
+
+  test('should keep the project path when none is given', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-move', instance_id: 'agent-a', project_path: '/work/a' });
+
+    await daemon.transferAllocation(result.lock_id, { instance_id: 'agent-b' });
+
+    expect(daemon.allocations.get(result.port).project_path).toBe('/work/a');
+  });
+
+  test('should no longer reap the allocation when the previous owner exits', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-move', instance_id: 'agent-a', pid: DEAD_PID });
+
+    await daemon.transferAllocation(result.lock_id, { instance_id: 'agent-b', pid: process.pid });
+
+    expect(daemon.processTracker.tracked.get(result.lock_id).pids).toEqual([process.pid]);
+    expect(await daemon.getStaleReason(daemon.allocations.get(result.port))).toBeNull();
+  });
+
+  test('should update the singleton registry when the owner transfers', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-move-shared', instance_id: 'agent-a' });
+
+    await daemon.transferAllocation(owner.lock_id, { instance_id: 'agent-b', pid: process.pid });
+
+    const singleton = daemon.getSingleton('test-move-shared');
+    expect(singleton.instanceId).toBe('agent-b');
+    expect(singleton.pid).toBe(process.pid);
+    expect(singleton.consumers[0]).toMatchObject({ lock_id: owner.lock_id, instance_id: 'agent-b' });
+  });
+
+  test('should move only the consumer when a consumer transfers', async () => {
+    await daemon.allocatePort({ service_type: 'test-move-shared', instance_id: 'agent-a' });
+    const consumer = await daemon.allocatePort({ service_type: 'test-move-shared', instance_id: 'agent-b' });
+
+    await daemon.transferAllocation(consumer.lock_id, { instance_id: 'agent-c' });
+
+    const singleton = daemon.getSingleton('test-move-shared');
+    expect(singleton.instanceId).toBe('agent-a');
+    expect(singleton.consumers[1]).toMatchObject({ lock_id: consumer.lock_id, instance_id: 'agent-c' });
+    expect(daemon.allocations.get(consumer.port).instance_id).toBe('agent-a');
+  });
+
+  test('should audit the transfer', async () => {
+    const auditSpy = jest.spyOn(daemon.logger, 'audit');
+    const result = await daemon.allocatePort({ service_type: 'test-move', instance_id: 'agent-a' });
+
+    await daemon.transferAllocation(result.lock_id, { instance_id: 'agent-b' });
+
+    expect(auditSpy).toHaveBeenCalledWith('ALLOCATION_TRANSFERRED', expect.objectContaining({
+      port: result.port,
+      fromInstanceId: 'agent-a',
+      toInstanceId: 'agent-b'
+    }));
+  });
+
+  test('should reject unknown lock IDs and invalid instances', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-move' });
+
+    await expect(daemon.transferAllocation('12345678-1234-4567-8901-123456789012', { instance_id: 'agent-b' }))
+      .rejects.toThrow('not found');
+    await expect(daemon.transferAllocation(result.lock_id, {})).rejects.toThrow('instance_id');
+  });
+});
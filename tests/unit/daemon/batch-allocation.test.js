@@ -0,0 +1,223 @@
+/**
+ * Unit tests for atomic batch allocation and group release
+ */
+
+const StyxyDaemon = require('../../../src/daemon');
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+
+describe('Batch Allocation', () => {
+  let daemon;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ prefix: 'styxy-batch-test-', unsafeCleanup: true });
+
+    const testConfig = {
+      service_types: {
+        'test-web': {
+          description: 'Test web service',
+          preferred_ports: [12700],
+          port_range: [12700, 12709],
+          instance_behavior: 'multi'
+        },
+        'test-api': {
+          description: 'Test API service',
+          preferred_ports: [12710],
+          port_range: [12710, 12719],
+          instance_behavior: 'multi'
+        },
+        'test-tiny': {
+          description: 'Test service with a single port',
+          preferred_ports: [12720],
+          port_range: [12720, 12720],
+          instance_behavior: 'multi'
+        },
+        'test-singleton': {
+          description: 'Test singleton service',
+          preferred_ports: [12730],
+          port_range: [12730, 12739],
+          instance_behavior: 'single'
+        }
+      }
+    };
+
+    fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+    daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19878 });
+  });
+
+  afterEach(async () => {
+    if (daemon) {
+      await daemon.stop();
+    }
+    if (tmpDir) {
+      tmpDir.removeCallback();
+    }
+  });
+
+  describe('allocateBatch()', () => {
+    it('should allocate every service under one group ID', async () => {
+      const result = await daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'frontend' },
+          { service_type: 'test-api', service_name: 'backend' }
+        ],
+        instance_id: 'batch-instance'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.group_id).toBeDefined();
+      expect(result.allocations).toHaveLength(2);
+      expect(result.allocations[0]).toMatchObject({ service_name: 'frontend', port: 12700 });
+      expect(result.allocations[1]).toMatchObject({ service_name: 'backend', port: 12710 });
+
+      for (const { port } of result.allocations) {
+        expect(daemon.allocations.get(port).group_id).toBe(result.group_id);
+      }
+      expect(daemon.allocationInProgress.size).toBe(0);
+    });
+
+    it('should give services of the same type distinct ports', async () => {
+      const result = await daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'web-1' },
+          { service_type: 'test-web', service_name: 'web-2' }
+        ]
+      });
+
+      expect(result.allocations[0].port).not.toBe(result.allocations[1].port);
+    });
+
+    it('should roll back every reservation when one service cannot be placed', async () => {
+      await daemon.allocatePort({ service_type: 'test-tiny', service_name: 'occupant' });
+      const allocationsBefore = daemon.allocations.size;
+
+      await expect(daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'frontend' },
+          { service_type: 'test-tiny', service_name: 'blocked' }
+        ]
+      })).rejects.toThrow();
+
+      expect(daemon.allocations.size).toBe(allocationsBefore);
+      expect(daemon.allocations.has(12700)).toBe(false);
+      expect(daemon.allocationInProgress.size).toBe(0);
+    });
+
+    it('should undo committed entries when a later commit fails', async () => {
+      const createAllocation = daemon.createAllocation.bind(daemon);
+      jest.spyOn(daemon, 'createAllocation')
+        .mockImplementationOnce(createAllocation)
+        .mockRejectedValueOnce(new Error('disk full'));
+      const events = [];
+      daemon.on('event', event => events.push(event));
+
+      await expect(daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'frontend' },
+          { service_type: 'test-api', service_name: 'backend' }
+        ]
+      })).rejects.toThrow('disk full');
+
+      expect(daemon.allocations.size).toBe(0);
+      expect(daemon.allocationInProgress.size).toBe(0);
+      expect(events.map(event => event.type)).toEqual(['allocation:created', 'allocation:released']);
+      expect(events[1].data).toMatchObject({ port: 12700, rolled_back: true });
+    });
+
+    it('should only register new service types once the batch succeeds', async () => {
+      await daemon.stop();
+      const configFile = path.join(tmpDir.name, 'config.json');
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      config.auto_allocation = { enabled: true, default_chunk_size: 5 };
+      fs.writeFileSync(configFile, JSON.stringify(config));
+      daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19878 });
+      await daemon.allocatePort({ service_type: 'test-tiny', service_name: 'occupant' });
+
+      await expect(daemon.allocateBatch({
+        services: [
+          { service_type: 'test-brand-new', service_name: 'worker' },
+          { service_type: 'test-tiny', service_name: 'blocked' }
+        ]
+      })).rejects.toThrow();
+
+      expect(daemon.serviceTypes['test-brand-new']).toBeUndefined();
+      expect(JSON.parse(fs.readFileSync(configFile, 'utf8')).service_types['test-brand-new']).toBeUndefined();
+      expect(daemon.autoAllocationInProgress.size).toBe(0);
+      expect(daemon.pendingServiceTypes.size).toBe(0);
+
+      const result = await daemon.allocateBatch({
+        services: [{ service_type: 'test-brand-new', service_name: 'worker' }]
+      });
+
+      const [start, end] = daemon.serviceTypes['test-brand-new'].range;
+      expect(result.allocations[0].port).toBeGreaterThanOrEqual(start);
+      expect(result.allocations[0].port).toBeLessThanOrEqual(end);
+    });
+
+    it('should validate every entry before reserving ports', async () => {
+      await expect(daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'frontend' },
+          { service_type: 'test-api', preferred_port: 'not-a-port' }
+        ]
+      })).rejects.toThrow();
+
+      expect(daemon.allocations.size).toBe(0);
+    });
+
+    it('should reject an empty service list', async () => {
+      await expect(daemon.allocateBatch({ services: [] }))
+        .rejects.toThrow('services must be a non-empty array');
+    });
+
+    it('should reuse an existing singleton without adding it to the group', async () => {
+      const singleton = await daemon.allocatePort({
+        service_type: 'test-singleton',
+        service_name: 'shared',
+        instance_id: 'instance-1'
+      });
+
+      const result = await daemon.allocateBatch({
+        services: [
+          { service_type: 'test-singleton', service_name: 'shared' },
+          { service_type: 'test-web', service_name: 'frontend' }
+        ],
+        instance_id: 'instance-2'
+      });
+
+      expect(result.allocations[0].existing).toBe(true);
+      expect(result.allocations[0].port).toBe(singleton.port);
+      for (const entry of result.allocations) {
+        expect(entry).toEqual(expect.objectContaining({ port: expect.any(Number), lock_id: expect.any(String) }));
+      }
+      expect(daemon.allocations.get(singleton.port).group_id).not.toBe(result.group_id);
+    });
+  });
+
+  describe('releaseGroup()', () => {
+    it('should release every allocation in the group', async () => {
+      const batch = await daemon.allocateBatch({
+        services: [
+          { service_type: 'test-web', service_name: 'frontend' },
+          { service_type: 'test-api', service_name: 'backend' }
+        ]
+      });
+      const unrelated = await daemon.allocatePort({ service_type: 'test-web', service_name: 'other' });
+
+      const result = await daemon.releaseGroup(batch.group_id);
+
+      expect(result.success).toBe(true);
+      expect(result.released).toBe(2);
+      expect(result.ports.sort()).toEqual([12700, 12710]);
+      expect(daemon.allocations.size).toBe(1);
+      expect(daemon.allocations.has(unrelated.port)).toBe(true);
+    });
+
+    it('should throw for an unknown group', async () => {
+      await expect(daemon.releaseGroup('missing-group'))
+        .rejects.toThrow('Group missing-group not found');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for bind-address aware availability checks
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const PortScanner = require('../../../src/utils/port-scanner');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Bind Address Checks', () => {
+  let testHelper;
+  let daemon;
+  let servers;
+
+  beforeEach(async () => {
+    servers = [];
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-bind': {
+          description: 'Service type for bind address tests',
+          preferred_ports: [13800],
+          port_range: [13800, 13809]
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await testHelper.cleanup();
+  });
+
+  const listen = (port, address) => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(port, address, () => {
+      servers.push(server);
+      resolve(server);
+    });
+  });
+
+  test('should find a port taken on the wildcard address', async () => {
+    await listen(13800, '0.0.0.0');
+
+    expect(await daemon.checkPortActuallyAvailable(13800)).toBe(false);
+    expect(await daemon.checkPortActuallyAvailable(13800, 'tcp', '127.0.0.1')).toBe(false);
+  });
+
+  test('should report availability per address', async () => {
+    await listen(13801, '127.0.0.1');
+
+    const results = await daemon.checkPortAddresses(13801);
+
+    expect(results.map(result => result.address)).toEqual(['127.0.0.1', '0.0.0.0', '::1', '::']);
+    expect(results[0]).toMatchObject({ family: 'IPv4', protocol: 'tcp', available: false, status: 'in_use' });
+    expect(results.every(result => ['free', 'in_use', 'unsupported'].includes(result.status))).toBe(true);
+  });
+
+  test('should skip a port taken on another address when no bind address is given', async () => {
+    await listen(13800, '127.0.0.1');
+
+    const result = await daemon.allocatePort({ service_type: 'test-bind' });
+
+    expect(result.port).toBe(13801);
+    expect(result.bind_address).toBeNull();
+  });
+
+  test('should record the intended bind address', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-bind', bind_address: '[::1]' });
+
+    expect(result.bind_address).toBe('::1');
+    expect(daemon.allocations.get(result.port).bind_address).toBe('::1');
+  });
+
+  test('should reject bind addresses that are not IP literals', async () => {
+    await expect(daemon.allocatePort({ service_type: 'test-bind', bind_address: 'localhost' }))
+      .rejects.toThrow('bind_address must be an IPv4 or IPv6 address');
+  });
+
+  describe('PortScanner.addressesOverlap()', () => {
+    test('should treat wildcards as covering their family', () => {
+      expect(PortScanner.addressesOverlap('0.0.0.0', '127.0.0.1')).toBe(true);
+      expect(PortScanner.addressesOverlap('0.0.0.0', '::1')).toBe(false);
+      expect(PortScanner.addressesOverlap('[::]', '127.0.0.1')).toBe(true);
+      expect(PortScanner.addressesOverlap('*', '::1')).toBe(true);
+    });
+
+    test('should keep distinct specific addresses apart', () => {
+      expect(PortScanner.addressesOverlap('127.0.0.1', '::1')).toBe(false);
+      expect(PortScanner.addressesOverlap('[::1]', '::1')).toBe(true);
+      expect(PortScanner.addressesOverlap('127.0.0.1', null)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for group allocations and filtered bulk release
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Bulk Release', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-bulk': {
+          description: 'Service type for bulk release tests',
+          preferred_ports: [13720],
+          port_range: [13720, 13729]
+        },
+        'test-bulk-shared': {
+          description: 'Singleton for bulk release tests',
+          preferred_ports: [13730],
+          port_range: [13730, 13734],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const allocate = (extra = {}) => daemon.allocatePort({ service_type: 'test-bulk', ...extra });
+
+  test('should record the group on the allocation', async () => {
+    const result = await allocate({ group: 'ci-run-42' });
+
+    expect(result.group_id).toBe('ci-run-42');
+    expect(daemon.allocations.get(result.port).group_id).toBe('ci-run-42');
+  });
+
+  test('should accept session_id as the group', async () => {
+    const result = await allocate({ session_id: 'agent-session-7' });
+
+    expect(daemon.allocations.get(result.port).group_id).toBe('agent-session-7');
+    expect((await daemon.releaseAllocations({ session_id: 'agent-session-7' })).ports).toEqual([result.port]);
+  });
+
+  test('should reject invalid group names', async () => {
+    await expect(allocate({ group: 'has spaces' })).rejects.toThrow('group_id can only contain');
+  });
+
+  test('should share one group between batches, single allocations and bulk release', async () => {
+    const batch = await daemon.allocateBatch({
+      services: [{ service_type: 'test-bulk', service_name: 'web' }],
+      group: 'ci-run-42'
+    });
+    const single = await allocate({ group: 'ci-run-42' });
+
+    expect(batch.group_id).toBe('ci-run-42');
+
+    const result = await daemon.releaseAllocations({ group: 'ci-run-42' });
+    expect(result.ports.sort()).toEqual([batch.allocations[0].port, single.port].sort());
+  });
+
+  test('should release only the allocations in a group', async () => {
+    const first = await allocate({ group: 'ci-run-42' });
+    const second = await allocate({ group: 'ci-run-42' });
+    const other = await allocate({ group: 'ci-run-43' });
+
+    const result = await daemon.releaseAllocations({ group: 'ci-run-42' });
+
+    expect(result.released).toBe(2);
+    expect(result.ports.sort()).toEqual([first.port, second.port].sort());
+    expect(daemon.allocations.has(other.port)).toBe(true);
+  });
+
+  test('should require every given filter to match', async () => {
+    const agentA = await allocate({ instance_id: 'agent-a', project_path: '/work/a' });
+    const agentAOther = await allocate({ instance_id: 'agent-a', project_path: '/work/b' });
+
+    const result = await daemon.releaseAllocations({ instance_id: 'agent-a', project_path: '/work/a' });
+
+    expect(result.ports).toEqual([agentA.port]);
+    expect(daemon.allocations.has(agentAOther.port)).toBe(true);
+  });
+
+  test('should filter by service type', async () => {
+    const plain = await allocate();
+    const shared = await daemon.allocatePort({ service_type: 'test-bulk-shared' });
+
+    const result = await daemon.releaseAllocations({ service_type: 'test-bulk' });
+
+    expect(result.ports).toEqual([plain.port]);
+    expect(daemon.allocations.has(shared.port)).toBe(true);
+  });
+
+  test('should refuse to release without a filter', async () => {
+    await allocate();
+
+    await expect(daemon.releaseAllocations({})).rejects.toThrow('At least one of');
+    expect(daemon.allocations.size).toBe(1);
+  });
+
+  test('should keep pinned allocations unless asked to include them', async () => {
+    const pinned = await allocate({ group: 'ci-run-42', pinned: true });
+
+    const first = await daemon.releaseAllocations({ group: 'ci-run-42' });
+    expect(first.skipped_pinned).toBe(1);
+    expect(daemon.allocations.has(pinned.port)).toBe(true);
+
+    const second = await daemon.releaseAllocations({ group: 'ci-run-42' }, { includePinned: true });
+    expect(second.ports).toEqual([pinned.port]);
+  });
+
+  test('should release a pinned singleton that no consumer holds any more', async () => {
+    const singleton = await daemon.allocatePort({ service_type: 'test-bulk-shared', group: 'ci-run-42', pinned: true });
+
+    const first = await daemon.releaseAllocations({ group: 'ci-run-42' });
+    expect(first.skipped_pinned).toBe(1);
+    expect(daemon.getSingleton('test-bulk-shared').consumers).toEqual([]);
+
+    const second = await daemon.releaseAllocations({ group: 'ci-run-42' }, { includePinned: true });
+    expect(second.ports).toEqual([singleton.port]);
+    expect(daemon.getSingleton('test-bulk-shared')).toBeUndefined();
+  });
+
+  test('should only remove the group from a shared singleton', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-bulk-shared', instance_id: 'agent-a' });
+    await daemon.allocatePort({ service_type: 'test-bulk-shared', instance_id: 'agent-b', group: 'ci-run-42' });
+
+    const result = await daemon.releaseAllocations({ group: 'ci-run-42' });
+
+    expect(result.released).toBe(0);
+    expect(result.consumers_released).toBe(1);
+    expect(daemon.getSingleton('test-bulk-shared').consumers.map(c => c.lock_id)).toEqual([owner.lock_id]);
+  });
+
+  test('should free a singleton once its last consumer is released', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-bulk-shared', group: 'ci-run-42' });
+    await daemon.allocatePort({ service_type: 'test-bulk-shared', group: 'ci-run-42' });
+
+    const result = await daemon.releaseAllocations({ group: 'ci-run-42' });
+
+    expect(result.ports).toEqual([owner.port]);
+    expect(daemon.getSingleton('test-bulk-shared')).toBeUndefined();
+  });
+
+  test('should audit a bulk release as a single event', async () => {
+    const auditSpy = jest.spyOn(daemon.logger, 'audit');
+    const first = await allocate({ group: 'ci-run-42' });
+    const second = await allocate({ group: 'ci-run-42' });
+    auditSpy.mockClear();
+
+    await daemon.releaseAllocations({ group: 'ci-run-42' });
+
+    expect(auditSpy).toHaveBeenCalledTimes(1);
+    expect(auditSpy).toHaveBeenCalledWith('ALLOCATIONS_RELEASED', expect.objectContaining({
+      filter: { group_id: 'ci-run-42' },
+      ports: expect.arrayContaining([first.port, second.port])
+    }));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for configuration hot-reload
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Config Reload', () => {
+  let testHelper;
+  let configDir;
+  let daemon;
+
+  const serviceTypes = {
+    'test-reload': {
+      description: 'Service type for reload tests',
+      preferred_ports: [13850],
+      port_range: [13850, 13859]
+    },
+    'test-spare': {
+      description: 'Service type that reloads remove',
+      preferred_ports: [13860],
+      port_range: [13860, 13864]
+    }
+  };
+
+  const writeConfig = (config) => {
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify(config));
+  };
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    configDir = testHelper.createTestConfigDir();
+    writeConfig({ service_types: serviceTypes });
+
+    daemon = await testHelper.createDaemon({ configDir, configReloadDelay: 50 });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  test('should apply edited service types and report what changed', async () => {
+    const spare = serviceTypes['test-spare'];
+    writeConfig({
+      service_types: {
+        'test-reload': { ...serviceTypes['test-reload'], port_range: [13850, 13855] },
+        'test-added': { ...spare, description: 'Service type added by a reload' }
+      }
+    });
+
+    const result = await daemon.reloadConfig();
+
+    expect(result).toMatchObject({
+      success: true,
+      changed: true,
+      service_types: { added: ['test-added'], removed: ['test-spare'], changed: ['test-reload'] },
+      conflicts: []
+    });
+    expect(daemon.serviceTypes['test-reload'].range).toEqual([13850, 13855]);
+    expect(daemon.eventBuffer.since(0).map(event => event.type)).toEqual(['config:reloaded']);
+  });
+
+  test('should keep the running config when the new one is invalid', async () => {
+    fs.writeFileSync(path.join(configDir, 'config.json'), '{ "service_types": ');
+    await expect(daemon.reloadConfig()).rejects.toThrow('Invalid configuration');
+
+    writeConfig({ service_types: { 'test-reload': { preferred_ports: [13850], port_range: [13859, 13850] } } });
+    await expect(daemon.reloadConfig()).rejects.toThrow("Service type 'test-reload'");
+
+    expect(daemon.serviceTypes['test-spare']).toBeDefined();
+  });
+
+  test('should refuse a shrunk range that would orphan a live allocation', async () => {
+    const allocation = await daemon.allocatePort({ service_type: 'test-reload', preferred_port: 13858 });
+    writeConfig({
+      service_types: { ...serviceTypes, 'test-reload': { ...serviceTypes['test-reload'], port_range: [13850, 13855] } }
+    });
+
+    const error = await daemon.reloadConfig().catch(e => e);
+
+    expect(error.category).toBe('CONFLICT');
+    expect(error.context.conflicts).toEqual([{
+      port: 13858,
+      lock_id: allocation.lock_id,
+      service_type: 'test-reload',
+      reason: 'outside_range',
+      range: [13850, 13855]
+    }]);
+    expect(daemon.serviceTypes['test-reload'].range).toEqual([13850, 13859]);
+  });
+
+  test('should apply a conflicting reload when forced and warn about it', async () => {
+    await daemon.allocatePort({ service_type: 'test-spare' });
+    writeConfig({ service_types: { 'test-reload': serviceTypes['test-reload'] } });
+
+    const result = await daemon.reloadConfig({ force: true });
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ port: 13860, reason: 'service_type_removed' })]);
+    expect(result.warnings[0]).toContain("removed service type 'test-spare'");
+    expect(daemon.serviceTypes['test-spare']).toBeUndefined();
+    expect(daemon.allocations.has(13860)).toBe(true);
+  });
+
+  test('should pass health monitoring changes to the health monitor', async () => {
+    writeConfig({
+      service_types: serviceTypes,
+      recovery: {
+        health_monitoring: { enabled: true, check_interval_ms: 5000, max_failures: 5, cleanup_stale_allocations: false }
+      }
+    });
+
+    const result = await daemon.reloadConfig();
+
+    expect(result.sections).toEqual(['recovery']);
+    expect(daemon.healthMonitor.config).toMatchObject({ enabled: true, check_interval_ms: 5000, max_failures: 5 });
+    expect(daemon.healthMonitor.monitoringActive).toBe(false); // Not started, so nothing to restart
+
+    writeConfig({ service_types: serviceTypes, recovery: { health_monitoring: { enabled: true } } });
+    await expect(daemon.reloadConfig()).rejects.toThrow('check_interval_ms');
+  });
+
+  test('should serve POST /config/reload', async () => {
+    await daemon.allocatePort({ service_type: 'test-spare' });
+    writeConfig({ service_types: { 'test-reload': serviceTypes['test-reload'] } });
+
+    const reload = () => request(daemon.app).post('/config/reload').set('X-API-Key', daemon.auth.apiKey);
+
+    const refused = await reload().send({});
+    expect(refused.status).toBe(409);
+    expect(refused.body.context.conflicts).toHaveLength(1);
+
+    const forced = await reload().send({ force: true });
+    expect(forced.status).toBe(200);
+    expect(forced.body.service_types.removed).toEqual(['test-spare']);
+
+    const unchanged = await reload();
+    expect(unchanged.body).toMatchObject({ success: true, changed: false });
+  });
+
+  test('should reload when config.json changes', async () => {
+    daemon.watchConfig();
+
+    writeConfig({
+      service_types: { ...serviceTypes, 'test-watched': { ...serviceTypes['test-spare'], port_range: [13865, 13869] } }
+    });
+
+    await testHelper.waitFor(() => daemon.serviceTypes['test-watched'], 5000);
+    expect(daemon.serviceTypes['test-watched'].range).toEqual([13865, 13869]);
+  });
+});
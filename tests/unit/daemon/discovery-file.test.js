@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the daemon.json discovery record
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { DaemonClient } = require('../../../src/utils/daemon-client');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Discovery File', () => {
+  let testHelper;
+  let configDir;
+  let client;
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = { port: process.env.STYXY_DAEMON_PORT, socket: process.env.STYXY_SOCKET };
+    delete process.env.STYXY_DAEMON_PORT;
+    delete process.env.STYXY_SOCKET;
+
+    testHelper = createTestHelper();
+    configDir = testHelper.createTestConfigDir();
+    client = new DaemonClient({ configDir, maxRetries: 1 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    client.destroy();
+    await testHelper.cleanup();
+
+    for (const [name, value] of [['STYXY_DAEMON_PORT', savedEnv.port], ['STYXY_SOCKET', savedEnv.socket]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  const writeRecord = (record) => {
+    fs.writeFileSync(path.join(configDir, 'daemon.json'), JSON.stringify(record));
+  };
+
+  const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+  test('should describe the running daemon next to the PID file', async () => {
+    const daemon = await testHelper.createDaemon({ configDir, port: 13820 });
+    await daemon.start();
+
+    const record = JSON.parse(fs.readFileSync(path.join(configDir, 'daemon.json'), 'utf8'));
+
+    expect(record).toMatchObject({
+      pid: process.pid,
+      version: require('../../../package.json').version,
+      url: 'http://127.0.0.1:13820',
+      transports: { tcp: { host: '127.0.0.1', port: 13820 }, unix_socket: daemon.socketPath }
+    });
+    expect(new Date(record.started_at).getTime()).not.toBeNaN();
+    expect(fs.statSync(path.join(configDir, 'daemon.json')).mode & 0o777).toBe(0o600);
+  });
+
+  test('should remove the record on stop', async () => {
+    const daemon = await testHelper.createDaemon({ configDir, port: 13821 });
+    await daemon.start();
+
+    await daemon.stop();
+
+    expect(fs.existsSync(path.join(configDir, 'daemon.json'))).toBe(false);
+  });
+
+  test('should reach a daemon on a port outside the probe list', async () => {
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ transport: { unix_socket: false } }));
+    const daemon = await testHelper.createDaemon({ configDir, port: 13822 });
+    await daemon.start();
+
+    const response = await client.makeRequest('/status');
+
+    expect(await client.getDaemonUrl()).toBe('http://127.0.0.1:13822');
+    expect((await response.json()).status).toBe('running');
+  });
+
+  test('should not probe ports when the recorded daemon has exited', async () => {
+    writeRecord({
+      pid: deadPid(),
+      transports: { tcp: { host: '127.0.0.1', port: 13823 }, unix_socket: path.join(configDir, 'daemon.sock') }
+    });
+    fs.writeFileSync(path.join(configDir, 'daemon.sock'), '');
+    const fetchSpy = jest.spyOn(global, 'fetch');
+
+    expect(await client.getDaemonUrl()).toBe('http://127.0.0.1:9876');
+    expect(client.getSocketPath()).toBeNull();
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  test('should use the recorded socket of a live daemon', () => {
+    writeRecord({ pid: process.pid, transports: { tcp: null, unix_socket: '/tmp/styxy-elsewhere.sock' } });
+
+    expect(client.getSocketPath()).toBe('/tmp/styxy-elsewhere.sock');
+  });
+
+  test('should ignore a malformed record', () => {
+    writeRecord({ pid: 'abc' });
+
+    expect(client.readDiscovery()).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for daemon events and the GET /events stream
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventBuffer = require('../../../src/utils/event-buffer');
+const { DaemonClient } = require('../../../src/utils/daemon-client');
+const { readEvents } = require('../../../src/commands/events');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Event Stream', () => {
+  let testHelper;
+  let configDir;
+  let daemon;
+  let events;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-events': {
+          description: 'Service type for event tests',
+          preferred_ports: [13830],
+          port_range: [13830, 13834]
+        },
+        'test-shared': {
+          description: 'Single-instance service type for event tests',
+          preferred_ports: [13835],
+          port_range: [13835, 13839],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+    events = [];
+    daemon.on('event', event => events.push(event));
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const types = () => events.map(event => event.type);
+
+  test('should publish allocation created and released events', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-events', service_name: 'web' });
+    await daemon.releasePort(result.lock_id);
+
+    expect(types()).toEqual(['allocation:created', 'allocation:released']);
+    expect(events[0].data).toMatchObject({ port: 13830, lock_id: result.lock_id, service_type: 'test-events', service_name: 'web' });
+    expect(events[1].id).toBe(events[0].id + 1);
+  });
+
+  test('should publish the reap reason', async () => {
+    await daemon.allocatePort({ service_type: 'test-events' });
+
+    await daemon.performCleanup(true);
+
+    expect(events.find(event => event.type === 'allocation:reaped').data).toMatchObject({ port: 13830, reason: 'forced' });
+  });
+
+  test('should publish singleton lifecycle events', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-shared', instance_id: 'a' });
+    const second = await daemon.allocatePort({ service_type: 'test-shared', instance_id: 'b' });
+
+    await daemon.releasePort(second.lock_id);
+    await daemon.releasePort(first.lock_id);
+
+    expect(types()).toEqual([
+      'allocation:created',
+      'singleton:created',
+      'singleton:joined',
+      'singleton:left',
+      'singleton:left',
+      'singleton:released',
+      'allocation:released'
+    ]);
+    expect(events[3].data).toMatchObject({ lock_id: second.lock_id, remaining: 1 });
+  });
+
+  test('should publish range:low once when a range is nearly full', async () => {
+    for (let i = 0; i < 5; i++) {
+      await daemon.allocatePort({ service_type: 'test-events' });
+    }
+
+    const low = events.filter(event => event.type === 'range:low');
+    expect(low).toHaveLength(1);
+    expect(low[0].data).toEqual({ service_type: 'test-events', range: [13830, 13834], allocated: 4, free: 1 });
+  });
+
+  test('should publish observer binds and unbinds', async () => {
+    const binding = { port: 13833, pid: 4242, process: 'node', command: 'node server.js', protocol: 'tcp' };
+    jest.spyOn(daemon.portObserver, 'getSystemPortBindings')
+      .mockResolvedValueOnce([binding])
+      .mockResolvedValueOnce([binding])
+      .mockResolvedValueOnce([]);
+
+    await daemon.portObserver.scan();
+    await daemon.portObserver.scan();
+    await daemon.portObserver.scan();
+
+    expect(types()).toEqual(['observer:bind', 'observer:unbind']);
+    expect(events[0].data).toMatchObject({ port: 13833, pid: 4242, protocol: 'tcp' });
+  });
+
+  test('should publish circuit breaker state changes', async () => {
+    const failing = () => Promise.reject(new Error('scan failed'));
+    for (let i = 0; i < 3; i++) {
+      await daemon.portScannerBreaker.execute(failing).catch(() => {});
+    }
+
+    expect(events.map(event => event.data)).toEqual([{ name: 'port-scanner', state: 'OPEN', previous_state: 'CLOSED' }]);
+  });
+
+  describe('GET /events', () => {
+    let client;
+
+    beforeEach(async () => {
+      await daemon.start();
+      client = new DaemonClient({ configDir, socketPath: daemon.socketPath, maxRetries: 1 });
+    });
+
+    afterEach(() => {
+      client.destroy();
+    });
+
+    const collect = async (response, count) => {
+      const received = [];
+      for await (const event of readEvents(response.body)) {
+        received.push(event);
+        if (received.length === count) {
+          break;
+        }
+      }
+      return received;
+    };
+
+    test('should replay buffered events after Last-Event-ID, filtered by type', async () => {
+      await daemon.allocatePort({ service_type: 'test-events' });
+      const shared = await daemon.allocatePort({ service_type: 'test-shared' });
+      const skipped = events[0].id;
+
+      const response = await client.makeRequest('/events?types=singleton,allocation:created&follow=false', {
+        headers: { 'Last-Event-ID': String(skipped) }
+      });
+      const received = await collect(response);
+
+      expect(response.headers.get('content-type')).toBe('text/event-stream');
+      expect(received.map(event => event.type)).toEqual(['allocation:created', 'singleton:created']);
+      expect(received[0].data.lock_id).toBe(shared.lock_id);
+    });
+
+    test('should stream live events to followers', async () => {
+      const response = await client.makeRequest('/events?types=allocation');
+
+      const pending = collect(response, 1);
+      await daemon.allocatePort({ service_type: 'test-events' });
+      const [event] = await pending;
+
+      expect(event).toMatchObject({ type: 'allocation:created', data: { port: 13830 } });
+      expect(daemon.eventStreams.size).toBe(1);
+    });
+
+    test('should reject unknown event types', async () => {
+      const response = await client.makeRequest('/events?types=allocation:moved');
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toContain('Unknown event type');
+    });
+  });
+
+  describe('EventBuffer', () => {
+    test('should keep only the most recent events', () => {
+      const buffer = new EventBuffer({ size: 2 });
+      buffer.record('allocation:created');
+      buffer.record('allocation:released');
+      buffer.record('allocation:created');
+
+      expect(buffer.since(0).map(event => event.id)).toEqual([2, 3]);
+    });
+
+    test('should replay everything for an ID from before a restart', () => {
+      const buffer = new EventBuffer();
+      buffer.record('allocation:created');
+
+      expect(buffer.since(900)).toHaveLength(1);
+      expect(buffer.since(1)).toHaveLength(0);
+    });
+  });
+});
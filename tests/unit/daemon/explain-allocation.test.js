@@ -0,0 +1,135 @@
+/**
+ * Unit tests for explainable dry-run allocation
+ */
+
+const net = require('net');
+const StyxyDaemon = require('../../../src/daemon');
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+
+describe('Explain Allocation', () => {
+  let daemon;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ prefix: 'styxy-explain-test-', unsafeCleanup: true });
+
+    const testConfig = {
+      service_types: {
+        'test-web': {
+          description: 'Test web service',
+          preferred_ports: [13000],
+          port_range: [13000, 13009],
+          instance_behavior: 'multi'
+        },
+        'test-singleton': {
+          description: 'Test singleton service',
+          preferred_ports: [13010],
+          port_range: [13010, 13019],
+          instance_behavior: 'single'
+        }
+      }
+    };
+
+    fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+    daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19882 });
+  });
+
+  afterEach(async () => {
+    if (daemon) {
+      await daemon.stop();
+    }
+    if (tmpDir) {
+      tmpDir.removeCallback();
+    }
+  });
+
+  it('should report the port that would be allocated without allocating it', async () => {
+    const result = await daemon.explainAllocation({ service_type: 'test-web', service_name: 'web' });
+
+    expect(result.explain).toBe(true);
+    expect(result.port).toBe(13000);
+    expect(result.candidates).toEqual([
+      expect.objectContaining({ port: 13000, verdict: 'available', source: 'service_preferred', in_range: true })
+    ]);
+    expect(daemon.allocations.size).toBe(0);
+    expect(daemon.allocationInProgress.size).toBe(0);
+  });
+
+  it('should explain ports that are already allocated', async () => {
+    const existing = await daemon.allocatePort({ service_type: 'test-web', service_name: 'first' });
+
+    const result = await daemon.explainAllocation({ service_type: 'test-web', preferred_port: 13000 });
+
+    expect(result.candidates[0]).toMatchObject({
+      port: 13000,
+      source: 'requested',
+      verdict: 'allocated',
+      allocated_to: { service_name: 'first', lock_id: existing.lock_id }
+    });
+    expect(result.port).toBe(13001);
+  });
+
+  it('should explain ports reserved by an allocation in progress', async () => {
+    daemon.allocationInProgress.add(13000);
+
+    const result = await daemon.explainAllocation({ service_type: 'test-web' });
+
+    expect(result.candidates[0]).toMatchObject({ port: 13000, verdict: 'in_progress' });
+    expect(result.port).toBe(13001);
+    daemon.allocationInProgress.delete(13000);
+  });
+
+  it('should explain ports bound by another process', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(13000, '127.0.0.1', resolve));
+
+    try {
+      const result = await daemon.explainAllocation({ service_type: 'test-web' });
+
+      expect(result.candidates[0]).toMatchObject({ port: 13000, verdict: 'bound' });
+      expect(result.port).toBe(13001);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should report a remembered port that left the range', async () => {
+    daemon.portAffinity.record('/test/project', 'test-web', 'web', 4999);
+
+    const result = await daemon.explainAllocation({
+      service_type: 'test-web',
+      service_name: 'web',
+      project_path: '/test/project'
+    });
+
+    expect(result.candidates[0]).toEqual({ port: 4999, source: 'affinity', verdict: 'outside_range' });
+  });
+
+  it('should report singleton reuse', async () => {
+    const singleton = await daemon.allocatePort({ service_type: 'test-singleton', instance_id: 'instance-1' });
+
+    const result = await daemon.explainAllocation({ service_type: 'test-singleton' });
+
+    expect(result.port).toBe(singleton.port);
+    expect(result.singleton).toMatchObject({ lock_id: singleton.lock_id, instance_id: 'instance-1' });
+  });
+
+  it('should not auto-allocate unknown service types', async () => {
+    const result = await daemon.explainAllocation({ service_type: 'brand-new-type' });
+
+    expect(result.port).toBeNull();
+    expect(result.message).toContain('unknown');
+    expect(daemon.serviceTypes['brand-new-type']).toBeUndefined();
+  });
+
+  it('should make dry_run agree with the real allocation', async () => {
+    daemon.allocationInProgress.add(13000);
+
+    const dryRun = await daemon.allocatePort({ service_type: 'test-web', dry_run: true });
+    daemon.allocationInProgress.delete(13000);
+
+    expect(dryRun.port).toBe(13001);
+  });
+});
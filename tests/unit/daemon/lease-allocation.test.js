@@ -0,0 +1,145 @@
+/**
+ * Unit tests for lease-based allocations (TTL and renewal)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Lease-Based Allocations', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-lease': {
+          description: 'Service type with lease limits',
+          preferred_ports: [12600],
+          port_range: [12600, 12609],
+          default_ttl: 600,
+          max_ttl: 3600
+        },
+        'test-forever': {
+          description: 'Service type whose leases never expire',
+          preferred_ports: [12610],
+          port_range: [12610, 12619],
+          default_ttl: 0
+        },
+        'test-short': {
+          description: 'Service type whose maximum is below the default lease',
+          preferred_ports: [12620],
+          port_range: [12620, 12629],
+          max_ttl: 300
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  describe('Allocation TTL', () => {
+    test('should apply service type default_ttl', async () => {
+      const before = Date.now();
+      const result = await daemon.allocatePort({ service_type: 'test-lease' });
+
+      expect(result.ttl).toBe(600);
+      const expiresAt = new Date(result.expires_at).getTime();
+      expect(expiresAt).toBeGreaterThanOrEqual(before + 600 * 1000);
+      expect(expiresAt).toBeLessThanOrEqual(Date.now() + 600 * 1000);
+    });
+
+    test('should fall back to 30 minute lease for service types without default', async () => {
+      const result = await daemon.allocatePort({ service_type: 'dev' });
+      expect(result.ttl).toBe(1800);
+    });
+
+    test('should cap the fallback lease at the service type max_ttl', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-short' });
+      expect(result.ttl).toBe(300);
+    });
+
+    test('should accept explicit ttl', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease', ttl: 120 });
+      expect(result.ttl).toBe(120);
+    });
+
+    test('should reject ttl above max_ttl', async () => {
+      await expect(daemon.allocatePort({ service_type: 'test-lease', ttl: 7200 }))
+        .rejects.toThrow('ttl must be between 1 and 3600 seconds');
+    });
+
+    test('should never expire when default_ttl is 0', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-forever' });
+      expect(result.expires_at).toBeNull();
+
+      const allocation = daemon.allocations.get(result.port);
+      allocation.allocated_at = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+      expect(await daemon.getStaleReason(allocation)).toBeNull();
+    });
+  });
+
+  describe('renewLease()', () => {
+    test('should extend the lease with the current ttl', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease', ttl: 60 });
+      const allocation = daemon.allocations.get(result.port);
+      allocation.expires_at = new Date(Date.now() + 1000).toISOString();
+
+      const renewed = await daemon.renewLease(result.lock_id);
+
+      expect(renewed.success).toBe(true);
+      expect(renewed.ttl).toBe(60);
+      expect(new Date(renewed.expires_at).getTime()).toBeGreaterThan(Date.now() + 55 * 1000);
+    });
+
+    test('should accept a new ttl within max_ttl', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease' });
+      const renewed = await daemon.renewLease(result.lock_id, 3600);
+      expect(renewed.ttl).toBe(3600);
+      expect(daemon.allocations.get(result.port).ttl).toBe(3600);
+    });
+
+    test('should reject renewal beyond max_ttl', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease' });
+      await expect(daemon.renewLease(result.lock_id, 7200)).rejects.toThrow('ttl must be between');
+    });
+
+    test('should fail for unknown lock ID', async () => {
+      await expect(daemon.renewLease('12345678-1234-4567-8901-123456789012'))
+        .rejects.toThrow('not found');
+    });
+  });
+
+  describe('Lease expiry', () => {
+    test('should reclaim expired leases and audit them with their own reason', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease' });
+      daemon.allocations.get(result.port).allocated_at = new Date(Date.now() - 601 * 1000).toISOString();
+
+      await daemon.cleanupStaleAllocations();
+
+      expect(daemon.allocations.has(result.port)).toBe(false);
+      const audits = daemon.auditLogger.getAuditsByAction('LEASE_EXPIRED');
+      expect(audits).toHaveLength(1);
+      expect(audits[0].reason).toBe('lease_expired');
+      expect(audits[0].lockId).toBe(result.lock_id);
+    });
+
+    test('should keep renewed leases during cleanup', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-lease' });
+      daemon.allocations.get(result.port).allocated_at = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+      await daemon.renewLease(result.lock_id);
+      const cleanup = await daemon.performCleanup(false);
+
+      expect(cleanup.cleaned).toBe(0);
+      expect(daemon.allocations.has(result.port)).toBe(true);
+    });
+  });
+});
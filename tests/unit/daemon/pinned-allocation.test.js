@@ -0,0 +1,120 @@
+/**
+ * Unit tests for pinned allocations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Pinned Allocations', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-pin': {
+          description: 'Service type for pinning tests',
+          preferred_ports: [13400],
+          port_range: [13400, 13409],
+          default_ttl: 60
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const expireLease = (port) => {
+    daemon.allocations.get(port).allocated_at = new Date(Date.now() - 120 * 1000).toISOString();
+  };
+
+  test('should pin at allocation time', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+
+    expect(result.pinned).toBe(true);
+    expect(daemon.allocations.get(result.port).pinned).toBe(true);
+  });
+
+  test('should reject a non-boolean pinned flag', async () => {
+    await expect(daemon.allocatePort({ service_type: 'test-pin', pinned: 'yes' }))
+      .rejects.toThrow('pinned must be a boolean');
+  });
+
+  test('should pin and unpin an existing allocation', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin' });
+    expect(daemon.allocations.get(result.port).pinned).toBe(false);
+
+    const pinned = await daemon.setPinned(result.lock_id, true);
+    expect(pinned.pinned).toBe(true);
+    expect(daemon.allocations.get(result.port).pinned).toBe(true);
+
+    await daemon.setPinned(result.lock_id, false);
+    expect(daemon.allocations.get(result.port).pinned).toBe(false);
+  });
+
+  test('should fail to pin an unknown lock ID', async () => {
+    await expect(daemon.setPinned('12345678-1234-4567-8901-123456789012', true))
+      .rejects.toThrow('not found');
+  });
+
+  test('should survive stale cleanup after its lease runs out', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+    expireLease(result.port);
+
+    await daemon.cleanupStaleAllocations();
+
+    expect(daemon.allocations.has(result.port)).toBe(true);
+  });
+
+  test('should survive cleanup --force unless pinned allocations are included', async () => {
+    const pinned = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+    const unpinned = await daemon.allocatePort({ service_type: 'test-pin' });
+
+    const first = await daemon.performCleanup(true);
+    expect(first.cleaned).toBe(1);
+    expect(first.skipped_pinned).toBe(1);
+    expect(daemon.allocations.has(pinned.port)).toBe(true);
+    expect(daemon.allocations.has(unpinned.port)).toBe(false);
+
+    const second = await daemon.performCleanup(true, true);
+    expect(second.cleaned).toBe(1);
+    expect(daemon.allocations.has(pinned.port)).toBe(false);
+  });
+
+  test('should survive its owner process exiting', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+
+    await daemon.handleOwnerExit(result.lock_id, 999999);
+
+    expect(daemon.allocations.has(result.port)).toBe(true);
+  });
+
+  test('should survive repeated health check failures', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+    const allocation = daemon.allocations.get(result.port);
+    daemon.healthMonitor.config = { ...daemon.healthMonitor.config, max_failures: 1, cleanup_stale_allocations: true };
+
+    const cleaned = await daemon.healthMonitor.handleUnhealthyAllocation(allocation);
+
+    expect(cleaned).toBe(false);
+    expect(daemon.allocations.has(result.port)).toBe(true);
+  });
+
+  test('should be reclaimed by stale cleanup once unpinned', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-pin', pinned: true });
+    expireLease(result.port);
+
+    await daemon.setPinned(result.lock_id, false);
+    await daemon.cleanupStaleAllocations();
+
+    expect(daemon.allocations.has(result.port)).toBe(false);
+  });
+});
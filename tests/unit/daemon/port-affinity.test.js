@@ -0,0 +1,171 @@
+/**
+ * Unit tests for sticky port affinity per (project_path, service_type, service_name)
+ */
+
+const StyxyDaemon = require('../../../src/daemon');
+const PortAffinity = require('../../../src/utils/port-affinity');
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+describe('Port Affinity', () => {
+  describe('PortAffinity', () => {
+    it('should remember the last port per tuple', () => {
+      const affinity = new PortAffinity();
+      affinity.record('/proj', 'dev', 'web', 3005);
+      affinity.record('/proj', 'dev', 'web', 3007);
+      affinity.record('/other', 'dev', 'web', 3001);
+
+      expect(affinity.get('/proj', 'dev', 'web')).toBe(3007);
+      expect(affinity.get('/other', 'dev', 'web')).toBe(3001);
+      expect(affinity.get('/proj', 'dev', 'admin')).toBeNull();
+    });
+
+    it('should evict the least recently allocated entry when full', () => {
+      const affinity = new PortAffinity({ maxEntries: 2 });
+      affinity.record('/proj', 'dev', 'a', 3001);
+      affinity.record('/proj', 'dev', 'b', 3002);
+      affinity.record('/proj', 'dev', 'a', 3001);
+      affinity.record('/proj', 'dev', 'c', 3003);
+
+      expect(affinity.get('/proj', 'dev', 'a')).toBe(3001);
+      expect(affinity.get('/proj', 'dev', 'b')).toBeNull();
+      expect(affinity.get('/proj', 'dev', 'c')).toBe(3003);
+    });
+
+    it('should clear only matching entries', () => {
+      const affinity = new PortAffinity();
+      affinity.record('/proj', 'dev', 'web', 3001);
+      affinity.record('/proj', 'api', 'backend', 8001);
+      affinity.record('/other', 'dev', 'web', 3002);
+
+      expect(affinity.clear({ project_path: '/proj' })).toBe(2);
+      expect(affinity.list()).toHaveLength(1);
+    });
+
+    it('should treat differently spelled paths to one project as the same project', () => {
+      const affinity = new PortAffinity();
+      affinity.record('/proj/', 'dev', 'web', 3001);
+
+      expect(affinity.get('/proj', 'dev', 'web')).toBe(3001);
+      expect(affinity.list({ project_path: '/proj/./' })).toHaveLength(1);
+      expect(affinity.list({ project_path: path.relative(process.cwd(), '/proj') })).toHaveLength(1);
+    });
+  });
+
+  describe('Daemon integration', () => {
+    let daemon;
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = tmp.dirSync({ prefix: 'styxy-affinity-test-', unsafeCleanup: true });
+
+      const testConfig = {
+        service_types: {
+          'test-web': {
+            description: 'Test web service',
+            preferred_ports: [12800],
+            port_range: [12800, 12809],
+            instance_behavior: 'multi'
+          }
+        }
+      };
+
+      fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+      daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19879 });
+    });
+
+    afterEach(async () => {
+      if (daemon) {
+        await daemon.stop();
+      }
+      if (tmpDir) {
+        tmpDir.removeCallback();
+      }
+    });
+
+    async function allocate(serviceName, projectPath = '/test/project') {
+      return daemon.allocatePort({
+        service_type: 'test-web',
+        service_name: serviceName,
+        project_path: projectPath
+      });
+    }
+
+    it('should hand a restarted service its previous port', async () => {
+      await allocate('first');
+      const second = await allocate('second');
+      expect(second.port).toBe(12801);
+
+      await daemon.releasePort(second.lock_id);
+      const first = Array.from(daemon.allocations.values())[0];
+      await daemon.releasePort(first.lockId);
+
+      // The range would now start from 12800, but "second" sticks to 12801
+      const restarted = await allocate('second');
+      expect(restarted.port).toBe(12801);
+    });
+
+    it('should fall back to normal allocation when the remembered port is taken', async () => {
+      const web = await allocate('web');
+      await daemon.releasePort(web.lock_id);
+
+      await allocate('intruder', '/other/project');
+      const restarted = await allocate('web');
+
+      expect(restarted.port).not.toBe(web.port);
+    });
+
+    it('should keep affinity separate per project', async () => {
+      const a = await allocate('web', '/project-a');
+      await daemon.releasePort(a.lock_id);
+
+      await allocate('filler', '/project-b');
+      const b = await allocate('web', '/project-b');
+      await daemon.releasePort(b.lock_id);
+
+      expect(daemon.portAffinity.get('/project-a', 'test-web', 'web')).toBe(a.port);
+      expect(daemon.portAffinity.get('/project-b', 'test-web', 'web')).toBe(b.port);
+    });
+
+    it('should not record affinity for unnamed services', async () => {
+      await daemon.allocatePort({ service_type: 'test-web', project_path: '/test/project' });
+      expect(daemon.portAffinity.list()).toHaveLength(0);
+    });
+
+    it('should not use affinity when no project path is given', async () => {
+      const web = await daemon.allocatePort({ service_type: 'test-web', service_name: 'web' });
+      expect(daemon.portAffinity.list()).toHaveLength(0);
+
+      daemon.portAffinity.record(process.cwd(), 'test-web', 'web', 12805);
+      await daemon.releasePort(web.lock_id);
+      const restarted = await daemon.allocatePort({ service_type: 'test-web', service_name: 'web' });
+
+      expect(restarted.port).toBe(12800);
+    });
+
+    it('should normalize the project_path filter of GET /affinity', async () => {
+      await allocate('web', '/test/project');
+
+      const response = await request(daemon.app)
+        .get('/affinity')
+        .query({ project_path: '/test/project/' })
+        .set('X-API-Key', daemon.auth.apiKey);
+
+      expect(response.body.affinity).toEqual([expect.objectContaining({ project_path: '/test/project', service_name: 'web' })]);
+    });
+
+    it('should persist affinity across restarts', async () => {
+      await allocate('filler');
+      const web = await allocate('web');
+      await daemon.saveState();
+
+      const daemon2 = new StyxyDaemon({ configDir: tmpDir.name, port: 19880 });
+      await daemon2.loadState();
+
+      expect(daemon2.portAffinity.get('/test/project', 'test-web', 'web')).toBe(web.port);
+      await daemon2.stop();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for contiguous port block allocation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Port Blocks', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-block': {
+          description: 'Service type that needs adjacent ports',
+          preferred_ports: [13760],
+          port_range: [13760, 13769]
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const allocateBlock = (count, extra = {}) => daemon.allocatePort({
+    service_type: 'test-block',
+    count,
+    ...extra
+  });
+
+  test('should reserve adjacent ports under one lock ID', async () => {
+    const result = await allocateBlock(3);
+
+    expect(result.port).toBe(13760);
+    expect(result.count).toBe(3);
+    expect(result.ports).toEqual([13760, 13761, 13762]);
+    expect(daemon.allocations.size).toBe(1);
+    expect(daemon.getAllocationAt(13762).lockId).toBe(result.lock_id);
+  });
+
+  test('should treat every port in a block as taken', async () => {
+    await allocateBlock(3);
+
+    const next = await daemon.allocatePort({ service_type: 'test-block' });
+
+    expect(next.port).toBe(13763);
+    expect(await daemon.isPortAvailable(13761)).toBe(false);
+  });
+
+  test('should skip a base port whose block overlaps an allocation', async () => {
+    await daemon.allocatePort({ service_type: 'test-block', preferred_port: 13761 });
+
+    const result = await allocateBlock(2);
+
+    expect(result.ports).toEqual([13762, 13763]);
+    expect(daemon.allocationInProgress.size).toBe(0);
+  });
+
+  test('should not start a block that would run past the range', async () => {
+    await allocateBlock(8);
+
+    await expect(allocateBlock(3)).rejects.toThrow();
+  });
+
+  test('should free the whole block on release', async () => {
+    const result = await allocateBlock(3);
+
+    const released = await daemon.releasePort(result.lock_id);
+
+    expect(released.ports).toEqual([13760, 13761, 13762]);
+    expect(daemon.getAllocationAt(13761)).toBeUndefined();
+    expect(daemon.blockPorts.size).toBe(0);
+  });
+
+  test('should report every port of a block in bulk release and reap history', async () => {
+    await allocateBlock(2, { group: 'session-a' });
+    const reaped = await allocateBlock(2);
+
+    const bulk = await daemon.releaseAllocations({ group: 'session-a' });
+    expect(bulk.ports).toEqual([13760, 13761]);
+
+    await daemon.performCleanup(true);
+    expect(daemon.reaper.getHistory()[0].ports).toEqual(reaped.ports);
+  });
+
+  test('should report the taken port of a strict block request', async () => {
+    await daemon.allocatePort({ service_type: 'test-block', preferred_port: 13762 });
+
+    await expect(allocateBlock(3, { preferred_port: 13760, strict: true }))
+      .rejects.toMatchObject({ category: 'CONFLICT', context: expect.objectContaining({ port: 13762 }) });
+  });
+
+  test('should check the whole block in a dry run', async () => {
+    await daemon.allocatePort({ service_type: 'test-block', preferred_port: 13761 });
+
+    const result = await allocateBlock(2, { dry_run: true });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.ports).toEqual([13762, 13763]);
+  });
+
+  test('should restore the block index after a restart', async () => {
+    const result = await allocateBlock(3);
+    await daemon.saveState();
+
+    await daemon.loadState();
+
+    expect(daemon.getAllocationAt(13762).lockId).toBe(result.lock_id);
+  });
+
+  test('should reject invalid counts', async () => {
+    await expect(allocateBlock(0)).rejects.toThrow('positive integer');
+    await expect(allocateBlock(1.5)).rejects.toThrow('positive integer');
+    await expect(allocateBlock(100)).rejects.toThrow('32 or less');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for port cooldown after release
+ */
+
+const StyxyDaemon = require('../../../src/daemon');
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+
+describe('Port Cooldown', () => {
+  let daemon;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ prefix: 'styxy-cooldown-test-', unsafeCleanup: true });
+
+    const testConfig = {
+      service_types: {
+        'test-cool': {
+          description: 'Test service with a cooldown',
+          preferred_ports: [13200],
+          port_range: [13200, 13202],
+          cooldown_seconds: 60
+        },
+        'test-warm': {
+          description: 'Test service without a cooldown',
+          preferred_ports: [13210],
+          port_range: [13210, 13212]
+        }
+      }
+    };
+
+    fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+    daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19884 });
+  });
+
+  afterEach(async () => {
+    if (daemon) {
+      await daemon.stop();
+    }
+    if (tmpDir) {
+      tmpDir.removeCallback();
+    }
+  });
+
+  it('should not hand a just-released port to the next request', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.releasePort(first.lock_id);
+
+    const second = await daemon.allocatePort({ service_type: 'test-cool' });
+
+    expect(first.port).toBe(13200);
+    expect(second.port).toBe(13201);
+    expect(daemon.isCoolingDown(13200)).toBe(true);
+  });
+
+  it('should hand out a cooling port when nothing else in the range is free', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.releasePort(first.lock_id);
+
+    const next = await daemon.allocatePort({ service_type: 'test-cool' });
+
+    expect(next.port).toBe(first.port);
+  });
+
+  it('should reuse released ports at once without a configured cooldown', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-warm' });
+    await daemon.releasePort(first.lock_id);
+
+    const second = await daemon.allocatePort({ service_type: 'test-warm' });
+
+    expect(second.port).toBe(first.port);
+    expect(daemon.getActiveCooldowns()).toHaveLength(0);
+  });
+
+  it('should exempt an explicitly requested port', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.releasePort(first.lock_id);
+
+    const second = await daemon.allocatePort({ service_type: 'test-cool', preferred_port: first.port });
+
+    expect(second.port).toBe(first.port);
+  });
+
+  it('should let a restarted service keep its own port', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool', service_name: 'web', project_path: '/test/project' });
+    await daemon.releasePort(first.lock_id);
+
+    const restarted = await daemon.allocatePort({ service_type: 'test-cool', service_name: 'web', project_path: '/test/project' });
+
+    expect(restarted.port).toBe(first.port);
+  });
+
+  it('should expire cooldowns', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.releasePort(first.lock_id);
+
+    daemon.portCooldowns.get(first.port).cooldown_until = new Date(Date.now() - 1000).toISOString();
+
+    expect(daemon.isCoolingDown(first.port)).toBe(false);
+    expect(daemon.getActiveCooldowns()).toHaveLength(0);
+  });
+
+  it('should persist cooldowns in daemon state', async () => {
+    const first = await daemon.allocatePort({ service_type: 'test-cool' });
+    await daemon.releasePort(first.lock_id);
+
+    const daemon2 = new StyxyDaemon({ configDir: tmpDir.name, port: 19885 });
+    await daemon2.loadState();
+
+    expect(daemon2.isCoolingDown(first.port)).toBe(true);
+    expect(daemon2.getActiveCooldowns()[0]).toMatchObject({ port: first.port, service_type: 'test-cool' });
+    await daemon2.stop();
+  });
+
+  it('should reject invalid cooldown_seconds', () => {
+    const serviceTypes = {
+      broken: { port_range: [13300, 13301], cooldown_seconds: -5 }
+    };
+
+    expect(() => daemon.transformCoreConfig(serviceTypes, { strict: true }))
+      .toThrow("Service type 'broken': cooldown_seconds must be a non-negative integer");
+    expect(daemon.transformCoreConfig(serviceTypes)).toEqual({});
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for protocol-aware (TCP/UDP) allocations
+ */
+
+const fs = require('fs');
+const net = require('net');
+const dgram = require('dgram');
+const path = require('path');
+const Validator = require('../../../src/utils/validator');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Protocol Allocation', () => {
+  let testHelper;
+  let daemon;
+  let sockets;
+
+  beforeEach(async () => {
+    sockets = [];
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-tcp': {
+          description: 'Service type with the default protocol',
+          preferred_ports: [13780],
+          port_range: [13780, 13784]
+        },
+        'test-udp': {
+          description: 'Service type that binds UDP',
+          preferred_ports: [13785],
+          port_range: [13785, 13789],
+          protocol: 'udp'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets) {
+      await new Promise(resolve => socket.close(() => resolve()));
+    }
+    await testHelper.cleanup();
+  });
+
+  const bindUdp = (port) => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', reject);
+    socket.bind(port, '127.0.0.1', () => {
+      sockets.push(socket);
+      resolve(socket);
+    });
+  });
+
+  const listenTcp = (port) => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      sockets.push(server);
+      resolve(server);
+    });
+  });
+
+  test('should default to the service type protocol', async () => {
+    const tcp = await daemon.allocatePort({ service_type: 'test-tcp' });
+    const udp = await daemon.allocatePort({ service_type: 'test-udp' });
+
+    expect(tcp.protocol).toBe('tcp');
+    expect(udp.protocol).toBe('udp');
+    expect(daemon.allocations.get(udp.port).protocol).toBe('udp');
+  });
+
+  test('should check availability with the matching socket type', async () => {
+    await bindUdp(13780);
+
+    expect(await daemon.checkPortActuallyAvailable(13780, 'tcp')).toBe(true);
+    expect(await daemon.checkPortActuallyAvailable(13780, 'udp')).toBe(false);
+    expect(await daemon.checkPortActuallyAvailable(13780, 'both')).toBe(false);
+  });
+
+  test('should skip ports whose UDP socket is taken', async () => {
+    await bindUdp(13785);
+
+    const result = await daemon.allocatePort({ service_type: 'test-udp' });
+
+    expect(result.port).toBe(13786);
+  });
+
+  test('should let a UDP allocation take a port only bound over TCP', async () => {
+    await listenTcp(13785);
+
+    const result = await daemon.allocatePort({ service_type: 'test-udp' });
+
+    expect(result.port).toBe(13785);
+  });
+
+  test('should require both socket types to be free for protocol both', async () => {
+    await bindUdp(13780);
+
+    const result = await daemon.allocatePort({ service_type: 'test-tcp', protocol: 'both' });
+
+    expect(result.port).toBe(13781);
+    expect(result.protocol).toBe('both');
+  });
+
+  test('should reject unknown protocols', async () => {
+    await expect(daemon.allocatePort({ service_type: 'test-tcp', protocol: 'sctp' }))
+      .rejects.toThrow('protocol must be');
+    expect(() => Validator.validateServiceTypeConfig({
+      description: 'QUIC dev server',
+      preferred_ports: [13790],
+      port_range: [13790, 13799],
+      protocol: 'quic'
+    })).toThrow('protocol must be');
+  });
+
+  test('should restore the protocol after a restart', async () => {
+    const result = await daemon.allocatePort({ service_type: 'test-udp' });
+    await daemon.saveState();
+
+    await daemon.loadState();
+
+    expect(daemon.allocations.get(result.port).protocol).toBe('udp');
+  });
+});
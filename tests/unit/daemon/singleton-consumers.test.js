@@ -0,0 +1,151 @@
+/**
+ * Unit tests for reference-counted singleton services
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+const DEAD_PID = 999999;
+
+describe('Singleton Consumers', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-shared': {
+          description: 'Singleton shared between instances',
+          preferred_ports: [13600],
+          port_range: [13600, 13609],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const join = (instanceId, extra = {}) => daemon.allocatePort({
+    service_type: 'test-shared',
+    instance_id: instanceId,
+    ...extra
+  });
+
+  test('should register the allocating client as the first consumer', async () => {
+    const owner = await join('instance-1');
+
+    const singleton = daemon.getSingleton('test-shared');
+    expect(singleton.consumers).toHaveLength(1);
+    expect(singleton.consumers[0]).toMatchObject({ lock_id: owner.lock_id, instance_id: 'instance-1' });
+  });
+
+  test('should give each later caller its own lock ID', async () => {
+    const owner = await join('instance-1');
+    const second = await join('instance-2');
+    const third = await join('instance-3');
+
+    expect(second.existing).toBe(true);
+    expect(second.port).toBe(owner.port);
+    expect(second.lock_id).not.toBe(owner.lock_id);
+    expect(third.lock_id).not.toBe(second.lock_id);
+    expect(third.consumers).toBe(3);
+    expect(daemon.allocations.size).toBe(1);
+  });
+
+  test('should keep the port until the last consumer releases', async () => {
+    const owner = await join('instance-1');
+    const second = await join('instance-2');
+
+    const first = await daemon.releasePort(owner.lock_id);
+    expect(first.consumers_remaining).toBe(1);
+    expect(daemon.allocations.has(owner.port)).toBe(true);
+    expect(daemon.getSingleton('test-shared')).toBeDefined();
+
+    await daemon.releasePort(second.lock_id);
+    expect(daemon.allocations.has(owner.port)).toBe(false);
+    expect(daemon.getSingleton('test-shared')).toBeUndefined();
+  });
+
+  test('should not accept a lock ID twice', async () => {
+    const owner = await join('instance-1');
+    await join('instance-2');
+
+    await daemon.releasePort(owner.lock_id);
+
+    await expect(daemon.releasePort(owner.lock_id)).rejects.toThrow('not found');
+    expect(daemon.allocations.has(owner.port)).toBe(true);
+  });
+
+  test('should drop a consumer whose process died and keep the service for the others', async () => {
+    const owner = await join('instance-1');
+    const second = await join('instance-2', { pid: DEAD_PID });
+
+    await daemon.handleOwnerExit(second.lock_id, DEAD_PID);
+
+    const singleton = daemon.getSingleton('test-shared');
+    expect(singleton.consumers.map(c => c.lock_id)).toEqual([owner.lock_id]);
+    expect(daemon.allocations.has(owner.port)).toBe(true);
+  });
+
+  test('should reap the allocation when the last consumer dies', async () => {
+    const owner = await join('instance-1', { pid: DEAD_PID });
+
+    await daemon.handleOwnerExit(owner.lock_id, DEAD_PID);
+
+    expect(daemon.allocations.has(owner.port)).toBe(false);
+    expect(daemon.reaper.getHistory()[0]).toMatchObject({ port: owner.port, reason: 'owner_dead' });
+  });
+
+  test('should not treat the service as stale while any consumer is alive', async () => {
+    const owner = await join('instance-1', { pid: DEAD_PID });
+    await join('instance-2', { pid: process.pid });
+
+    const allocation = daemon.allocations.get(owner.port);
+    expect(await daemon.getStaleReason(allocation)).toBeNull();
+  });
+
+  test('should renew the shared lease with a consumer lock ID', async () => {
+    await join('instance-1');
+    const second = await join('instance-2');
+
+    const renewed = await daemon.renewLease(second.lock_id);
+
+    expect(renewed.success).toBe(true);
+    expect(renewed.port).toBe(second.port);
+  });
+
+  test('should leave a singleton joined by a batch group when the group is released', async () => {
+    const owner = await join('instance-1');
+    const batch = await daemon.allocateBatch({
+      instance_id: 'instance-2',
+      services: [{ service_type: 'test-shared', service_name: 'shared' }]
+    });
+
+    await daemon.releaseGroup(batch.group_id);
+
+    const singleton = daemon.getSingleton('test-shared');
+    expect(singleton.consumers.map(c => c.lock_id)).toEqual([owner.lock_id]);
+  });
+
+  test('should restore consumers after a restart', async () => {
+    await join('instance-1');
+    const second = await join('instance-2');
+    await daemon.saveState();
+
+    daemon.singletonServices.clear();
+    await daemon.loadState();
+
+    const shared = daemon.findSingletonConsumer(second.lock_id);
+    expect(shared).not.toBeNull();
+    expect(shared.singleton.consumers).toHaveLength(2);
+  });
+});
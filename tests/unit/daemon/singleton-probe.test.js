@@ -0,0 +1,149 @@
+/**
+ * Unit tests for singleton liveness probes
+ */
+
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const Validator = require('../../../src/utils/validator');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Singleton Liveness Probes', () => {
+  let testHelper;
+  let daemon;
+  let server;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-probed': {
+          description: 'Singleton checked with the default bind probe',
+          preferred_ports: [13700],
+          port_range: [13700, 13704],
+          instance_behavior: 'single'
+        },
+        'test-http': {
+          description: 'Singleton checked with an HTTP probe',
+          preferred_ports: [13705],
+          port_range: [13705, 13709],
+          instance_behavior: 'single',
+          singleton_probe: { type: 'http', path: '/health', timeout_ms: 500 }
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    await testHelper.cleanup();
+  });
+
+  const listen = (port, srv) => new Promise((resolve) => {
+    server = srv;
+    server.listen(port, () => resolve());
+  });
+
+  const endGracePeriod = (serviceType) => {
+    daemon.getSingleton(serviceType).allocatedAt = Date.now() - 60 * 1000;
+  };
+
+  test('should reuse a new singleton without probing it', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-1' });
+    const second = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-2' });
+
+    expect(second.existing).toBe(true);
+    expect(second.port).toBe(owner.port);
+    expect(second.singleton_status).toBe('reused');
+  });
+
+  test('should revalidate a singleton whose port is bound', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-1' });
+    await listen(owner.port, net.createServer());
+    endGracePeriod('test-probed');
+
+    const second = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-2' });
+
+    expect(second.existing).toBe(true);
+    expect(second.singleton_status).toBe('revalidated');
+    expect(daemon.getSingleton('test-probed').verifiedAt).toBeDefined();
+  });
+
+  test('should replace a singleton whose port is no longer bound', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-1' });
+    endGracePeriod('test-probed');
+
+    const second = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-2' });
+
+    expect(second.existing).toBeUndefined();
+    expect(second.singleton_status).toBe('replaced');
+    expect(second.replaced_port).toBe(owner.port);
+    expect(second.lock_id).not.toBe(owner.lock_id);
+    expect(daemon.getSingleton('test-probed').lockId).toBe(second.lock_id);
+    expect(daemon.reaper.getHistory()[0]).toMatchObject({
+      lock_id: owner.lock_id,
+      reason: 'probe_failed',
+      details: { probe: 'bind' }
+    });
+  });
+
+  test('should replace a singleton whose HTTP probe returns a server error', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-http', instance_id: 'instance-1' });
+    let status = 200;
+    await listen(owner.port, http.createServer((req, res) => {
+      res.statusCode = req.url === '/health' ? status : 404;
+      res.end();
+    }));
+    endGracePeriod('test-http');
+
+    const healthy = await daemon.allocatePort({ service_type: 'test-http', instance_id: 'instance-2' });
+    expect(healthy.singleton_status).toBe('revalidated');
+
+    status = 503;
+    endGracePeriod('test-http');
+    const replaced = await daemon.allocatePort({ service_type: 'test-http', instance_id: 'instance-3' });
+
+    expect(replaced.singleton_status).toBe('replaced');
+    expect(replaced.port).not.toBe(owner.port);
+  });
+
+  test('should keep reusing a pinned singleton that fails its probe', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-probed', pinned: true });
+    endGracePeriod('test-probed');
+
+    const second = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-2' });
+
+    expect(second.existing).toBe(true);
+    expect(second.port).toBe(owner.port);
+    expect(second.singleton_status).toBe('reused');
+  });
+
+  test('should replace a dead singleton in a batch request', async () => {
+    const owner = await daemon.allocatePort({ service_type: 'test-probed', instance_id: 'instance-1' });
+    endGracePeriod('test-probed');
+
+    const batch = await daemon.allocateBatch({
+      instance_id: 'instance-2',
+      services: [{ service_type: 'test-probed', service_name: 'shared' }]
+    });
+
+    expect(batch.allocations[0].existing).toBeUndefined();
+    expect(daemon.getSingleton('test-probed').lockId).toBe(batch.allocations[0].lock_id);
+    expect(daemon.reaper.getHistory()[0]).toMatchObject({ lock_id: owner.lock_id, reason: 'probe_failed' });
+  });
+
+  test('should reject invalid probe configuration', () => {
+    expect(() => Validator.validateSingletonProbe({ type: 'ping' })).toThrow('must be one of');
+    expect(() => Validator.validateSingletonProbe({ path: 'health' })).toThrow('absolute URL path');
+    expect(() => Validator.validateSingletonProbe({ startup_grace_seconds: -1 })).toThrow('non-negative integer');
+    expect(() => Validator.validateSingletonProbe({ retries: 3 })).toThrow('Unknown singleton_probe option');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for strict preferred-port allocation
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const request = require('supertest');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Strict Allocation', () => {
+  let testHelper;
+  let daemon;
+  let server;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-strict': {
+          description: 'Service type for strict allocation tests',
+          preferred_ports: [13750],
+          port_range: [13750, 13759]
+        },
+        'test-strict-single': {
+          description: 'Single-instance service type for strict allocation tests',
+          preferred_ports: [13760],
+          port_range: [13760, 13764],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    await testHelper.cleanup();
+  });
+
+  const allocateStrict = (port, extra = {}) => daemon.allocatePort({
+    service_type: 'test-strict',
+    preferred_port: port,
+    strict: true,
+    ...extra
+  });
+
+  test('should allocate the exact port when it is free', async () => {
+    const result = await allocateStrict(13753);
+
+    expect(result.port).toBe(13753);
+  });
+
+  test('should fail with the Styxy allocation holding the port', async () => {
+    const holder = await daemon.allocatePort({
+      service_type: 'test-strict',
+      service_name: 'oauth-app',
+      instance_id: 'agent-a',
+      preferred_port: 13753
+    });
+    daemon.allocations.get(13753).allocated_at = new Date(Date.now() - 300 * 1000).toISOString();
+
+    const error = await allocateStrict(13753).catch(e => e);
+
+    expect(error.category).toBe('CONFLICT');
+    expect(error.message).toContain(holder.lock_id);
+    expect(error.message).toContain('for 5m');
+    expect(error.context.holder).toMatchObject({
+      type: 'styxy',
+      lock_id: holder.lock_id,
+      service_name: 'oauth-app',
+      instance_id: 'agent-a'
+    });
+    expect(error.context.held_for_seconds).toBeGreaterThanOrEqual(300);
+    expect(error.suggestions.some(s => s.includes(`styxy release ${holder.lock_id}`))).toBe(true);
+    expect(daemon.allocations.size).toBe(1);
+  });
+
+  test('should fail with the OS process holding the port', async () => {
+    server = net.createServer();
+    await new Promise(resolve => server.listen(13754, resolve));
+    jest.spyOn(daemon.portScanner, 'getPortInfo').mockResolvedValue({
+      port: 13754,
+      process: { pid: process.pid, name: 'node' }
+    });
+
+    const error = await allocateStrict(13754).catch(e => e);
+
+    expect(error.category).toBe('CONFLICT');
+    expect(error.message).toContain(`PID ${process.pid}`);
+    expect(error.context.holder).toEqual({ type: 'process', pid: process.pid, name: 'node' });
+    expect(error.context.held_for_seconds).toEqual(expect.any(Number));
+  });
+
+  test('should fail with the running singleton when it is on another port', async () => {
+    const singleton = await daemon.allocatePort({
+      service_type: 'test-strict-single',
+      service_name: 'postgres',
+      instance_id: 'agent-a'
+    });
+
+    const response = await request(daemon.app)
+      .post('/allocate')
+      .set('X-API-Key', daemon.auth.apiKey)
+      .send({ service_type: 'test-strict-single', preferred_port: 13762, strict: true });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toContain(`already running on port ${singleton.port}`);
+    expect(response.body.context).toMatchObject({
+      category: 'CONFLICT',
+      port: 13762,
+      holder: {
+        type: 'singleton',
+        port: singleton.port,
+        lock_id: singleton.lock_id,
+        service_name: 'postgres',
+        instance_id: 'agent-a'
+      }
+    });
+  });
+
+  test('should fall through to another port without strict', async () => {
+    await daemon.allocatePort({ service_type: 'test-strict', preferred_port: 13753 });
+
+    const result = await daemon.allocatePort({ service_type: 'test-strict', preferred_port: 13753 });
+
+    expect(result.port).not.toBe(13753);
+  });
+
+  test('should report conflicts in dry run mode too', async () => {
+    await daemon.allocatePort({ service_type: 'test-strict', preferred_port: 13753 });
+
+    await expect(allocateStrict(13753, { dry_run: true })).rejects.toMatchObject({ category: 'CONFLICT' });
+  });
+
+  test('should require preferred_port and reject waiting', async () => {
+    await expect(daemon.allocatePort({ service_type: 'test-strict', strict: true }))
+      .rejects.toThrow('strict requires preferred_port');
+    await expect(allocateStrict(13753, { wait_timeout_ms: 1000 }))
+      .rejects.toThrow('strict cannot be combined with wait_timeout_ms');
+  });
+});
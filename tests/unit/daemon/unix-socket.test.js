@@ -0,0 +1,107 @@
+/**
+ * Unit tests for serving the daemon API on a Unix socket
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { DaemonClient } = require('../../../src/utils/daemon-client');
+const Validator = require('../../../src/utils/validator');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('Unix Socket Transport', () => {
+  let testHelper;
+  let configDir;
+  let client;
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = { port: process.env.STYXY_DAEMON_PORT, socket: process.env.STYXY_SOCKET };
+    delete process.env.STYXY_DAEMON_PORT;
+    delete process.env.STYXY_SOCKET;
+
+    testHelper = createTestHelper();
+    configDir = testHelper.createTestConfigDir();
+    client = new DaemonClient({ configDir, maxRetries: 1 });
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await testHelper.cleanup();
+
+    for (const [name, value] of [['STYXY_DAEMON_PORT', savedEnv.port], ['STYXY_SOCKET', savedEnv.socket]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  const writeTransport = (transport) => {
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ transport }));
+  };
+
+  test('should listen on a socket only the owner can open', async () => {
+    const daemon = await testHelper.createDaemon({ configDir, port: 13810 });
+    await daemon.start();
+
+    const stats = fs.statSync(daemon.socketPath);
+
+    expect(stats.isSocket()).toBe(true);
+    expect(stats.mode & 0o777).toBe(0o600);
+    expect(daemon.server).not.toBeNull();
+  });
+
+  test('should serve authenticated requests through the client over the socket', async () => {
+    writeTransport({ tcp: false });
+    const daemon = await testHelper.createDaemon({ configDir, port: 13811 });
+    await daemon.start();
+
+    const response = await client.makeRequest('/allocations');
+    const status = await (await client.makeRequest('/status')).json();
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toHaveProperty('allocations');
+    expect(status.transports).toEqual({ tcp: null, unix_socket: daemon.socketPath });
+  });
+
+  test('should skip TCP when it is disabled', async () => {
+    writeTransport({ tcp: false });
+    const daemon = await testHelper.createDaemon({ configDir, port: 13812 });
+    await daemon.start();
+
+    expect(daemon.server).toBeNull();
+    expect(await daemon.checkPortActuallyAvailable(13812)).toBe(true);
+  });
+
+  test('should replace a stale socket file but not a live one', async () => {
+    writeTransport({ tcp: false });
+    fs.writeFileSync(path.join(configDir, 'daemon.sock'), '');
+    const first = await testHelper.createDaemon({ configDir, port: 13813 });
+    await first.start();
+
+    const second = await testHelper.createDaemon({ configDir, port: 13814 });
+
+    await expect(second.start()).rejects.toThrow('Another daemon is listening');
+    expect(fs.existsSync(first.socketPath)).toBe(true);
+  });
+
+  test('should remove the socket on stop', async () => {
+    const daemon = await testHelper.createDaemon({ configDir, port: 13815 });
+    await daemon.start();
+
+    await daemon.stop();
+
+    expect(fs.existsSync(daemon.socketPath)).toBe(false);
+    await expect(new Promise((resolve, reject) => {
+      net.connect(daemon.socketPath).once('connect', resolve).once('error', reject);
+    })).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('should reject disabling every transport', () => {
+    expect(() => Validator.validateTransportConfig({ tcp: false, unix_socket: false }))
+      .toThrow('At least one');
+    expect(() => Validator.validateTransportConfig({ tcp: 'no' })).toThrow('must be a boolean');
+  });
+});
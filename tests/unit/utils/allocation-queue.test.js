@@ -0,0 +1,198 @@
+/**
+ * Unit tests for AllocationQueue (waiting for a port when a range is exhausted)
+ */
+
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const AllocationQueue = require('../../../src/utils/allocation-queue');
+const StyxyDaemon = require('../../../src/daemon');
+
+describe('AllocationQueue - Unit Tests', () => {
+  describe('wait() / notify()', () => {
+    test('should wake waiters in FIFO order', async () => {
+      const queue = new AllocationQueue();
+      const order = [];
+
+      const first = queue.wait('dev', 1000).then(() => order.push('first'));
+      const second = queue.wait('dev', 1000).then(() => order.push('second'));
+
+      expect(queue.depth('dev')).toBe(2);
+      queue.notify('dev');
+      queue.notify('dev');
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['first', 'second']);
+      expect(queue.depth('dev')).toBe(0);
+    });
+
+    test('should put rejoining waiters at the head of the queue', async () => {
+      const queue = new AllocationQueue();
+      const order = [];
+
+      const later = queue.wait('dev', 1000).then(() => order.push('later'));
+      const rejoined = queue.wait('dev', 1000, { front: true }).then(() => order.push('rejoined'));
+
+      queue.notify('dev');
+      queue.notify('dev');
+      await Promise.all([later, rejoined]);
+
+      expect(order).toEqual(['rejoined', 'later']);
+    });
+
+    test('should keep queues separate per service type', () => {
+      const queue = new AllocationQueue();
+      queue.wait('dev', 1000).catch(() => {});
+
+      expect(queue.notify('api')).toBe(false);
+      expect(queue.depth('dev')).toBe(1);
+      queue.cancelAll();
+    });
+
+    test('should reject and dequeue on timeout', async () => {
+      const queue = new AllocationQueue();
+
+      await expect(queue.wait('dev', 20)).rejects.toMatchObject({ code: 'WAIT_TIMEOUT' });
+      expect(queue.depth('dev')).toBe(0);
+    });
+
+    test('should report contention until a woken waiter completes its handoff', async () => {
+      const queue = new AllocationQueue();
+      const waiting = queue.wait('dev', 1000);
+
+      expect(queue.isContended('dev')).toBe(true);
+      queue.notify('dev');
+      await waiting;
+      expect(queue.isContended('dev')).toBe(true);
+
+      queue.completeHandoff('dev');
+      expect(queue.isContended('dev')).toBe(false);
+    });
+
+    test('should export depth and wait time metrics', async () => {
+      const metrics = { setGauge: jest.fn(), recordHistogram: jest.fn() };
+      const queue = new AllocationQueue({ metrics });
+
+      const waiting = queue.wait('dev', 1000);
+      expect(metrics.setGauge).toHaveBeenLastCalledWith('allocation_queue_depth', 1, { service_type: 'dev' });
+
+      queue.notify('dev');
+      await waiting;
+      expect(metrics.setGauge).toHaveBeenLastCalledWith('allocation_queue_depth', 0, { service_type: 'dev' });
+      expect(metrics.recordHistogram).toHaveBeenCalledWith(
+        'allocation_queue_wait_ms', expect.any(Number), { service_type: 'dev', outcome: 'served' }
+      );
+    });
+
+    test('should reject every waiter on cancelAll()', async () => {
+      const queue = new AllocationQueue();
+      const waiting = queue.wait('dev', 1000);
+
+      queue.cancelAll('Daemon shutting down');
+      await expect(waiting).rejects.toThrow('Daemon shutting down');
+    });
+  });
+
+  describe('Daemon integration', () => {
+    let daemon;
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = tmp.dirSync({ prefix: 'styxy-queue-test-', unsafeCleanup: true });
+
+      const testConfig = {
+        service_types: {
+          'test-small': {
+            description: 'Test service with two ports',
+            preferred_ports: [12900],
+            port_range: [12900, 12901],
+            instance_behavior: 'multi'
+          }
+        }
+      };
+
+      fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+      daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19881 });
+    });
+
+    afterEach(async () => {
+      if (daemon) {
+        await daemon.stop();
+      }
+      if (tmpDir) {
+        tmpDir.removeCallback();
+      }
+    });
+
+    async function fillRange() {
+      const first = await daemon.allocatePort({ service_type: 'test-small', service_name: 'a' });
+      const second = await daemon.allocatePort({ service_type: 'test-small', service_name: 'b' });
+      return [first, second];
+    }
+
+    test('should fail immediately without wait_timeout_ms', async () => {
+      await fillRange();
+
+      await expect(daemon.allocatePort({ service_type: 'test-small' }))
+        .rejects.toThrow(/exhausted|No available ports/i);
+      expect(daemon.allocationQueue.depth('test-small')).toBe(0);
+    });
+
+    test('should serve a waiting request when a port is released', async () => {
+      const [first] = await fillRange();
+
+      const waiting = daemon.allocatePort({ service_type: 'test-small', service_name: 'c', wait_timeout_ms: 5000 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(daemon.allocationQueue.depth('test-small')).toBe(1);
+
+      await daemon.releasePort(first.lock_id);
+      const result = await waiting;
+
+      expect(result.success).toBe(true);
+      expect(result.port).toBe(first.port);
+      expect(result.queued_ms).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should give up after wait_timeout_ms', async () => {
+      await fillRange();
+
+      await expect(daemon.allocatePort({ service_type: 'test-small', wait_timeout_ms: 100 }))
+        .rejects.toThrow(/exhausted|No available ports/i);
+      expect(daemon.allocationQueue.depth('test-small')).toBe(0);
+    });
+
+    test('should serve waiters in arrival order', async () => {
+      const [first, second] = await fillRange();
+
+      const early = daemon.allocatePort({ service_type: 'test-small', service_name: 'early', wait_timeout_ms: 5000 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const late = daemon.allocatePort({ service_type: 'test-small', service_name: 'late', wait_timeout_ms: 5000 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      await daemon.releasePort(first.lock_id);
+      const earlyResult = await early;
+      expect(earlyResult.port).toBe(first.port);
+      expect(daemon.allocationQueue.depth('test-small')).toBe(1);
+
+      await daemon.releasePort(second.lock_id);
+      const lateResult = await late;
+      expect(lateResult.port).toBe(second.port);
+    });
+
+    test('should not let a newcomer overtake queued requests', async () => {
+      await fillRange();
+
+      const waiting = daemon.allocatePort({ service_type: 'test-small', service_name: 'waiter', wait_timeout_ms: 200 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      await expect(daemon.allocatePort({ service_type: 'test-small', service_name: 'newcomer' }))
+        .rejects.toThrow();
+      await expect(waiting).rejects.toThrow();
+    });
+
+    test('should reject invalid wait_timeout_ms', async () => {
+      await expect(daemon.allocatePort({ service_type: 'test-small', wait_timeout_ms: -1 }))
+        .rejects.toThrow('wait_timeout_ms must be a non-negative integer');
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit tests for the hashed allocation strategy
+ */
+
+const hashed = require('../../../../src/utils/allocation-strategies/hashed');
+
+describe('Hashed Strategy', () => {
+  const serviceConfig = { preferred_ports: [3000], range: [3000, 3099] };
+
+  test('should be deterministic for the same project and service', () => {
+    const context = { projectPath: '/home/dev/app', serviceName: 'web' };
+
+    expect(hashed.order(serviceConfig, context)).toEqual(hashed.order(serviceConfig, context));
+  });
+
+  test('should walk the whole range once, wrapping around', () => {
+    const ports = hashed.order(serviceConfig, { projectPath: '/home/dev/app', serviceName: 'web' });
+
+    expect(ports).toHaveLength(100);
+    expect(new Set(ports).size).toBe(100);
+    for (let i = 1; i < ports.length; i++) {
+      const expected = ports[i - 1] === 3099 ? 3000 : ports[i - 1] + 1;
+      expect(ports[i]).toBe(expected);
+    }
+  });
+
+  test('should spread different projects across the range', () => {
+    const starts = new Set();
+    for (let i = 0; i < 20; i++) {
+      starts.add(hashed.order(serviceConfig, { projectPath: `/home/dev/project-${i}`, serviceName: 'web' })[0]);
+    }
+
+    expect(starts.size).toBeGreaterThan(10);
+  });
+});
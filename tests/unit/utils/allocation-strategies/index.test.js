@@ -0,0 +1,115 @@
+/**
+ * Unit tests for allocation strategy selection
+ */
+
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const { getStrategy, DEFAULT_STRATEGY } = require('../../../../src/utils/allocation-strategies');
+const hashed = require('../../../../src/utils/allocation-strategies/hashed');
+const Validator = require('../../../../src/utils/validator');
+const StyxyDaemon = require('../../../../src/daemon');
+
+describe('Allocation Strategies', () => {
+  test('should default to sequential', () => {
+    expect(DEFAULT_STRATEGY).toBe('sequential');
+    expect(getStrategy().name).toBe('sequential');
+  });
+
+  test.each(['sequential', 'random', 'lru', 'hashed'])('should resolve the %s strategy', name => {
+    expect(getStrategy(name).name).toBe(name);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => getStrategy('spiral')).toThrow("Unknown allocation strategy 'spiral'");
+  });
+
+  test('should validate multi_instance_pattern in service type config', () => {
+    expect(Validator.validateMultiInstancePattern('LRU')).toBe('lru');
+    expect(Validator.validateMultiInstancePattern(undefined)).toBe('sequential');
+    expect(() => Validator.validateMultiInstancePattern('spiral')).toThrow('multi_instance_pattern must be one of');
+  });
+
+  describe('Daemon integration', () => {
+    let daemon;
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = tmp.dirSync({ prefix: 'styxy-strategy-test-', unsafeCleanup: true });
+
+      const testConfig = {
+        service_types: {
+          'test-lru': {
+            description: 'Test LRU service',
+            preferred_ports: [13100],
+            port_range: [13100, 13104],
+            multi_instance_pattern: 'lru'
+          },
+          'test-hashed': {
+            description: 'Test hashed service',
+            preferred_ports: [13110],
+            port_range: [13110, 13129],
+            multi_instance_pattern: 'hashed'
+          }
+        }
+      };
+
+      fs.writeFileSync(path.join(tmpDir.name, 'config.json'), JSON.stringify(testConfig));
+      daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19883 });
+    });
+
+    afterEach(async () => {
+      await daemon.stop();
+      tmpDir.removeCallback();
+    });
+
+    test('should keep multi_instance_pattern in the loaded config', () => {
+      expect(daemon.serviceTypes['test-lru'].multi_instance_pattern).toBe('lru');
+      expect(daemon.serviceTypes.dev.multi_instance_pattern).toBe('sequential');
+    });
+
+    test('should skip only the service type with an invalid pattern', async () => {
+      const configFile = path.join(tmpDir.name, 'config.json');
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      config.service_types['test-broken'] = {
+        description: 'Test service with an unknown strategy',
+        preferred_ports: [13130],
+        port_range: [13130, 13134],
+        multi_instance_pattern: 'spiral'
+      };
+      fs.writeFileSync(configFile, JSON.stringify(config));
+
+      await daemon.stop();
+      daemon = new StyxyDaemon({ configDir: tmpDir.name, port: 19883 });
+
+      expect(daemon.serviceTypes['test-broken']).toBeUndefined();
+      expect(daemon.serviceTypes['test-lru'].multi_instance_pattern).toBe('lru');
+      expect(Object.keys(daemon.serviceTypes).length).toBeGreaterThan(2);
+    });
+
+    test('should avoid reusing a just-released port with lru', async () => {
+      const first = await daemon.allocatePort({ service_type: 'test-lru' });
+      await daemon.releasePort(first.lock_id);
+
+      const second = await daemon.allocatePort({ service_type: 'test-lru' });
+
+      expect(first.port).toBe(13100);
+      expect(second.port).toBe(13101);
+    });
+
+    test('should start from the project hash with hashed', async () => {
+      const expected = hashed.order(daemon.serviceTypes['test-hashed'], {
+        projectPath: '/test/project',
+        serviceName: 'web'
+      })[0];
+
+      const result = await daemon.allocatePort({
+        service_type: 'test-hashed',
+        service_name: 'web',
+        project_path: '/test/project'
+      });
+
+      expect(result.port).toBe(expected);
+    });
+  });
+});
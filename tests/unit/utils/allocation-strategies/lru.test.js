@@ -0,0 +1,29 @@
+/**
+ * Unit tests for the least-recently-used allocation strategy
+ */
+
+const lru = require('../../../../src/utils/allocation-strategies/lru');
+
+describe('LRU Strategy', () => {
+  const serviceConfig = { preferred_ports: [3000], range: [3000, 3004] };
+
+  test('should behave like sequential when nothing was released', () => {
+    expect(lru.order(serviceConfig)).toEqual([3000, 3001, 3002, 3003, 3004]);
+  });
+
+  test('should put never-released ports before released ones', () => {
+    const lastReleased = new Map([[3000, 1000], [3001, 2000]]);
+
+    const ports = lru.order(serviceConfig, { lastReleased });
+
+    expect(ports).toEqual([3002, 3003, 3004, 3000, 3001]);
+  });
+
+  test('should order released ports from longest idle to most recent', () => {
+    const lastReleased = new Map([[3000, 5000], [3001, 1000], [3002, 3000], [3003, 4000], [3004, 2000]]);
+
+    const ports = lru.order(serviceConfig, { lastReleased });
+
+    expect(ports).toEqual([3001, 3004, 3002, 3003, 3000]);
+  });
+});
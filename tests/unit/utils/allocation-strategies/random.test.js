@@ -0,0 +1,37 @@
+/**
+ * Unit tests for the random allocation strategy
+ */
+
+const random = require('../../../../src/utils/allocation-strategies/random');
+
+describe('Random Strategy', () => {
+  const serviceConfig = { preferred_ports: [3000, 4000], range: [3000, 3009] };
+
+  test('should return every range port and out-of-range preferred port exactly once', () => {
+    const ports = random.order(serviceConfig);
+
+    expect(ports).toHaveLength(11);
+    expect([...ports].sort((a, b) => a - b)).toEqual([
+      3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009, 4000
+    ]);
+  });
+
+  test('should follow the supplied random source', () => {
+    // Always picking the last remaining index leaves the order unchanged
+    const ports = random.order({ range: [3000, 3004] }, { random: () => 0.9999 });
+    expect(ports).toEqual([3000, 3001, 3002, 3003, 3004]);
+
+    // Always picking index 0 rotates the list
+    const rotated = random.order({ range: [3000, 3004] }, { random: () => 0 });
+    expect(rotated).toEqual([3001, 3002, 3003, 3004, 3000]);
+  });
+
+  test('should not always start from the first port', () => {
+    const firstPorts = new Set();
+    for (let i = 0; i < 50; i++) {
+      firstPorts.add(random.order(serviceConfig)[0]);
+    }
+
+    expect(firstPorts.size).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Unit tests for the sequential allocation strategy
+ */
+
+const sequential = require('../../../../src/utils/allocation-strategies/sequential');
+
+describe('Sequential Strategy', () => {
+  test('should order preferred ports first, then the range ascending', () => {
+    const ports = sequential.order({ preferred_ports: [3005, 3002], range: [3000, 3005] });
+
+    expect(ports).toEqual([3005, 3002, 3000, 3001, 3003, 3004]);
+  });
+
+  test('should keep preferred ports outside the range', () => {
+    const ports = sequential.order({ preferred_ports: [4000], range: [3000, 3001] });
+
+    expect(ports).toEqual([4000, 3000, 3001]);
+  });
+
+  test('should handle service types without preferred ports', () => {
+    expect(sequential.order({ range: [3000, 3002] })).toEqual([3000, 3001, 3002]);
+  });
+});
@@ -188,19 +188,18 @@ describe('HealthMonitor - Unit Tests', () => {
 
       const allocation = Array.from(daemon.allocations.values())[0];
 
-      // Mock releasePort to succeed
-      jest.spyOn(daemon, 'releasePort').mockResolvedValue({
-        success: true,
-        port: allocation.port
-      });
-
       // Fail 3 times (reach max)
       await healthMonitor.handleUnhealthyAllocation(allocation);
       await healthMonitor.handleUnhealthyAllocation(allocation);
       const cleaned = await healthMonitor.handleUnhealthyAllocation(allocation);
 
       expect(cleaned).toBe(true);
-      expect(daemon.releasePort).toHaveBeenCalledWith(allocation.port, allocation.lockId);
+      expect(daemon.allocations.has(allocation.port)).toBe(false);
+      expect(daemon.reaper.getHistory()[0]).toMatchObject({
+        port: allocation.port,
+        reason: 'health_failures',
+        details: { failures: 3 }
+      });
       expect(healthMonitor.healthChecks.has(allocation.port)).toBe(false);
     });
 
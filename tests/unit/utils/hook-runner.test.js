@@ -0,0 +1,170 @@
+/**
+ * Unit tests for HookRunner
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const HookRunner = require('../../../src/utils/hook-runner');
+const Validator = require('../../../src/utils/validator');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+describe('HookRunner', () => {
+  let testHelper;
+  let configDir;
+  let auditLogger;
+  let runner;
+  let server;
+
+  beforeEach(() => {
+    testHelper = createTestHelper();
+    configDir = testHelper.createTestConfigDir();
+    auditLogger = { log: jest.fn() };
+  });
+
+  afterEach(async () => {
+    if (runner) {
+      runner.destroy();
+      runner = null;
+    }
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    await testHelper.cleanup();
+  });
+
+  const createRunner = (hooks, options = {}) => {
+    runner = new HookRunner({ auditLogger, cwd: configDir, baseDelay: 10, hooks: Validator.validateHooksConfig(hooks), ...options });
+    return runner;
+  };
+
+  const event = (id, type = 'allocation:created', data = { port: 3000 }) => ({
+    id,
+    type,
+    timestamp: new Date().toISOString(),
+    data
+  });
+
+  const actions = () => auditLogger.log.mock.calls.map(([action]) => action);
+
+  test('should pipe the event to a command as JSON on stdin', async () => {
+    createRunner({ allocation: { command: 'cat > "event-$STYXY_EVENT_ID.json"' } });
+
+    const [delivered] = await runner.dispatch(event(7));
+
+    expect(delivered).toBe(true);
+    const written = JSON.parse(fs.readFileSync(path.join(configDir, 'event-7.json'), 'utf8'));
+    expect(written).toMatchObject({ id: 7, type: 'allocation:created', data: { port: 3000 } });
+    expect(auditLogger.log).toHaveBeenCalledWith('HOOK_DELIVERED', expect.objectContaining({
+      hook: 'allocation#1',
+      eventId: 7,
+      attempt: 1
+    }));
+  });
+
+  test('should POST the event to a local URL', async () => {
+    const received = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ type: req.headers['x-styxy-event'], body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(13840, '127.0.0.1', resolve));
+    createRunner({ 'singleton:created': { url: 'http://127.0.0.1:13840/styxy' } });
+
+    await runner.dispatch(event(1, 'singleton:created'));
+    await runner.dispatch(event(2, 'allocation:created'));
+
+    expect(received).toEqual([{ type: 'singleton:created', body: expect.objectContaining({ id: 1 }) }]);
+  });
+
+  test('should retry failures and audit every attempt', async () => {
+    createRunner({ allocation: { command: 'echo broken >&2; exit 3', retries: 2 } });
+
+    const [delivered] = await runner.dispatch(event(1));
+
+    expect(delivered).toBe(false);
+    expect(actions()).toEqual(['HOOK_FAILED', 'HOOK_FAILED', 'HOOK_FAILED']);
+    expect(auditLogger.log.mock.calls[2][1]).toMatchObject({
+      attempt: 3,
+      willRetry: false,
+      error: 'Command exited with code 3: broken'
+    });
+  });
+
+  test('should stop a command that runs past its timeout', async () => {
+    createRunner({ allocation: { command: 'sleep 5', timeout_ms: 200, retries: 0 } });
+
+    await runner.dispatch(event(1));
+
+    expect(auditLogger.log).toHaveBeenCalledWith('HOOK_FAILED', expect.objectContaining({
+      error: 'Command timed out after 200ms'
+    }));
+  });
+
+  test('should kill a command that ignores SIGTERM and move on to the next event', async () => {
+    const stubborn = `exec "${process.execPath}" -e "process.on('SIGTERM', () => {}); setTimeout(() => {}, 10000)"`;
+    createRunner({ allocation: { command: stubborn, timeout_ms: 200, retries: 0 } }, { killGrace: 100 });
+
+    const startedAt = Date.now();
+    const results = await Promise.all([runner.dispatch(event(1)), runner.dispatch(event(2))]);
+
+    expect(results).toEqual([[false], [false]]);
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    expect(auditLogger.log).toHaveBeenCalledWith('HOOK_FAILED', expect.objectContaining({
+      eventId: 1,
+      error: 'Command timed out after 200ms and was killed'
+    }));
+  });
+
+  test('should skip a hook once its circuit breaker opens', async () => {
+    createRunner({ allocation: { command: 'exit 1', retries: 4 } });
+
+    await runner.dispatch(event(1));
+    await runner.dispatch(event(2));
+
+    expect(actions()).toEqual([...Array(5).fill('HOOK_FAILED'), 'HOOK_SKIPPED']);
+  });
+
+  test('should deliver events to a hook in order', async () => {
+    createRunner({ allocation: { command: 'sleep 0.$((3 - STYXY_EVENT_ID)); echo $STYXY_EVENT_ID >> order.log' } });
+
+    await Promise.all([runner.dispatch(event(1)), runner.dispatch(event(2))]);
+
+    expect(fs.readFileSync(path.join(configDir, 'order.log'), 'utf8')).toBe('1\n2\n');
+  });
+
+  test('should run hooks configured for the daemon', async () => {
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-hooks': {
+          description: 'Service type for hook tests',
+          preferred_ports: [13841],
+          port_range: [13841, 13845]
+        }
+      },
+      hooks: { 'allocation:created': { command: 'cat > created.json' } }
+    }));
+    const daemon = await testHelper.createDaemon({ configDir });
+
+    await daemon.allocatePort({ service_type: 'test-hooks' });
+    await testHelper.waitFor(() => fs.existsSync(path.join(configDir, 'created.json')) &&
+      fs.readFileSync(path.join(configDir, 'created.json'), 'utf8').length > 0);
+
+    expect(JSON.parse(fs.readFileSync(path.join(configDir, 'created.json'), 'utf8')).data.port).toBe(13841);
+  });
+
+  test('should reject invalid hook configs', () => {
+    expect(() => Validator.validateHooksConfig({ 'allocation:moved': { command: 'true' } })).toThrow('Unknown event type');
+    expect(() => Validator.validateHooksConfig({ allocation: { url: 'http://example.com/hook' } })).toThrow('localhost');
+    expect(() => Validator.validateHooksConfig({ allocation: { url: 'http://[::1]:80/', command: 'true' } })).toThrow('exactly one');
+    expect(() => Validator.validateHooksConfig({ allocation: { command: 'true', timeout_ms: 10 } })).toThrow('timeout_ms');
+    expect(Validator.validateHooksConfig({ range: [{ url: 'http://localhost:9000/low' }] })).toEqual({
+      range: [{ url: 'http://localhost:9000/low', timeout_ms: 5000, retries: 2 }]
+    });
+  });
+});
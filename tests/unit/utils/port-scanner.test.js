@@ -27,7 +27,7 @@ describe('PortScanner', () => {
   describe('isPortAvailable', () => {
     it('should return cached result when available', async () => {
       // Set up cache
-      portScanner.cache.set('port_3000', {
+      portScanner.cache.set('port_3000_tcp', {
         available: true,
         timestamp: Date.now()
       });
@@ -40,7 +40,7 @@ describe('PortScanner', () => {
 
     it('should check with ss when cache expired', async () => {
       // Set up expired cache
-      portScanner.cache.set('port_3000', {
+      portScanner.cache.set('port_3000_tcp', {
         available: false,
         timestamp: Date.now() - 10000 // 10 seconds ago
       });
@@ -67,7 +67,7 @@ describe('PortScanner', () => {
 
       expect(result).toBe(true);
       expect(execSync).toHaveBeenCalledWith(
-        'lsof -i :3000',
+        'lsof -i TCP:3000',
         expect.any(Object)
       );
     });
@@ -149,7 +149,7 @@ describe('PortScanner', () => {
         port: 3000,
         protocol: 'tcp',
         state: 'LISTEN',
-        local_address: '128',
+        local_address: '*:3000',
         process: {
           name: 'users:(("node",pid=1234,fd=10))'
         },
@@ -168,7 +168,7 @@ describe('PortScanner', () => {
         port: 3000,
         protocol: 'tcp',
         state: 'LISTEN',
-        local_address: '128',
+        local_address: '*:3000',
         process: {
           name: 'users:(("node",pid=1234,fd=10))'
         },
@@ -177,6 +177,33 @@ describe('PortScanner', () => {
     });
   });
 
+  describe('protocols', () => {
+    it('should list UDP sockets when checking a UDP port', async () => {
+      execSync.mockReturnValue('UNCONN 0 0 0.0.0.0:8125 0.0.0.0:* users:(("statsd",pid=4321,fd=7))');
+
+      const available = await portScanner.isPortAvailable(8125, 'udp');
+
+      expect(available).toBe(false);
+      expect(execSync).toHaveBeenCalledWith('ss -ulnp', expect.any(Object));
+    });
+
+    it('should cache TCP and UDP results separately', async () => {
+      portScanner.cache.set('port_8125_tcp', { available: true, timestamp: Date.now() });
+      execSync.mockReturnValue('UNCONN 0 0 0.0.0.0:8125 0.0.0.0:*');
+
+      expect(await portScanner.isPortAvailable(8125, 'tcp')).toBe(true);
+      expect(await portScanner.isPortAvailable(8125, 'udp')).toBe(false);
+    });
+
+    it('should report UDP bindings from ss with and without the Netid column', () => {
+      const withNetid = portScanner.parseSSOutput('udp UNCONN 0 0 0.0.0.0:8125 0.0.0.0:*', 8125);
+      const withoutNetid = portScanner.parseSSOutput('UNCONN 0 0 0.0.0.0:8125 0.0.0.0:*', 8125);
+
+      expect(withNetid).toMatchObject({ protocol: 'udp', state: 'UNCONN', local_address: '0.0.0.0:8125' });
+      expect(withoutNetid).toMatchObject({ protocol: 'udp', state: 'UNCONN', local_address: '0.0.0.0:8125' });
+    });
+  });
+
   describe('parseLsofOutput', () => {
     it('should parse lsof output correctly', () => {
       const output = 'COMMAND  PID USER   FD   TYPE DEVICE SIZE/OFF NODE NAME\nnode    1234 user   10u  IPv4  12345      0t0  TCP *:3000 (LISTEN)';
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for ProcessTracker (allocation owner liveness)
+ */
+
+const { spawn } = require('child_process');
+const ProcessTracker = require('../../../src/utils/process-tracker');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+function spawnSleeper() {
+  return spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+}
+
+function waitForExit(child) {
+  return new Promise(resolve => child.once('exit', resolve));
+}
+
+describe('ProcessTracker - Unit Tests', () => {
+  describe('isAlive()', () => {
+    test('should report running process as alive', () => {
+      expect(ProcessTracker.isAlive(process.pid)).toBe(true);
+    });
+
+    test('should report non-existent process as dead', () => {
+      expect(ProcessTracker.isAlive(99999999)).toBe(false);
+    });
+
+    test('should treat missing PID as dead', () => {
+      expect(ProcessTracker.isAlive(null)).toBe(false);
+    });
+  });
+
+  describe('isDescendantOf()', () => {
+    test('should recognise a child process', async () => {
+      const child = spawnSleeper();
+      try {
+        expect(ProcessTracker.isDescendantOf(child.pid, process.pid)).toBe(true);
+      } finally {
+        child.kill();
+        await waitForExit(child);
+      }
+    });
+
+    test('should not treat the parent as a descendant of the child', async () => {
+      const child = spawnSleeper();
+      try {
+        expect(ProcessTracker.isDescendantOf(process.pid, child.pid)).toBe(false);
+      } finally {
+        child.kill();
+        await waitForExit(child);
+      }
+    });
+  });
+
+  describe('checkNow()', () => {
+    test('should report owners that exited', async () => {
+      const onExit = jest.fn();
+      const tracker = new ProcessTracker({ onExit });
+      const child = spawnSleeper();
+
+      tracker.track('lock-1', [child.pid]);
+      tracker.track('lock-2', [process.pid]);
+
+      child.kill();
+      await waitForExit(child);
+      await tracker.checkNow();
+
+      expect(onExit).toHaveBeenCalledTimes(1);
+      expect(onExit).toHaveBeenCalledWith('lock-1', child.pid);
+      expect(tracker.tracked.has('lock-1')).toBe(false);
+      expect(tracker.tracked.has('lock-2')).toBe(true);
+    });
+
+    test('should ignore allocations without owner PIDs', () => {
+      const tracker = new ProcessTracker();
+      tracker.track('lock-1', [null, undefined]);
+      expect(tracker.tracked.size).toBe(0);
+    });
+  });
+
+  describe('Daemon integration', () => {
+    let testHelper;
+    let daemon;
+
+    beforeEach(async () => {
+      testHelper = createTestHelper();
+      daemon = await testHelper.createDaemon();
+    });
+
+    afterEach(async () => {
+      await testHelper.cleanup();
+    });
+
+    test('should record the client PID instead of the daemon PID', async () => {
+      const result = await daemon.allocatePort({
+        service_type: 'dev',
+        service_name: 'owner-test',
+        pid: process.pid,
+        parent_pid: process.ppid
+      });
+
+      const allocation = daemon.allocations.get(result.port);
+      expect(allocation.process_id).toBe(process.pid);
+      expect(allocation.parent_process_id).toBe(process.ppid);
+      expect(daemon.processTracker.tracked.has(result.lock_id)).toBe(true);
+    });
+
+    test('should release the allocation when the owner exits', async () => {
+      const child = spawnSleeper();
+
+      const result = await daemon.allocatePort({
+        service_type: 'dev',
+        service_name: 'owner-exit-test',
+        pid: child.pid
+      });
+      expect(daemon.allocations.has(result.port)).toBe(true);
+
+      child.kill();
+      await waitForExit(child);
+      await daemon.processTracker.checkNow();
+
+      expect(daemon.allocations.has(result.port)).toBe(false);
+    });
+
+    test('should untrack released allocations', async () => {
+      const result = await daemon.allocatePort({
+        service_type: 'dev',
+        service_name: 'untrack-test',
+        pid: process.pid
+      });
+
+      await daemon.releasePort(result.lock_id);
+      expect(daemon.processTracker.tracked.has(result.lock_id)).toBe(false);
+    });
+
+    test('should not watch the daemon PID stored by older state files', async () => {
+      const child = spawnSleeper();
+      child.kill();
+      await waitForExit(child);
+
+      const result = await daemon.allocatePort({ service_type: 'dev', service_name: 'legacy-test' });
+      const allocation = daemon.allocations.get(result.port);
+      delete allocation.parent_process_id;
+      allocation.process_id = child.pid; // The previous daemon, long gone
+      await daemon.saveState();
+
+      await daemon.loadState();
+
+      expect(daemon.allocations.get(result.port).process_id).toBeNull();
+      expect(daemon.processTracker.tracked.has(result.lock_id)).toBe(false);
+    });
+
+    test('should reject invalid PIDs', async () => {
+      await expect(daemon.allocatePort({
+        service_type: 'dev',
+        pid: 'not-a-pid'
+      })).rejects.toThrow('PID must be a number');
+    });
+  });
+});
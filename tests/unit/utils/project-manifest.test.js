@@ -0,0 +1,125 @@
+/**
+ * Unit tests for ProjectManifest (.styxy.json / package.json "styxy" key)
+ */
+
+const tmp = require('tmp');
+const fs = require('fs');
+const path = require('path');
+const ProjectManifest = require('../../../src/utils/project-manifest');
+
+describe('ProjectManifest - Unit Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ prefix: 'styxy-manifest-test-', unsafeCleanup: true });
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  function writeJson(file, data) {
+    fs.writeFileSync(path.join(tmpDir.name, file), JSON.stringify(data));
+  }
+
+  describe('find()', () => {
+    test('should load .styxy.json from the project root', () => {
+      writeJson('.styxy.json', {
+        services: {
+          web: { service_type: 'dev', preferred_port: 3000, env: 'PORT' }
+        }
+      });
+
+      const manifest = ProjectManifest.find(tmpDir.name);
+
+      expect(manifest.root).toBe(tmpDir.name);
+      expect(manifest.services).toEqual([
+        { service_name: 'web', service_type: 'dev', preferred_port: 3000, env: 'PORT' }
+      ]);
+    });
+
+    test('should fall back to the styxy key in package.json', () => {
+      writeJson('package.json', {
+        name: 'example',
+        styxy: { services: { api: { service_type: 'api' } } }
+      });
+
+      const manifest = ProjectManifest.find(tmpDir.name);
+
+      expect(manifest.source).toContain('package.json');
+      expect(manifest.services[0].service_type).toBe('api');
+    });
+
+    test('should prefer .styxy.json over package.json', () => {
+      writeJson('.styxy.json', { services: { web: { service_type: 'dev' } } });
+      writeJson('package.json', { styxy: { services: { api: { service_type: 'api' } } } });
+
+      expect(ProjectManifest.find(tmpDir.name).services[0].service_name).toBe('web');
+    });
+
+    test('should search parent directories', () => {
+      writeJson('.styxy.json', { services: { web: { service_type: 'dev' } } });
+      const nested = path.join(tmpDir.name, 'packages', 'app');
+      fs.mkdirSync(nested, { recursive: true });
+
+      expect(ProjectManifest.find(nested).root).toBe(tmpDir.name);
+    });
+
+    test('should skip package.json files without a styxy key', () => {
+      writeJson('.styxy.json', { services: { web: { service_type: 'dev' } } });
+      const nested = path.join(tmpDir.name, 'app');
+      fs.mkdirSync(nested);
+      fs.writeFileSync(path.join(nested, 'package.json'), JSON.stringify({ name: 'app' }));
+
+      expect(ProjectManifest.find(nested).root).toBe(tmpDir.name);
+    });
+  });
+
+  describe('parse()', () => {
+    test('should derive env var names from service names', () => {
+      const manifest = ProjectManifest.parse({
+        services: { 'web-ui': { service_type: 'dev' } }
+      }, tmpDir.name, 'test');
+
+      expect(manifest.services[0].env).toBe('WEB_UI_PORT');
+    });
+
+    test('should require service_type', () => {
+      expect(() => ProjectManifest.parse({ services: { web: {} } }, tmpDir.name, 'test'))
+        .toThrow('service "web": service_type is required');
+    });
+
+    test('should reject duplicate env var names', () => {
+      expect(() => ProjectManifest.parse({
+        services: {
+          web: { service_type: 'dev', env: 'PORT' },
+          api: { service_type: 'api', env: 'PORT' }
+        }
+      }, tmpDir.name, 'test')).toThrow('env var PORT is used by more than one service');
+    });
+
+    test('should reject invalid preferred ports', () => {
+      expect(() => ProjectManifest.parse({
+        services: { web: { service_type: 'dev', preferred_port: 70000 } }
+      }, tmpDir.name, 'test')).toThrow();
+    });
+
+    test('should reject a manifest without services', () => {
+      expect(() => ProjectManifest.parse({}, tmpDir.name, 'test'))
+        .toThrow('"services" must be an object keyed by service name');
+    });
+  });
+
+  describe('toEnv()', () => {
+    test('should render dotenv lines for allocated services', () => {
+      const manifest = ProjectManifest.parse({
+        services: {
+          web: { service_type: 'dev', env: 'PORT' },
+          api: { service_type: 'api' }
+        }
+      }, tmpDir.name, 'test');
+
+      expect(manifest.toEnv({ web: 3000, api: 8000 })).toBe('PORT=3000\nAPI_PORT=8000\n');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for Reaper
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Reaper = require('../../../src/utils/reaper');
+const Validator = require('../../../src/utils/validator');
+const { createTestHelper } = require('../../helpers/daemon-test-helper');
+
+const DEAD_PID = 999999;
+
+describe('Reaper', () => {
+  let testHelper;
+  let daemon;
+
+  beforeEach(async () => {
+    testHelper = createTestHelper();
+    const configDir = testHelper.createTestConfigDir();
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      service_types: {
+        'test-reap': {
+          description: 'Service type with the default reap policy',
+          preferred_ports: [13500],
+          port_range: [13500, 13509],
+          default_ttl: 60
+        },
+        'test-keep': {
+          description: 'Service type that outlives its owner',
+          preferred_ports: [13510],
+          port_range: [13510, 13514],
+          default_ttl: 60,
+          reap_policy: { owner_dead: false, lease_expiry: false }
+        },
+        'test-single': {
+          description: 'Singleton service type',
+          preferred_ports: [13515],
+          port_range: [13515, 13519],
+          instance_behavior: 'single'
+        }
+      }
+    }));
+
+    daemon = await testHelper.createDaemon({ configDir });
+  });
+
+  afterEach(async () => {
+    await testHelper.cleanup();
+  });
+
+  const backdate = (port, seconds) => {
+    daemon.allocations.get(port).allocated_at = new Date(Date.now() - seconds * 1000).toISOString();
+  };
+
+  describe('getPolicy()', () => {
+    test('should apply defaults for service types without a policy', () => {
+      expect(daemon.reaper.getPolicy('test-reap')).toEqual(Reaper.DEFAULT_REAP_POLICY);
+    });
+
+    test('should merge a service type policy over the defaults', () => {
+      const policy = daemon.reaper.getPolicy('test-keep');
+      expect(policy.owner_dead).toBe(false);
+      expect(policy.lease_expiry).toBe(false);
+      expect(policy.port_reused).toBe(true);
+    });
+
+    test('should reject invalid policies', () => {
+      expect(() => Validator.validateReapPolicy({ owner_dead: 'no' })).toThrow('must be a boolean');
+      expect(() => Validator.validateReapPolicy({ max_health_failures: -1 })).toThrow('non-negative integer');
+      expect(() => Validator.validateReapPolicy({ unknown: true })).toThrow('Unknown reap_policy option');
+    });
+  });
+
+  describe('getReason()', () => {
+    test('should report expired leases and dead owners', async () => {
+      const expired = await daemon.allocatePort({ service_type: 'test-reap' });
+      backdate(expired.port, 120);
+      const orphaned = await daemon.allocatePort({ service_type: 'test-reap' });
+      daemon.allocations.get(orphaned.port).process_id = DEAD_PID;
+
+      expect(await daemon.reaper.getReason(daemon.allocations.get(expired.port))).toBe('lease_expired');
+      expect(await daemon.reaper.getReason(daemon.allocations.get(orphaned.port))).toBe('owner_dead');
+    });
+
+    test('should honour a policy that disables checks', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-keep' });
+      backdate(result.port, 120);
+      daemon.allocations.get(result.port).process_id = DEAD_PID;
+
+      expect(await daemon.reaper.getReason(daemon.allocations.get(result.port))).toBeNull();
+    });
+
+    test('should report ports nobody bound once the grace period is over', async () => {
+      daemon.serviceTypes['test-reap'].reap_policy = { port_unbound_after_seconds: 30 };
+      const result = await daemon.allocatePort({ service_type: 'test-reap' });
+      const allocation = daemon.allocations.get(result.port);
+
+      expect(await daemon.reaper.getReason(allocation)).toBeNull();
+
+      backdate(result.port, 45);
+      expect(await daemon.reaper.getReason(allocation)).toBe('port_unbound');
+    });
+  });
+
+  describe('sweep()', () => {
+    test('should reap stale allocations and record why', async () => {
+      const stale = await daemon.allocatePort({ service_type: 'test-reap', service_name: 'old-app' });
+      backdate(stale.port, 120);
+      const fresh = await daemon.allocatePort({ service_type: 'test-reap' });
+
+      const { reaped } = await daemon.reaper.sweep();
+
+      expect(reaped).toHaveLength(1);
+      expect(reaped[0]).toMatchObject({
+        port: stale.port,
+        lock_id: stale.lock_id,
+        service_type: 'test-reap',
+        service_name: 'old-app',
+        reason: 'lease_expired'
+      });
+      expect(daemon.allocations.has(fresh.port)).toBe(true);
+    });
+
+    test('should mark forced reaps as forced', async () => {
+      await daemon.allocatePort({ service_type: 'test-reap' });
+
+      const result = await daemon.performCleanup(true);
+
+      expect(result.cleaned).toBe(1);
+      expect(result.reaped[0].reason).toBe('forced');
+    });
+
+    test('should release singletons from /cleanup as well as the timer', async () => {
+      await daemon.allocatePort({ service_type: 'test-single' });
+      expect(daemon.getSingleton('test-single')).toBeDefined();
+
+      await daemon.performCleanup(true);
+
+      expect(daemon.getSingleton('test-single')).toBeUndefined();
+    });
+
+    test('should record owner exits through the reaper', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-reap' });
+
+      await daemon.handleOwnerExit(result.lock_id, DEAD_PID);
+
+      expect(daemon.allocations.has(result.port)).toBe(false);
+      expect(daemon.reaper.getHistory()[0]).toMatchObject({
+        port: result.port,
+        reason: 'owner_dead',
+        details: { pid: DEAD_PID }
+      });
+    });
+
+    test('should keep allocations whose policy ignores owner exit', async () => {
+      const result = await daemon.allocatePort({ service_type: 'test-keep' });
+
+      await daemon.handleOwnerExit(result.lock_id, DEAD_PID);
+
+      expect(daemon.allocations.has(result.port)).toBe(true);
+    });
+  });
+
+  describe('getHistory()', () => {
+    test('should return newest first and filter by reason', async () => {
+      const first = await daemon.allocatePort({ service_type: 'test-reap' });
+      backdate(first.port, 120);
+      await daemon.cleanupStaleAllocations();
+
+      await daemon.allocatePort({ service_type: 'test-reap' });
+      await daemon.performCleanup(true);
+
+      const history = daemon.reaper.getHistory();
+      expect(history.map(entry => entry.reason)).toEqual(['forced', 'lease_expired']);
+      expect(daemon.reaper.getHistory({ reason: 'lease_expired' })).toHaveLength(1);
+      expect(daemon.reaper.getHistory({ limit: 1 })[0].reason).toBe('forced');
+    });
+
+    test('should cap the number of entries kept', async () => {
+      daemon.reaper.historySize = 2;
+
+      for (let i = 0; i < 3; i++) {
+        await daemon.allocatePort({ service_type: 'test-reap' });
+        await daemon.performCleanup(true);
+      }
+
+      expect(daemon.reaper.history).toHaveLength(2);
+    });
+
+    test('should persist across restarts', async () => {
+      await daemon.allocatePort({ service_type: 'test-reap' });
+      await daemon.performCleanup(true);
+      await daemon.saveState();
+
+      daemon.reaper.load([]);
+      await daemon.loadState();
+
+      expect(daemon.reaper.getHistory()).toHaveLength(1);
+      expect(daemon.reaper.getHistory()[0].reason).toBe('forced');
+    });
+  });
+});
@@ -147,39 +147,67 @@ describe('SystemRecovery - Unit Tests', () => {
       };
       daemon.allocations.set(3000, allocation);
 
-      // Mock releasePort to succeed
-      const releaseSpy = jest.spyOn(daemon, 'releasePort').mockResolvedValue({
-        success: true,
-        port: 3000
-      });
-
       const result = await systemRecovery.cleanOrphanedAllocations();
       expect(result.cleaned).toBe(1);
-      expect(releaseSpy).toHaveBeenCalledWith(3000, 'test-lock');
+      expect(daemon.allocations.has(3000)).toBe(false);
+      expect(daemon.reaper.getHistory()[0]).toMatchObject({ port: 3000, lock_id: 'test-lock', reason: 'owner_dead' });
     });
 
-    test('should clean allocations with available ports', async () => {
-      // Create allocation
+    test('should clean allocations whose port stayed unbound past the policy grace period', async () => {
+      daemon.serviceTypes.test = { range: [3000, 3099], preferred_ports: [3000], reap_policy: { port_unbound_after_seconds: 60 } };
       const allocation = {
         port: 3000,
         lockId: 'test-lock',
         process_id: process.pid, // Running process
         serviceType: 'test',
-        allocated_at: new Date().toISOString()
+        allocated_at: new Date(Date.now() - 120 * 1000).toISOString()
       };
       daemon.allocations.set(3000, allocation);
 
       // Mock port check to return true (port available = orphaned)
       jest.spyOn(daemon, 'checkPortActuallyAvailable').mockResolvedValue(true);
-
-      // Mock releasePort to succeed
-      jest.spyOn(daemon, 'releasePort').mockResolvedValue({
-        success: true,
-        port: 3000
-      });
+      jest.spyOn(daemon.portScanner, 'getPortInfo').mockResolvedValue(null);
 
       const result = await systemRecovery.cleanOrphanedAllocations();
       expect(result.cleaned).toBe(1);
+      expect(daemon.reaper.getHistory()[0]).toMatchObject({ port: 3000, reason: 'port_unbound' });
+    });
+
+    test('should keep unbound ports when the policy never reclaims them', async () => {
+      const allocation = {
+        port: 3000,
+        lockId: 'test-lock',
+        process_id: process.pid,
+        serviceType: 'test',
+        ttl: 0, // Never expires, so only the unbound port could reap it
+        allocated_at: new Date(Date.now() - 3600 * 1000).toISOString()
+      };
+      daemon.allocations.set(3000, allocation);
+
+      // The default policy has port_unbound_after_seconds: 0
+      jest.spyOn(daemon, 'checkPortActuallyAvailable').mockResolvedValue(true);
+      jest.spyOn(daemon.portScanner, 'getPortInfo').mockResolvedValue(null);
+
+      const result = await systemRecovery.cleanOrphanedAllocations();
+      expect(result.cleaned).toBe(0);
+      expect(daemon.allocations.has(3000)).toBe(true);
+    });
+
+    test('should keep allocations with dead owners when the policy turns owner_dead off', async () => {
+      daemon.serviceTypes.test = { range: [3000, 3099], preferred_ports: [3000], reap_policy: { owner_dead: false } };
+      const allocation = {
+        port: 3000,
+        lockId: 'test-lock',
+        process_id: 99999, // Non-existent
+        serviceType: 'test',
+        allocated_at: new Date().toISOString()
+      };
+      daemon.allocations.set(3000, allocation);
+      jest.spyOn(daemon.portScanner, 'getPortInfo').mockResolvedValue(null);
+
+      const result = await systemRecovery.cleanOrphanedAllocations();
+      expect(result.cleaned).toBe(0);
+      expect(daemon.allocations.has(3000)).toBe(true);
     });
 
     test('should not clean healthy allocations', async () => {